@@ -10,6 +10,8 @@ const isDevServer = process.env.NODE_ENV !== "production";
 const config = {
   enableHealthCheck: process.env.ENABLE_HEALTH_CHECK === "true",
   enableVisualEdits: isDevServer, // Only enable during dev server
+  enableRealtimeStandIn: isDevServer && process.env.ENABLE_REALTIME_STAND_IN === "true",
+  enableTileStandIn: isDevServer && process.env.ENABLE_TILE_STAND_IN === "true",
 };
 
 // Conditionally load visual edits modules only in dev mode
@@ -21,6 +23,20 @@ if (config.enableVisualEdits) {
   babelMetadataPlugin = require("./plugins/visual-edits/babel-metadata-plugin");
 }
 
+// Local stand-in for the backend's live channel, only if enabled
+let attachRealtimeServer;
+
+if (config.enableRealtimeStandIn) {
+  ({ attachRealtimeServer } = require("./plugins/realtime-stand-in/realtime-server"));
+}
+
+// Local stand-in for a map tile server, only if enabled
+let attachTileServer;
+
+if (config.enableTileStandIn) {
+  ({ attachTileServer } = require("./plugins/tile-stand-in/tile-server"));
+}
+
 // Conditionally load health check modules only if enabled
 let WebpackHealthPlugin;
 let setupHealthEndpoints;
@@ -42,6 +58,14 @@ const webpackConfig = {
       },
     },
   },
+  // Tests import modules through the same "@/" alias as the app
+  jest: {
+    configure: {
+      moduleNameMapper: {
+        '^@/(.*)$': '<rootDir>/src/$1',
+      },
+    },
+  },
   webpack: {
     alias: {
       '@': path.resolve(__dirname, 'src'),
@@ -100,6 +124,31 @@ webpackConfig.devServer = (devServerConfig) => {
     };
   }
 
+  // Serve stand-in map tiles next to the app
+  if (config.enableTileStandIn && attachTileServer) {
+    const originalSetupMiddlewares = devServerConfig.setupMiddlewares;
+
+    devServerConfig.setupMiddlewares = (middlewares, devServer) => {
+      if (originalSetupMiddlewares) {
+        middlewares = originalSetupMiddlewares(middlewares, devServer);
+      }
+      attachTileServer(devServer.app);
+      return middlewares;
+    };
+  }
+
+  // Serve the live channel stand-in next to the app
+  if (config.enableRealtimeStandIn && attachRealtimeServer) {
+    const originalOnListening = devServerConfig.onListening;
+
+    devServerConfig.onListening = (devServer) => {
+      if (originalOnListening) {
+        originalOnListening(devServer);
+      }
+      attachRealtimeServer(devServer.server);
+    };
+  }
+
   return devServerConfig;
 };
 
@@ -0,0 +1,121 @@
+// realtime-server.js
+// Local stand-in for the backend's live channel (see src/lib/realtime.js).
+// It relays saved, created and deleted routes to every other client and keeps
+// presence per route; nothing is stored, so a restart starts from scratch.
+// The token sent with `hello` is not checked: everyone is who they say they
+// are, user id and role included. Dispatchers get every route, a driver only
+// the routes assigned to them, plus the one just taken from them so their
+// client can drop it.
+//
+// Attached to the dev server with ENABLE_REALTIME_STAND_IN=true, or on its own:
+//   node plugins/realtime-stand-in/realtime-server.js [port]
+
+const http = require("http");
+const { WebSocketServer, WebSocket } = require("ws");
+
+const REALTIME_PATH = "/realtime";
+
+/**
+ * Create the relay. Returns the WebSocket server, which takes its clients
+ * from the `upgrade` events of whatever HTTP server it is attached to.
+ * @returns {WebSocketServer}
+ */
+function createRealtimeServer() {
+  const wss = new WebSocketServer({ noServer: true });
+  // socket -> { clientId, name, userId, role, routeId }
+  const clients = new Map();
+  // routeId -> driverId as last relayed, to tell who a route was taken from
+  const routeDrivers = new Map();
+
+  const sendTo = (socket, message) => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  const broadcastPresence = (routeId) => {
+    if (!routeId) return;
+    const watchers = [...clients].filter(([, client]) => client.routeId === routeId);
+    const viewers = watchers.map(([, client]) => ({ clientId: client.clientId, name: client.name }));
+    watchers.forEach(([socket]) => sendTo(socket, { type: "presence", routeId, viewers }));
+  };
+
+  // To every client but the sender that may see the route, saying who sent it.
+  // `driverIds` are the drivers the route is (or was) assigned to.
+  const relay = (socket, message, driverIds) => {
+    const { clientId, name } = clients.get(socket);
+    clients.forEach((client, other) => {
+      if (other === socket) return;
+      if (client.role !== "dispatcher" && !driverIds.includes(client.userId)) return;
+      sendTo(other, { ...message, by: { clientId, name } });
+    });
+  };
+
+  wss.on("connection", (socket) => {
+    clients.set(socket, { clientId: null, name: "", routeId: null });
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      const client = clients.get(socket);
+      if (message.type === "hello") {
+        client.clientId = message.clientId;
+        client.name = message.name || "";
+        client.userId = message.userId ?? null;
+        client.role = message.role ?? null;
+        broadcastPresence(client.routeId);
+      } else if (message.type === "watch") {
+        const previous = client.routeId;
+        client.routeId = message.routeId || null;
+        broadcastPresence(previous);
+        broadcastPresence(client.routeId);
+      } else if (message.type === "route" && message.route?.id) {
+        const { id, driverId = null } = message.route;
+        const previous = routeDrivers.get(id) ?? null;
+        routeDrivers.set(id, driverId);
+        relay(socket, { type: "route", route: message.route }, [driverId, previous].filter(Boolean));
+      } else if (message.type === "routeDeleted" && message.routeId) {
+        const driverId = routeDrivers.get(message.routeId) ?? null;
+        routeDrivers.delete(message.routeId);
+        relay(socket, { type: "routeDeleted", routeId: message.routeId }, [driverId].filter(Boolean));
+      }
+    });
+
+    socket.on("close", () => {
+      const { routeId } = clients.get(socket);
+      clients.delete(socket);
+      broadcastPresence(routeId);
+    });
+  });
+
+  return wss;
+}
+
+/**
+ * Serve the relay on `REALTIME_PATH` of an existing HTTP server. Other
+ * upgrades (the dev server's hot reload) are left alone.
+ * @param {http.Server} server
+ */
+function attachRealtimeServer(server) {
+  const wss = createRealtimeServer();
+  server.on("upgrade", (req, socket, head) => {
+    if (new URL(req.url, "http://localhost").pathname !== REALTIME_PATH) return;
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+  });
+  console.log(`[Realtime] Stand-in listening on ${REALTIME_PATH}`);
+  return wss;
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8765;
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end("WebSocket only\n");
+  });
+  attachRealtimeServer(server);
+  server.listen(port, () => console.log(`[Realtime] ws://localhost:${port}${REALTIME_PATH}`));
+}
+
+module.exports = { attachRealtimeServer, createRealtimeServer, REALTIME_PATH };
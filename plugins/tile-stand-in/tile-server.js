@@ -0,0 +1,138 @@
+// tile-server.js
+// Local stand-in for a map tile server, to try the offline tile download
+// (src/lib/tiles.js, public/tile-sw.js) without hammering the OSM servers.
+// Every tile is a plain square with a border, in a checkerboard so the
+// tile grid shows; `/tiles-dark/` serves the same in night colours.
+//
+// Attached to the dev server with ENABLE_TILE_STAND_IN=true, then point the
+// app at it:
+//   REACT_APP_TILE_URL=/tiles/{z}/{x}/{y}.png
+//   REACT_APP_DARK_TILE_URL=/tiles-dark/{z}/{x}/{y}.png
+// Or on its own (the app then needs the full http://localhost:<port>/... URL):
+//   node plugins/tile-stand-in/tile-server.js [port]
+// TILE_STAND_IN_DELAY_MS slows every tile down, to watch the progress bar.
+
+const http = require("http");
+const zlib = require("zlib");
+
+const TILE_PATH = /^\/tiles(-dark)?\/(\d+)\/(\d+)\/(\d+)(@2x)?\.png$/;
+const TILE_SIZE = 256;
+
+const PALETTES = {
+  light: { even: [241, 245, 249], odd: [226, 232, 240], border: [148, 163, 184] },
+  dark: { even: [30, 41, 59], odd: [51, 65, 85], border: [100, 116, 139] },
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a square RGB PNG filled with `fill` and a one-pixel `border`.
+ * @returns {Buffer}
+ */
+function squarePng(fill, border) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(TILE_SIZE, 0);
+  header.writeUInt32BE(TILE_SIZE, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // RGB
+  const rowLength = 1 + TILE_SIZE * 3;
+  const pixels = Buffer.alloc(rowLength * TILE_SIZE);
+  for (let y = 0; y < TILE_SIZE; y++) {
+    for (let x = 0; x < TILE_SIZE; x++) {
+      const edge = x === 0 || y === 0 || x === TILE_SIZE - 1 || y === TILE_SIZE - 1;
+      const [r, g, b] = edge ? border : fill;
+      const offset = y * rowLength + 1 + x * 3;
+      pixels[offset] = r;
+      pixels[offset + 1] = g;
+      pixels[offset + 2] = b;
+    }
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(pixels)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Only four distinct images exist: light or dark, even or odd square
+const images = new Map();
+
+function tileImage(style, odd) {
+  const key = `${style}-${odd}`;
+  if (!images.has(key)) {
+    const palette = PALETTES[style];
+    images.set(key, squarePng(odd ? palette.odd : palette.even, palette.border));
+  }
+  return images.get(key);
+}
+
+/**
+ * Request handler for `/tiles/{z}/{x}/{y}.png` and `/tiles-dark/...`.
+ * Works as a plain HTTP handler and as Express middleware: anything else
+ * goes to `next`, or gets a 404 without one.
+ */
+function handleTileRequest(req, res, next) {
+  const match = TILE_PATH.exec(new URL(req.url, "http://localhost").pathname);
+  if (!match) {
+    if (next) return next();
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    return res.end("Not a tile\n");
+  }
+  const [, dark, z, x, y] = match;
+  if (Number(x) >= 2 ** Number(z) || Number(y) >= 2 ** Number(z)) {
+    res.writeHead(404, { "Content-Type": "text/plain", "Access-Control-Allow-Origin": "*" });
+    return res.end("Tile out of range\n");
+  }
+  const image = tileImage(dark ? "dark" : "light", (Number(x) + Number(y)) % 2 === 1);
+  const send = () => {
+    res.writeHead(200, {
+      "Content-Type": "image/png",
+      "Content-Length": image.length,
+      // The tile worker fetches in CORS mode
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "no-store",
+    });
+    res.end(image);
+  };
+  const delay = Number(process.env.TILE_STAND_IN_DELAY_MS) || 0;
+  if (delay > 0) setTimeout(send, delay);
+  else send();
+}
+
+/**
+ * Serve tiles from an Express app (the dev server's).
+ * @param {import("express").Application} app
+ */
+function attachTileServer(app) {
+  app.use(handleTileRequest);
+  console.log("[Tiles] Stand-in serving /tiles/{z}/{x}/{y}.png and /tiles-dark/{z}/{x}/{y}.png");
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8766;
+  http.createServer(handleTileRequest).listen(port, () => {
+    console.log(`[Tiles] http://localhost:${port}/tiles/{z}/{x}/{y}.png`);
+  });
+}
+
+module.exports = { attachTileServer, handleTileRequest, TILE_PATH };
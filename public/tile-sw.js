@@ -0,0 +1,69 @@
+// Map tile cache: serves tiles from Cache Storage first, and pre-fetches a
+// route's corridor on request from the page (see src/lib/tile-cache.js)
+const CACHE_NAME = "map-tiles-v1";
+const TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/;
+const CONCURRENCY = 4;
+
+const jobs = new Map();
+
+// Leaflet spreads requests over a/b/c subdomains; file them all under "a"
+const cacheKey = (url) => {
+  const key = new URL(url);
+  key.hostname = key.hostname.replace(/^[abc]\./, "a.");
+  return key.href;
+};
+
+globalThis.addEventListener("install", () => globalThis.skipWaiting());
+globalThis.addEventListener("activate", (event) => event.waitUntil(globalThis.clients.claim()));
+
+globalThis.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !TILE_PATH.test(new URL(request.url).pathname)) return;
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const cached = await cache.match(cacheKey(request.url));
+      return cached || fetch(request);
+    })
+  );
+});
+
+async function prefetch(id, urls, port) {
+  const cache = await caches.open(CACHE_NAME);
+  const job = { cancelled: false };
+  jobs.set(id, job);
+  let done = 0;
+  let failed = 0;
+  let bytes = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length && !job.cancelled) {
+      const url = urls[next++];
+      try {
+        if (!(await cache.match(url))) {
+          const response = await fetch(url, { mode: "cors" });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          bytes += (await response.clone().blob()).size;
+          await cache.put(url, response);
+        }
+      } catch (error) {
+        failed++;
+        // Out of quota: stop instead of failing every remaining tile
+        if (error.name === "QuotaExceededError") job.cancelled = true;
+      }
+      done++;
+      port.postMessage({ type: "progress", done, failed, bytes, total: urls.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  jobs.delete(id);
+  port.postMessage({ type: "done", done, failed, bytes, total: urls.length, cancelled: job.cancelled });
+}
+
+globalThis.addEventListener("message", (event) => {
+  const { type, id, urls } = event.data || {};
+  const port = event.ports[0];
+  if (type === "prefetch") event.waitUntil(prefetch(id, urls, port));
+  else if (type === "cancel" && jobs.has(id)) jobs.get(id).cancelled = true;
+});
@@ -1,18 +1,47 @@
 import "@/App.css";
+import { lazy, Suspense } from "react";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import { Toaster } from "@/components/ui/sonner";
 import RouteOptimizer from "@/pages/RouteOptimizer";
+import RouteManifest from "@/pages/RouteManifest";
+import LoginPage from "@/pages/LoginPage";
+import { AuthProvider, useAuth } from "@/hooks/use-auth";
+import { useI18n } from "@/hooks/use-i18n";
+import { ThemeModeProvider } from "@/hooks/use-theme-mode";
+
+// The charts are heavy: loaded on the first visit to the page, not with the app
+const Analytics = lazy(() => import("@/pages/Analytics"));
+
+// Every page needs a signed-in user. Reading the preferences here re-renders
+// the page when the language changes.
+function AppRoutes() {
+  const { user } = useAuth();
+  useI18n();
+  if (!user) return <LoginPage />;
+  return (
+    <Routes>
+      <Route path="/" element={<RouteOptimizer />} />
+      <Route path="/routes/new" element={<RouteOptimizer />} />
+      <Route path="/routes/:routeId" element={<RouteOptimizer />} />
+      <Route path="/routes/:routeId/stops/:waypointId" element={<RouteOptimizer />} />
+      <Route path="/routes/:routeId/print" element={<RouteManifest />} />
+      <Route path="/analytics" element={<Suspense fallback={null}><Analytics /></Suspense>} />
+    </Routes>
+  );
+}
 
 function App() {
   return (
-    <div className="App">
-      <BrowserRouter>
-        <Routes>
-          <Route path="/" element={<RouteOptimizer />} />
-        </Routes>
-      </BrowserRouter>
-      <Toaster position="top-right" />
-    </div>
+    <ThemeModeProvider>
+      <div className="App">
+        <AuthProvider>
+          <BrowserRouter>
+            <AppRoutes />
+          </BrowserRouter>
+        </AuthProvider>
+        <Toaster position="top-right" />
+      </div>
+    </ThemeModeProvider>
   );
 }
 
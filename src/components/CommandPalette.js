@@ -0,0 +1,224 @@
+import { useState } from "react";
+import { Dialog, DialogContent, DialogTitle } from "@/components/ui/dialog";
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandSeparator,
+  CommandShortcut,
+} from "@/components/ui/command";
+import {
+  Calculator,
+  Car,
+  Check,
+  Download,
+  Flag,
+  Footprints,
+  MapPin,
+  Plus,
+  Printer,
+  Redo2,
+  Route,
+  Sparkles,
+  Undo2,
+  XCircle,
+} from "lucide-react";
+import { EXPORT_FORMATS } from "@/lib/geo-export";
+import { PROFILE_LABELS } from "@/lib/schedule";
+import { formatShortcut } from "@/lib/shortcuts";
+import { t } from "@/lib/i18n";
+
+const ADDRESS_TARGETS = [
+  { type: "start", icon: Flag },
+  { type: "waypoint", icon: Plus },
+  { type: "end", icon: MapPin },
+];
+
+const PROFILE_ICONS = { "driving-car": Car, "foot-walking": Footprints };
+
+// Ctrl+K palette over the page's main actions. `actions` holds the page
+// callbacks, keyed like SHORTCUTS where a command has one; editing commands
+// are only listed when their callbacks are there.
+export default function CommandPalette({ routes, selectedRoute, currentStop, actions, onClose }) {
+  const [query, setQuery] = useState("");
+  const waypoints = selectedRoute?.waypoints || [];
+  const stopNumber = /^\d+$/.test(query.trim()) ? Number(query.trim()) : null;
+  const jumpTarget = stopNumber >= 1 ? waypoints[stopNumber - 1] : null;
+  const canMarkCurrent = currentStop && (currentStop.status || "pending") === "pending";
+
+  // Close first so the action can move focus or open another dialog
+  const run = (action) => () => {
+    onClose();
+    action();
+  };
+
+  const shortcut = (id) => <CommandShortcut>{formatShortcut(id)}</CommandShortcut>;
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent
+        className="overflow-hidden p-0 max-w-[95vw] sm:max-w-lg"
+        onCloseAutoFocus={(e) => e.preventDefault()}
+        data-testid="command-palette"
+      >
+        <DialogTitle className="sr-only">{t("palette.title")}</DialogTitle>
+        <Command className="[&_[cmdk-group-heading]]:px-2 [&_[cmdk-group-heading]]:font-medium [&_[cmdk-group-heading]]:text-muted-foreground [&_[cmdk-input]]:h-12 [&_[cmdk-item]]:py-2">
+          <CommandInput
+            value={query}
+            onValueChange={setQuery}
+            placeholder={t("palette.placeholder")}
+            data-testid="command-input"
+          />
+          <CommandList className="max-h-[60vh]">
+            <CommandEmpty>{t("palette.empty")}</CommandEmpty>
+
+            {jumpTarget && (
+              <CommandGroup heading={t("common.stop")}>
+                <CommandItem value={String(stopNumber)} forceMount onSelect={run(() => actions.openStop(jumpTarget))}>
+                  <MapPin />
+                  <span className="truncate">{t("palette.goToStop", { n: stopNumber, name: jumpTarget.name })}</span>
+                </CommandItem>
+              </CommandGroup>
+            )}
+
+            {selectedRoute && canMarkCurrent && (
+              <CommandGroup heading={t("palette.currentStop")}>
+                <CommandItem keywords={[t("palette.deliverKeyword"), currentStop.name]} onSelect={run(actions.delivered)} data-testid="command-delivered">
+                  <Check className="text-green-600" />
+                  <span className="truncate">{t("palette.markDelivered", { name: currentStop.name })}</span>
+                  {shortcut("delivered")}
+                </CommandItem>
+                <CommandItem keywords={[t("palette.failKeyword"), currentStop.name]} onSelect={run(actions.failed)} data-testid="command-failed">
+                  <XCircle className="text-red-500" />
+                  <span className="truncate">{t("palette.markFailed", { name: currentStop.name })}</span>
+                  {shortcut("failed")}
+                </CommandItem>
+              </CommandGroup>
+            )}
+
+            {selectedRoute && actions.addAddress && (
+              <CommandGroup heading={t("palette.addAddress")}>
+                {ADDRESS_TARGETS.map(({ type, icon: Icon }) => (
+                  <CommandItem
+                    key={type}
+                    value={`${t("palette.add")} ${query.trim()} ${t(`palette.targets.${type}`)}`}
+                    keywords={[t("palette.addressKeyword")]}
+                    forceMount={query.trim().length > 0}
+                    onSelect={run(() => actions.addAddress(type, query.trim()))}
+                    data-testid={`command-add-${type}`}
+                  >
+                    <Icon />
+                    <span className="truncate">
+                      {query.trim()
+                        ? t(`palette.addQueryAs.${type}`, { query: query.trim() })
+                        : t(`palette.addAddressAs.${type}`)}
+                    </span>
+                    {type === "waypoint" && shortcut("addStop")}
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+
+            {selectedRoute && actions.calculate && (
+              <CommandGroup heading={t("common.route")}>
+                <CommandItem onSelect={run(actions.calculate)} disabled={waypoints.length === 0}>
+                  <Calculator />
+                  {t("actions.calculate")}
+                  {shortcut("calculate")}
+                </CommandItem>
+                <CommandItem onSelect={run(actions.optimize)} disabled={waypoints.length < 2}>
+                  <Sparkles />
+                  {t("actions.optimize")}
+                  {shortcut("optimize")}
+                </CommandItem>
+                {Object.entries(PROFILE_LABELS).map(([profile, label]) => {
+                  const Icon = PROFILE_ICONS[profile] || Car;
+                  return (
+                    <CommandItem
+                      key={profile}
+                      value={t("palette.mode", { label })}
+                      keywords={[t("palette.profileKeyword")]}
+                      disabled={selectedRoute.profile === profile}
+                      onSelect={run(() => actions.changeProfile(profile))}
+                    >
+                      <Icon />
+                      {t("palette.mode", { label })}
+                    </CommandItem>
+                  );
+                })}
+                <CommandItem onSelect={run(actions.undo)}>
+                  <Undo2 />
+                  {t("actions.undo")}
+                  {shortcut("undo")}
+                </CommandItem>
+                <CommandItem onSelect={run(actions.redo)}>
+                  <Redo2 />
+                  {t("actions.redo")}
+                  {shortcut("redo")}
+                </CommandItem>
+              </CommandGroup>
+            )}
+
+            {selectedRoute && (
+              <CommandGroup heading={t("actions.export")}>
+                {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                  <CommandItem key={format} value={t("actions.exportAs", { label })} onSelect={run(() => actions.exportAs(format))}>
+                    <Download />
+                    {t("actions.exportAs", { label })}
+                  </CommandItem>
+                ))}
+                <CommandItem keywords={[t("palette.printKeyword"), t("palette.manifestKeyword")]} onSelect={run(actions.print)}>
+                  <Printer />
+                  {t("actions.print")}
+                  {shortcut("print")}
+                </CommandItem>
+              </CommandGroup>
+            )}
+
+            {waypoints.length > 0 && (
+              <>
+                <CommandSeparator />
+                <CommandGroup heading={t("common.stops")}>
+                  {waypoints.map((wp, idx) => (
+                    <CommandItem
+                      key={wp.id}
+                      value={`${idx + 1}. ${wp.name}`}
+                      keywords={[wp.address || ""]}
+                      onSelect={run(() => actions.openStop(wp))}
+                    >
+                      <span className="w-5 text-xs text-slate-400 text-right">{idx + 1}</span>
+                      <span className="truncate">{wp.name}</span>
+                    </CommandItem>
+                  ))}
+                </CommandGroup>
+              </>
+            )}
+
+            {routes.length > 1 && (
+              <>
+                <CommandSeparator />
+                <CommandGroup heading={t("common.routes")}>
+                  {routes.map((route) => (
+                    <CommandItem
+                      key={route.id}
+                      value={`${t("common.route")} ${route.name}`}
+                      disabled={route.id === selectedRoute?.id}
+                      onSelect={run(() => actions.selectRoute(route))}
+                    >
+                      <Route />
+                      <span className="truncate">{route.name}</span>
+                      <span className="ml-auto text-xs text-slate-400">{t("common.stopCount", { count: route.waypoints?.length || 0 })}</span>
+                    </CommandItem>
+                  ))}
+                </CommandGroup>
+              </>
+            )}
+          </CommandList>
+        </Command>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,214 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { Loader2, Plus, Settings2, X, XCircle } from "lucide-react";
+import {
+  FOLLOW_UPS,
+  getFailureReasons,
+  saveFailureReasons,
+  reasonKey,
+} from "@/lib/failure-reasons";
+import { t } from "@/lib/i18n";
+
+const NEW_ROUTE = "new";
+const selectClassName = "h-9 w-full px-2 rounded-md border border-slate-200 dark:border-slate-700 text-sm bg-white dark:bg-slate-900";
+
+const tomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// Required reason, optional comment and what happens to the stop next;
+// without `canReschedule` the stop just stays failed where it is
+export default function FailureReasonDialog({ wp, otherRoutes, canReschedule, onClose, onConfirm }) {
+  const [reasons, setReasons] = useState(getFailureReasons);
+  const [reason, setReason] = useState(null);
+  const [comment, setComment] = useState("");
+  const [followUp, setFollowUp] = useState("keep");
+  const [targetRouteId, setTargetRouteId] = useState(otherRoutes[0]?.id || NEW_ROUTE);
+  const [targetDate, setTargetDate] = useState(tomorrow);
+  const [isEditing, setIsEditing] = useState(false);
+  const [newReason, setNewReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const updateReasons = (next) => {
+    setReasons(next);
+    saveFailureReasons(next);
+    if (!next.some((r) => r.key === reason)) setReason(null);
+  };
+
+  const addReason = () => {
+    const label = newReason.trim();
+    if (!label) return;
+    updateReasons([...reasons, { key: reasonKey(label, reasons), label }]);
+    setNewReason("");
+  };
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    const failure = {
+      reason,
+      reasonLabel: reasons.find((r) => r.key === reason)?.label || reason,
+      comment: comment.trim() || null,
+      at: new Date().toISOString(),
+    };
+    const target = followUp !== "move" ? null
+      : targetRouteId === NEW_ROUTE ? { date: targetDate }
+      : { routeId: targetRouteId };
+    await onConfirm({ failure, followUp: { type: followUp, ...target } });
+    setSaving(false);
+  };
+
+  const canConfirm = reason && (followUp !== "move" || targetRouteId !== NEW_ROUTE || targetDate);
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && !saving && onClose()}>
+      <DialogContent className="sm:max-w-md max-w-[95vw] max-h-[90vh] overflow-y-auto" data-testid="failure-dialog">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <XCircle className="w-5 h-5 text-red-500" />
+            {t("failure.title")}
+          </DialogTitle>
+          <DialogDescription className="truncate">{wp.name}</DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm font-medium text-slate-600 dark:text-slate-300">{t("failure.reason")}</label>
+              <button
+                type="button"
+                onClick={() => setIsEditing(!isEditing)}
+                className="text-xs text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-100 flex items-center gap-1"
+                data-testid="edit-reasons-btn"
+              >
+                <Settings2 className="w-3 h-3" />
+                {isEditing ? t("common.done") : t("failure.editList")}
+              </button>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              {reasons.map((r) => (
+                <div key={r.key} className="relative">
+                  <button
+                    type="button"
+                    onClick={() => setReason(r.key)}
+                    className={`w-full text-left text-sm px-3 py-2 rounded-md border transition-colors ${
+                      reason === r.key ? "border-red-500 bg-red-50 dark:bg-red-950 text-red-700 dark:text-red-300" : "border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-700"
+                    }`}
+                    data-testid={`failure-reason-${r.key}`}
+                  >
+                    {r.label}
+                  </button>
+                  {isEditing && reasons.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => updateReasons(reasons.filter((other) => other.key !== r.key))}
+                      className="absolute -top-1.5 -right-1.5 w-5 h-5 rounded-full bg-white dark:bg-slate-900 border border-slate-300 dark:border-slate-700 flex items-center justify-center text-slate-500 dark:text-slate-400 hover:text-red-500"
+                      title={t("common.remove")}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            {isEditing && (
+              <div className="flex gap-2 mt-2">
+                <Input
+                  value={newReason}
+                  onChange={(e) => setNewReason(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && addReason()}
+                  placeholder={t("failure.newReason")}
+                  className="h-8 text-sm"
+                  data-testid="new-reason-input"
+                />
+                <Button size="sm" variant="outline" onClick={addReason} className="h-8" disabled={!newReason.trim()}>
+                  <Plus className="w-4 h-4" />
+                </Button>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="failure-comment" className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block">{t("failure.comment")}</label>
+            <Textarea
+              id="failure-comment"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder={t("failure.commentPlaceholder")}
+              rows={2}
+              className="resize-none"
+              data-testid="failure-comment"
+            />
+          </div>
+
+          {canReschedule && (
+            <div className="space-y-2">
+              <label htmlFor="failure-follow-up" className="text-sm font-medium text-slate-600 dark:text-slate-300 block">{t("failure.followUp")}</label>
+              <select
+                id="failure-follow-up"
+                value={followUp}
+                onChange={(e) => setFollowUp(e.target.value)}
+                className={selectClassName}
+                data-testid="failure-follow-up"
+              >
+                {Object.entries(FOLLOW_UPS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              {followUp === "move" && (
+                <div className="flex gap-2">
+                  <select
+                    value={targetRouteId}
+                    onChange={(e) => setTargetRouteId(e.target.value)}
+                    className={selectClassName}
+                    data-testid="failure-target-route"
+                  >
+                    {otherRoutes.map((route) => (
+                      <option key={route.id} value={route.id}>{route.name}</option>
+                    ))}
+                    <option value={NEW_ROUTE}>{t("failure.newRouteOn")}</option>
+                  </select>
+                  {targetRouteId === NEW_ROUTE && (
+                    <Input
+                      type="date"
+                      value={targetDate}
+                      onChange={(e) => setTargetDate(e.target.value)}
+                      className="h-9 w-40 flex-shrink-0"
+                      data-testid="failure-target-date"
+                    />
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter className="flex flex-col sm:flex-row gap-2">
+          <Button variant="outline" onClick={onClose} disabled={saving} className="flex-1 sm:flex-initial">
+            {t("common.cancel")}
+          </Button>
+          <Button
+            onClick={handleConfirm}
+            disabled={!canConfirm || saving}
+            className="flex-1 sm:flex-initial bg-red-500 hover:bg-red-600 text-white"
+            data-testid="failure-confirm-btn"
+          >
+            {saving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+            {t("failure.confirm")}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,131 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { AlertTriangle, FileUp, Loader2 } from "lucide-react";
+import { WAYPOINT_COLORS } from "@/lib/waypoints";
+import { t } from "@/lib/i18n";
+
+const toStop = (feature, id) => ({
+  id,
+  name: feature.name,
+  address: feature.address,
+  coordinates: feature.coordinates,
+  note: feature.note,
+  color: feature.color,
+  timeWindow: feature.timeWindow,
+  status: "pending",
+});
+
+// Review of a parsed GPX / KML / GeoJSON file before creating a route from it
+export default function GeoImportDialog({ parsed, filename, onClose, onCreate }) {
+  const validFeatures = parsed.features.filter((feature) => feature.valid);
+  const [routeName, setRouteName] = useState(parsed.name);
+  // Files exported by this app say which points are the start and the end
+  const [firstAsStart, setFirstAsStart] = useState(validFeatures[0]?.role === "start");
+  const [lastAsEnd, setLastAsEnd] = useState(
+    validFeatures.length > 1 && validFeatures[validFeatures.length - 1]?.role === "end"
+  );
+  const [creating, setCreating] = useState(false);
+
+  const startFeature = firstAsStart ? validFeatures[0] : null;
+  const endFeature = lastAsEnd && validFeatures.length > (firstAsStart ? 1 : 0) ? validFeatures[validFeatures.length - 1] : null;
+  const stopFeatures = validFeatures.filter((feature) => feature !== startFeature && feature !== endFeature);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    const stamp = Date.now();
+    await onCreate({
+      name: routeName.trim() || parsed.name || t("geoImport.defaultName"),
+      start: startFeature ? toStop(startFeature, `start-${stamp}`) : null,
+      end: endFeature ? toStop(endFeature, `end-${stamp}`) : null,
+      waypoints: stopFeatures.map((feature, i) => toStop(feature, `wp-${stamp}-${i}`)),
+    });
+    setCreating(false);
+  };
+
+  const roleLabel = (feature) => (feature === startFeature ? "A" : feature === endFeature ? "B" : null);
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && !creating && onClose()}>
+      <DialogContent className="sm:max-w-lg max-w-[95vw] max-h-[90vh] overflow-y-auto" data-testid="geo-import-dialog">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileUp className="w-5 h-5 text-blue-500" />
+            {t("geoImport.title")}
+          </DialogTitle>
+          <DialogDescription className="truncate">{filename}</DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          <Input
+            value={routeName}
+            onChange={(e) => setRouteName(e.target.value)}
+            placeholder={t("common.routeName")}
+            data-testid="geo-import-name"
+          />
+          <div className="flex flex-wrap gap-4 text-sm text-slate-600 dark:text-slate-300">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={firstAsStart} onChange={(e) => setFirstAsStart(e.target.checked)} />
+              {t("geoImport.firstAsStart")}
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={lastAsEnd} onChange={(e) => setLastAsEnd(e.target.checked)} />
+              {t("geoImport.lastAsEnd")}
+            </label>
+          </div>
+
+          <div className="text-xs text-slate-500 dark:text-slate-400">
+            {t("common.stopCount", { count: stopFeatures.length })}
+            {parsed.features.length > validFeatures.length && ` · ${t("geoImport.skipped", { count: parsed.features.length - validFeatures.length })}`}
+          </div>
+
+          <ScrollArea className="h-64">
+            {parsed.features.map((feature) => (
+              <div
+                key={feature.index}
+                className={`waypoint-item-compact gap-2 px-2 ${feature.valid ? "" : "opacity-70"}`}
+                data-testid={`geo-feature-${feature.index}`}
+              >
+                <div
+                  className="w-6 h-6 rounded-full flex items-center justify-center text-white font-bold text-[10px] flex-shrink-0"
+                  style={{ backgroundColor: feature.valid ? WAYPOINT_COLORS[feature.color].bg : "#cbd5e1" }}
+                >
+                  {roleLabel(feature)}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium truncate">{feature.name}</div>
+                  {feature.note && <div className="text-xs text-slate-500 dark:text-slate-400 truncate">{feature.note}</div>}
+                  {feature.errors.map((error) => (
+                    <div key={error} className={`text-xs flex items-center gap-1 ${feature.valid ? "text-amber-600" : "text-red-500"}`}>
+                      <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                      {error}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </ScrollArea>
+        </div>
+
+        <DialogFooter className="flex flex-col sm:flex-row gap-2">
+          <Button variant="outline" onClick={onClose} disabled={creating} className="flex-1 sm:flex-initial">
+            {t("common.cancel")}
+          </Button>
+          <Button onClick={handleCreate} disabled={creating || validFeatures.length === 0} className="flex-1 sm:flex-initial" data-testid="geo-import-create-btn">
+            {creating && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+            {t("common.createRoute")}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
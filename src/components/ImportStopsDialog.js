@@ -0,0 +1,351 @@
+import { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Progress } from "@/components/ui/progress";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { AlertTriangle, Check, FileUp, Loader2, RotateCcw, Trash2, Upload } from "lucide-react";
+import { parseCsv } from "@/lib/csv";
+import { parseTime } from "@/lib/schedule";
+import { resolveColorKey } from "@/lib/waypoints";
+import { t } from "@/lib/i18n";
+
+const GEOCODE_BATCH_SIZE = 5;
+const GEOCODE_BATCH_DELAY_MS = 1000;
+
+// Header aliases cover the French, English and Dutch spreadsheets we get
+const IMPORT_FIELDS = {
+  name: ["nom", "name", "client", "destinataire", "naam", "klant"],
+  address: ["adresse", "address", "addr", "rue", "adres", "straat"],
+  note: ["note", "notes", "commentaire", "instructions", "code", "opmerking"],
+  color: ["couleur", "color", "colour", "kleur"],
+  earliest: ["debut", "début", "earliest", "from", "au plus tot", "au plus tôt", "van"],
+  latest: ["fin", "latest", "to", "au plus tard", "tot"],
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Field -> column index, guessed from the header row
+function guessMapping(header) {
+  const normalized = header.map((cell) => cell.trim().toLowerCase());
+  const mapping = {};
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    const index = normalized.findIndex((cell) => aliases.includes(cell));
+    mapping[field] = index >= 0 ? index : null;
+  }
+  if (mapping.address == null) mapping.address = 0;
+  return mapping;
+}
+
+const validTime = (value) => !value || parseTime(value) != null;
+
+// Why a row cannot be geocoded as it stands ("missingAddress", "invalidTime"); null when it can
+function rowProblem(row) {
+  if (!row.address.trim()) return "missingAddress";
+  if (!validTime(row.earliest) || !validTime(row.latest)) return "invalidTime";
+  return null;
+}
+
+const failedFor = (problem) => ({ state: "failed", problem, error: t(`importStops.${problem}`) });
+
+function toRow(cells, mapping, index) {
+  const get = (field) => (mapping[field] != null ? cells[mapping[field]] || "" : "");
+  const row = {
+    key: index,
+    name: get("name"),
+    address: get("address"),
+    note: get("note"),
+    color: resolveColorKey(get("color")) || "blue",
+    earliest: get("earliest"),
+    latest: get("latest"),
+    state: "pending",
+    problem: null,
+    error: null,
+    geocoded: null,
+  };
+  const problem = rowProblem(row);
+  return problem ? { ...row, ...failedFor(problem) } : row;
+}
+
+// Bulk stop import: CSV / pasted spreadsheet rows -> column mapping -> throttled geocoding -> review -> POST
+export default function ImportStopsDialog({ isOpen, onClose, geocode, onImport }) {
+  const [step, setStep] = useState("source");
+  const [text, setText] = useState("");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [table, setTable] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [progress, setProgress] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const cancelledRef = useRef(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    cancelledRef.current = false;
+    setStep("source");
+    setText("");
+    setTable([]);
+    setRows([]);
+    setProgress(0);
+    return () => { cancelledRef.current = true; };
+  }, [isOpen]);
+
+  const header = hasHeader ? table[0] || [] : (table[0] || []).map((_, i) => t("importStops.column", { n: i + 1 }));
+  const dataRows = hasHeader ? table.slice(1) : table;
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setText(await file.text());
+  };
+
+  const handleParse = () => {
+    const parsed = parseCsv(text);
+    if (parsed.length === 0) return;
+    setTable(parsed);
+    setMapping(guessMapping(hasHeader ? parsed[0] : []));
+    setStep("mapping");
+  };
+
+  const geocodeRows = async (targets) => {
+    setBusy(true);
+    let done = 0;
+    setProgress(0);
+    for (let i = 0; i < targets.length; i += GEOCODE_BATCH_SIZE) {
+      if (cancelledRef.current) break;
+      const batch = targets.slice(i, i + GEOCODE_BATCH_SIZE);
+      const results = await Promise.all(batch.map((row) => geocode(row.address).catch(() => null)));
+      if (cancelledRef.current) break;
+      setRows((prev) =>
+        prev.map((row) => {
+          const k = batch.findIndex((b) => b.key === row.key);
+          if (k === -1) return row;
+          return results[k]
+            ? { ...row, state: "ok", error: null, geocoded: results[k] }
+            : { ...row, state: "failed", error: t("importStops.notFound"), geocoded: null };
+        })
+      );
+      done += batch.length;
+      setProgress(Math.round((done / targets.length) * 100));
+      if (i + GEOCODE_BATCH_SIZE < targets.length) await sleep(GEOCODE_BATCH_DELAY_MS);
+    }
+    setBusy(false);
+  };
+
+  const handleGeocode = async () => {
+    const prepared = dataRows.map((cells, i) => toRow(cells, mapping, i));
+    setRows(prepared);
+    setStep("review");
+    await geocodeRows(prepared.filter((row) => row.state === "pending"));
+  };
+
+  const updateRow = (key, updates) => {
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, ...updates } : row)));
+  };
+
+  // Checked again before geocoding: a row with a bad time stays failed
+  const retryRow = async (row) => {
+    const problem = rowProblem(row);
+    if (problem) {
+      updateRow(row.key, failedFor(problem));
+      return;
+    }
+    updateRow(row.key, { state: "pending", problem: null, error: null });
+    await geocodeRows([row]);
+  };
+
+  const handleImport = async () => {
+    const ready = rows.filter((row) => row.state === "ok");
+    setBusy(true);
+    setProgress(0);
+    const stamp = Date.now();
+    const waypoints = ready.map((row, i) => ({
+      id: `wp-${stamp}-${i}`,
+      name: row.name || row.geocoded.name,
+      address: row.geocoded.address,
+      coordinates: row.geocoded.coordinates,
+      status: "pending",
+      color: row.color,
+      note: row.note,
+      timeWindow: row.earliest || row.latest ? { earliest: row.earliest || null, latest: row.latest || null } : null,
+    }));
+    const imported = await onImport(waypoints, (count) => setProgress(Math.round((count / waypoints.length) * 100)));
+    setBusy(false);
+    if (imported === waypoints.length) onClose();
+    else {
+      const importedKeys = new Set(ready.slice(0, imported).map((row) => row.key));
+      setRows((prev) => prev.filter((row) => !importedKeys.has(row.key)));
+    }
+  };
+
+  const okCount = rows.filter((row) => row.state === "ok").length;
+  const failedRows = rows.filter((row) => row.state === "failed");
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && !busy && onClose()}>
+      <DialogContent className="sm:max-w-2xl max-w-[95vw] max-h-[90vh] overflow-y-auto" data-testid="import-dialog">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Upload className="w-5 h-5 text-blue-500" />
+            {t("importStops.title")}
+          </DialogTitle>
+          <DialogDescription>
+            {t("importStops.description")}
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === "source" && (
+          <div className="space-y-3">
+            <Textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder={t("importStops.placeholder")}
+              rows={8}
+              className="font-mono text-xs"
+              data-testid="import-text"
+            />
+            <div className="flex items-center justify-between gap-2">
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+                className="hidden"
+                onChange={(e) => handleFile(e.target.files?.[0])}
+              />
+              <Button variant="outline" size="sm" onClick={() => fileInputRef.current?.click()}>
+                <FileUp className="w-4 h-4 mr-1" />
+                {t("importStops.chooseFile")}
+              </Button>
+              <label className="text-sm text-slate-600 dark:text-slate-300 flex items-center gap-2">
+                <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+                {t("importStops.hasHeader")}
+              </label>
+            </div>
+          </div>
+        )}
+
+        {step === "mapping" && (
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+              {Object.keys(IMPORT_FIELDS).map((field) => (
+                <label key={field} className="text-xs text-slate-600 dark:text-slate-300">
+                  {t(`importStops.fields.${field}`)}
+                  <select
+                    value={mapping[field] ?? ""}
+                    onChange={(e) => setMapping({ ...mapping, [field]: e.target.value === "" ? null : Number(e.target.value) })}
+                    className="mt-1 h-8 w-full px-2 rounded-md border border-slate-200 dark:border-slate-700 text-sm bg-white dark:bg-slate-900"
+                    data-testid={`mapping-${field}`}
+                  >
+                    <option value="">—</option>
+                    {header.map((title, i) => (
+                      <option key={i} value={i}>{title || t("importStops.column", { n: i + 1 })}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">{t("importStops.previewRows", { count: dataRows.length })}</div>
+            <div className="overflow-x-auto border rounded-md">
+              <table className="text-xs w-full">
+                <thead className="bg-slate-50 dark:bg-slate-900">
+                  <tr>{header.map((title, i) => <th key={i} className="px-2 py-1 text-left font-medium">{title}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {dataRows.slice(0, 3).map((cells, r) => (
+                    <tr key={r} className="border-t">
+                      {header.map((_, i) => <td key={i} className="px-2 py-1 truncate max-w-[160px]">{cells[i]}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {step === "review" && (
+          <div className="space-y-3">
+            <Progress value={progress} data-testid="import-progress" />
+            <div className="text-sm text-slate-600 dark:text-slate-300 flex items-center gap-3">
+              <span className="flex items-center gap-1 text-green-600"><Check className="w-4 h-4" />{t("importStops.ready", { count: okCount })}</span>
+              {failedRows.length > 0 && (
+                <span className="flex items-center gap-1 text-red-500"><AlertTriangle className="w-4 h-4" />{t("importStops.toFix", { count: failedRows.length })}</span>
+              )}
+              {busy && <Loader2 className="w-4 h-4 animate-spin text-slate-400" />}
+            </div>
+            {failedRows.length > 0 && (
+              <ScrollArea className="h-56">
+                {failedRows.map((row) => (
+                  <div key={row.key} className="waypoint-item-compact gap-2 px-2" data-testid={`import-failed-${row.key}`}>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-xs text-slate-500 dark:text-slate-400 truncate">
+                        {t("importStops.line", { n: row.key + (hasHeader ? 2 : 1) })}{row.name && ` · ${row.name}`} · <span className="text-red-500">{row.error}</span>
+                      </div>
+                      <Input
+                        value={row.address}
+                        onChange={(e) => updateRow(row.key, { address: e.target.value })}
+                        onKeyDown={(e) => e.key === "Enter" && retryRow(row)}
+                        className="h-8 text-sm mt-1"
+                      />
+                      {row.problem === "invalidTime" && (
+                        <div className="grid grid-cols-2 gap-2 mt-1">
+                          {["earliest", "latest"].map((field) => (
+                            <Input
+                              key={field}
+                              value={row[field]}
+                              onChange={(e) => updateRow(row.key, { [field]: e.target.value })}
+                              onKeyDown={(e) => e.key === "Enter" && retryRow(row)}
+                              placeholder={t(`importStops.fields.${field}`)}
+                              aria-label={t(`importStops.fields.${field}`)}
+                              className="h-8 text-sm"
+                              data-testid={`import-${field}-${row.key}`}
+                            />
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => retryRow(row)} disabled={busy} aria-label={t("common.retry")}>
+                      <RotateCcw className="w-4 h-4" />
+                    </Button>
+                    <Button size="icon" variant="ghost" className="h-8 w-8 text-slate-400 hover:text-red-500" onClick={() => updateRow(row.key, { state: "removed" })} aria-label={t("common.remove")}>
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                ))}
+              </ScrollArea>
+            )}
+          </div>
+        )}
+
+        <DialogFooter className="flex flex-col sm:flex-row gap-2">
+          <Button variant="outline" onClick={onClose} disabled={busy} className="flex-1 sm:flex-initial">
+            {t("common.cancel")}
+          </Button>
+          {step === "source" && (
+            <Button onClick={handleParse} disabled={!text.trim()} className="flex-1 sm:flex-initial" data-testid="import-parse-btn">
+              {t("common.next")}
+            </Button>
+          )}
+          {step === "mapping" && (
+            <Button onClick={handleGeocode} disabled={mapping.address == null || dataRows.length === 0} className="flex-1 sm:flex-initial" data-testid="import-geocode-btn">
+              {t("importStops.geocode", { count: dataRows.length })}
+            </Button>
+          )}
+          {step === "review" && (
+            <Button onClick={handleImport} disabled={busy || okCount === 0} className="flex-1 sm:flex-initial" data-testid="import-submit-btn">
+              {busy && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+              {t("importStops.submit", { count: okCount })}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
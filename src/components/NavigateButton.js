@@ -0,0 +1,88 @@
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Check, ChevronDown, Navigation2 } from "lucide-react";
+import {
+  NAV_APPS,
+  MAX_GOOGLE_WAYPOINTS,
+  buildNavUrl,
+  buildMultiStopUrl,
+} from "@/lib/navigation";
+import { t } from "@/lib/i18n";
+
+const MULTI_STOP_COUNTS = [3, 5, MAX_GOOGLE_WAYPOINTS + 1];
+
+const linkProps = (url) => (url.startsWith("http") ? { href: url, target: "_blank", rel: "noopener noreferrer" } : { href: url });
+
+// "Naviguer" split button for the current stop: opens the preferred app, the
+// menu picks another one (remembered) or a multi-stop Google Maps run
+export function NavigateButton({ wp, profile, navApp, onNavAppChange, nextStops = [] }) {
+  const multiStopCounts = [...new Set(MULTI_STOP_COUNTS.map((n) => Math.min(n, nextStops.length)))].filter((n) => n > 1);
+
+  return (
+    <div className="flex" data-testid="navigate-btn-group">
+      <Button asChild size="sm" className="h-8 rounded-r-none bg-blue-500 hover:bg-blue-600" data-testid="navigate-btn">
+        <a {...linkProps(buildNavUrl(navApp, wp, profile))}>
+          <Navigation2 className="w-3 h-3 mr-1" />
+          {t("navigation.navigate")}
+        </a>
+      </Button>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button size="sm" className="h-8 px-1.5 rounded-l-none border-l border-blue-400 bg-blue-500 hover:bg-blue-600" data-testid="navigate-menu-btn">
+            <ChevronDown className="w-3 h-3" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end" className="w-60">
+          <DropdownMenuLabel className="text-xs text-slate-500 dark:text-slate-400">{t("navigation.openWith")}</DropdownMenuLabel>
+          {Object.entries(NAV_APPS).map(([app, { label }]) => (
+            <DropdownMenuItem key={app} asChild onSelect={() => onNavAppChange(app)} data-testid={`navigate-app-${app}`}>
+              <a {...linkProps(buildNavUrl(app, wp, profile))}>
+                <Check className={`w-3 h-3 mr-2 ${app === navApp ? "" : "invisible"}`} />
+                {label}
+              </a>
+            </DropdownMenuItem>
+          ))}
+          {multiStopCounts.length > 0 && (
+            <>
+              <DropdownMenuSeparator />
+              <DropdownMenuLabel className="text-xs text-slate-500 dark:text-slate-400">{t("navigation.googleRun")}</DropdownMenuLabel>
+              {multiStopCounts.map((count) => (
+                <DropdownMenuItem key={count} asChild data-testid={`navigate-multi-${count}`}>
+                  <a {...linkProps(buildMultiStopUrl(nextStops.slice(0, count), profile))}>
+                    {t("navigation.nextStops", { count })}
+                  </a>
+                </DropdownMenuItem>
+              ))}
+            </>
+          )}
+        </DropdownMenuContent>
+      </DropdownMenu>
+    </div>
+  );
+}
+
+// Plain links for marker popups, where a portalled menu would open under the map
+export function NavigateLinks({ wp, profile, navApp }) {
+  const others = Object.keys(NAV_APPS).filter((app) => app !== navApp);
+  return (
+    <div className="mt-2 text-xs" data-testid="popup-navigate">
+      <a {...linkProps(buildNavUrl(navApp, wp, profile))} className="font-medium text-blue-600">
+        {t("navigation.navigateWith", { app: NAV_APPS[navApp].label })}
+      </a>
+      <div className="mt-1 flex flex-wrap gap-x-2 text-slate-500 dark:text-slate-400">
+        {others.map((app) => (
+          <a key={app} {...linkProps(buildNavUrl(app, wp, profile))} className="text-slate-500 dark:text-slate-400">
+            {NAV_APPS[app].label}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Progress } from "@/components/ui/progress";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { AlertTriangle, CloudDownload, Loader2, Trash2 } from "lucide-react";
+import {
+  AVERAGE_TILE_BYTES,
+  DEFAULT_ZOOMS,
+  MAX_PREFETCH_TILES,
+  TILE_TEMPLATES,
+  corridorTiles,
+  routePath,
+  tileUrl,
+} from "@/lib/tiles";
+import {
+  clearTileCache,
+  countCachedTiles,
+  getStorageEstimate,
+  isTileCacheSupported,
+  prefetchTiles,
+  requestPersistentStorage,
+} from "@/lib/tile-cache";
+import { formatBytes } from "@/lib/format";
+import { t } from "@/lib/i18n";
+
+const MIN_ZOOM = 8;
+const MAX_ZOOM = 18;
+
+const clampZoom = (value) => Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, Number(value) || MIN_ZOOM));
+
+// Pre-fetches the map tiles around a route so the map works without signal
+export default function OfflineTilesDialog({ route, onClose }) {
+  const [minZoom, setMinZoom] = useState(DEFAULT_ZOOMS.min);
+  const [maxZoom, setMaxZoom] = useState(DEFAULT_ZOOMS.max);
+  const [buffer, setBuffer] = useState(1);
+  const [storage, setStorage] = useState(null);
+  const [cachedCount, setCachedCount] = useState(0);
+  const [progress, setProgress] = useState(null);
+  const jobRef = useRef(null);
+
+  const tiles = useMemo(
+    () => corridorTiles(routePath(route), { min: minZoom, max: Math.max(minZoom, maxZoom) }, buffer),
+    [route, minZoom, maxZoom, buffer]
+  );
+  const urls = useMemo(
+    () => TILE_TEMPLATES.flatMap((template) => tiles.map(({ z, x, y }) => tileUrl(z, x, y, template))),
+    [tiles]
+  );
+  const estimatedBytes = urls.length * AVERAGE_TILE_BYTES;
+  const tooMany = urls.length > MAX_PREFETCH_TILES;
+  const noRoom = storage != null && storage.quota > 0 && estimatedBytes > storage.available;
+  const downloading = progress != null && !progress.finished;
+
+  const refreshStats = useCallback(async () => {
+    setStorage(await getStorageEstimate());
+    setCachedCount(await countCachedTiles());
+  }, []);
+
+  useEffect(() => {
+    refreshStats();
+    // Leaving the dialog stops the download
+    return () => jobRef.current?.cancel();
+  }, [refreshStats]);
+
+  const handleDownload = async () => {
+    await requestPersistentStorage();
+    const job = prefetchTiles(urls, setProgress);
+    jobRef.current = job;
+    setProgress({ done: 0, failed: 0, bytes: 0, total: urls.length });
+    let result;
+    try {
+      result = await job.promise;
+    } catch (error) {
+      console.error("Tile download failed:", error);
+      jobRef.current = null;
+      setProgress(null);
+      toast.error(t("offlineTiles.workerUnavailable"));
+      return;
+    }
+    jobRef.current = null;
+    setProgress({ ...result, finished: true });
+    if (result.cancelled) toast(t("offlineTiles.interrupted"));
+    else if (result.failed > 0) toast.error(t("offlineTiles.failedTiles", { count: result.failed }));
+    else toast.success(t("offlineTiles.ready"));
+    refreshStats();
+  };
+
+  const handleClear = async () => {
+    await clearTileCache();
+    setProgress(null);
+    refreshStats();
+    toast.success(t("offlineTiles.cleared"));
+  };
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md max-w-[95vw]" data-testid="offline-tiles-dialog">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <CloudDownload className="w-5 h-5 text-blue-500" />
+            {t("offlineTiles.title")}
+          </DialogTitle>
+          <DialogDescription>
+            {t("offlineTiles.description", { name: route.name })}
+          </DialogDescription>
+        </DialogHeader>
+
+        {!isTileCacheSupported() ? (
+          <div className="text-sm text-slate-600 dark:text-slate-300">{t("offlineTiles.unsupported")}</div>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-2">
+              <label className="text-xs text-slate-500 dark:text-slate-400">
+                {t("offlineTiles.minZoom")}
+                <Input type="number" min={MIN_ZOOM} max={MAX_ZOOM} value={minZoom} disabled={downloading}
+                  onChange={(e) => setMinZoom(clampZoom(e.target.value))} className="h-8 mt-1" data-testid="tiles-min-zoom" />
+              </label>
+              <label className="text-xs text-slate-500 dark:text-slate-400">
+                {t("offlineTiles.maxZoom")}
+                <Input type="number" min={MIN_ZOOM} max={MAX_ZOOM} value={maxZoom} disabled={downloading}
+                  onChange={(e) => setMaxZoom(clampZoom(e.target.value))} className="h-8 mt-1" data-testid="tiles-max-zoom" />
+              </label>
+              <label className="text-xs text-slate-500 dark:text-slate-400">
+                {t("offlineTiles.buffer")}
+                <Input type="number" min={0} max={3} value={buffer} disabled={downloading}
+                  onChange={(e) => setBuffer(Math.max(0, Math.min(3, Number(e.target.value) || 0)))} className="h-8 mt-1" data-testid="tiles-buffer" />
+              </label>
+            </div>
+
+            <div className="text-sm space-y-1">
+              <div className="flex justify-between">
+                <span className="text-slate-500 dark:text-slate-400">{t("offlineTiles.tiles")}</span>
+                <span data-testid="tiles-count">{urls.length}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-slate-500 dark:text-slate-400">{t("offlineTiles.estimatedSize")}</span>
+                <span data-testid="tiles-size">~{formatBytes(estimatedBytes)}</span>
+              </div>
+              {storage && storage.quota > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-slate-500 dark:text-slate-400">{t("offlineTiles.used")}</span>
+                  <span>{formatBytes(storage.usage)} / {formatBytes(storage.quota)}</span>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span className="text-slate-500 dark:text-slate-400">{t("offlineTiles.cached")}</span>
+                <span>{t("offlineTiles.tileCount", { count: cachedCount })}</span>
+              </div>
+            </div>
+
+            {(tooMany || noRoom) && (
+              <div className="text-xs text-amber-600 flex items-start gap-1">
+                <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                {tooMany
+                  ? t("offlineTiles.tooMany", { max: MAX_PREFETCH_TILES })
+                  : t("offlineTiles.noRoom")}
+              </div>
+            )}
+
+            {progress && (
+              <div className="space-y-1">
+                <Progress value={(progress.done / Math.max(1, progress.total)) * 100} />
+                <div className="text-xs text-slate-500 dark:text-slate-400 flex justify-between">
+                  <span>{progress.done} / {progress.total}{progress.failed > 0 && ` · ${t("offlineTiles.failures", { count: progress.failed })}`}</span>
+                  <span>{formatBytes(progress.bytes)}</span>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter className="flex flex-col sm:flex-row gap-2">
+          <Button variant="outline" onClick={handleClear} disabled={downloading || cachedCount === 0} className="flex-1 sm:flex-initial" data-testid="tiles-clear-btn">
+            <Trash2 className="w-4 h-4 mr-1" />
+            {t("offlineTiles.clear")}
+          </Button>
+          {downloading ? (
+            <Button variant="outline" onClick={() => jobRef.current?.cancel()} className="flex-1 sm:flex-initial" data-testid="tiles-cancel-btn">
+              <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+              {t("offlineTiles.stop")}
+            </Button>
+          ) : (
+            <Button
+              onClick={handleDownload}
+              disabled={!isTileCacheSupported() || tooMany || noRoom || urls.length === 0}
+              className="flex-1 sm:flex-initial bg-slate-900 dark:bg-slate-700"
+              data-testid="tiles-download-btn"
+            >
+              {t("offlineTiles.download")}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
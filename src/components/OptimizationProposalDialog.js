@@ -0,0 +1,98 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { AlertTriangle, Loader2, Sparkles } from "lucide-react";
+import { formatDistance } from "@/lib/format";
+import { t } from "@/lib/i18n";
+
+// Proposed stop order computed in the browser, applied only on confirmation
+export default function OptimizationProposalDialog({ route, proposal, onClose, onApply }) {
+  const [saving, setSaving] = useState(false);
+
+  if (!route || !proposal || proposal.order.length !== route.waypoints.length) return null;
+
+  const orderedWaypoints = proposal.order.map((i) => route.waypoints[i]);
+  const saved = proposal.initialDistance - proposal.distance;
+  const savedPercent = proposal.initialDistance > 0 ? Math.round((saved / proposal.initialDistance) * 100) : 0;
+  const unchanged = proposal.order.every((wpIndex, i) => wpIndex === i);
+
+  const handleApply = async () => {
+    setSaving(true);
+    await onApply(orderedWaypoints);
+    setSaving(false);
+  };
+
+  return (
+    <Dialog open onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-md max-w-[95vw] max-h-[90vh] overflow-y-auto" data-testid="optimization-proposal">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Sparkles className="w-5 h-5 text-blue-500" />
+            {t("proposal.title")}
+          </DialogTitle>
+          <DialogDescription>
+            {t("proposal.description")}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex gap-4 text-sm">
+          <div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">{t("proposal.current")}</div>
+            <div className="font-semibold">{formatDistance(proposal.initialDistance)}</div>
+          </div>
+          <div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">{t("proposal.proposed")}</div>
+            <div className="font-semibold text-blue-600">{formatDistance(proposal.distance)}</div>
+          </div>
+          {savedPercent > 0 && (
+            <div>
+              <div className="text-xs text-slate-500 dark:text-slate-400">{t("proposal.gain")}</div>
+              <div className="font-semibold text-green-600">-{savedPercent}%</div>
+            </div>
+          )}
+        </div>
+
+        {proposal.lateStops > 0 && (
+          <p className="text-sm text-red-500 flex items-center gap-1">
+            <AlertTriangle className="w-4 h-4" />
+            {t("proposal.lateStops", { count: proposal.lateStops })}
+          </p>
+        )}
+
+        <ScrollArea className="h-56">
+          {orderedWaypoints.map((wp, idx) => (
+            <div key={wp.id} className="waypoint-item-compact">
+              <div className="w-7 h-7 rounded-full flex items-center justify-center text-white font-bold text-xs flex-shrink-0 bg-blue-500 ml-1">
+                {idx + 1}
+              </div>
+              <div className="flex-1 min-w-0 mx-2">
+                <div className="font-medium text-sm truncate">{wp.name}</div>
+                {proposal.order[idx] !== idx && (
+                  <div className="text-xs text-slate-400">{t("proposal.before", { n: proposal.order[idx] + 1 })}</div>
+                )}
+              </div>
+            </div>
+          ))}
+        </ScrollArea>
+
+        <DialogFooter className="flex flex-col sm:flex-row gap-2">
+          <Button variant="outline" onClick={onClose} className="flex-1 sm:flex-initial">
+            {t("common.cancel")}
+          </Button>
+          <Button onClick={handleApply} disabled={saving || unchanged} className="flex-1 sm:flex-initial" data-testid="apply-proposal-btn">
+            {saving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+            {t("common.apply")}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
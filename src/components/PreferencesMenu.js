@@ -0,0 +1,85 @@
+import { Languages, SunMoon } from "lucide-react";
+import { useI18n } from "@/hooks/use-i18n";
+import { useThemeMode } from "@/hooks/use-theme-mode";
+import { formatDateTime } from "@/lib/format";
+import { LOCALES, t } from "@/lib/i18n";
+import { THEME_CHOICES, todaySunTimes } from "@/lib/theme";
+
+const selectClassName = "h-8 w-full px-2 rounded-md border border-slate-200 dark:border-slate-700 text-sm bg-white dark:bg-slate-900";
+
+const formatSunTime = (date) => formatDateTime(date, { hour: "2-digit", minute: "2-digit" });
+
+// Language, distance units, clock and theme, each remembered on this device
+export default function PreferencesMenu() {
+  const { locale, units, clock, setPreferences } = useI18n();
+  const { choice, setThemeChoice } = useThemeMode();
+  const { sunrise, sunset } = todaySunTimes();
+
+  return (
+    <div className="space-y-2" data-testid="preferences-menu">
+      <label className="text-xs text-slate-500 dark:text-slate-400 block">
+        <span className="flex items-center gap-1 mb-1">
+          <Languages className="w-3 h-3" />
+          {t("preferences.language")}
+        </span>
+        <select
+          value={locale}
+          onChange={(e) => setPreferences({ locale: e.target.value })}
+          className={selectClassName}
+          data-testid="preferences-locale"
+        >
+          {Object.entries(LOCALES).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs text-slate-500 dark:text-slate-400 block">
+          {t("preferences.units")}
+          <select
+            value={units}
+            onChange={(e) => setPreferences({ units: e.target.value })}
+            className={`${selectClassName} mt-1`}
+            data-testid="preferences-units"
+          >
+            <option value="metric">{t("preferences.metric")}</option>
+            <option value="imperial">{t("preferences.imperial")}</option>
+          </select>
+        </label>
+        <label className="text-xs text-slate-500 dark:text-slate-400 block">
+          {t("preferences.clock")}
+          <select
+            value={clock}
+            onChange={(e) => setPreferences({ clock: e.target.value })}
+            className={`${selectClassName} mt-1`}
+            data-testid="preferences-clock"
+          >
+            <option value="24h">{t("preferences.24h")}</option>
+            <option value="12h">{t("preferences.12h")}</option>
+          </select>
+        </label>
+      </div>
+      <label className="text-xs text-slate-500 dark:text-slate-400 block">
+        <span className="flex items-center gap-1 mb-1">
+          <SunMoon className="w-3 h-3" />
+          {t("preferences.theme")}
+        </span>
+        <select
+          value={choice}
+          onChange={(e) => setThemeChoice(e.target.value)}
+          className={selectClassName}
+          data-testid="preferences-theme"
+        >
+          {Object.entries(THEME_CHOICES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        {choice === "auto" && sunrise && (
+          <span className="block mt-1" data-testid="preferences-theme-hint">
+            {t("theme.autoHint", { sunset: formatSunTime(sunset), sunrise: formatSunTime(sunrise) })}
+          </span>
+        )}
+      </label>
+    </div>
+  );
+}
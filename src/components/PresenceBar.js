@@ -0,0 +1,34 @@
+import { Eye } from "lucide-react";
+import { REALTIME_URL } from "@/lib/realtime";
+import { t } from "@/lib/i18n";
+
+const viewerName = (viewer) => viewer.name || t("presence.someone");
+
+// "Julie consulte cet itinéraire", "Julie et Marc consultent…", "Julie et 2 autres…"
+function describeViewers(viewers) {
+  if (viewers.length === 0) return null;
+  const [first, second] = viewers.map(viewerName);
+  if (viewers.length === 1) return t("presence.one", { first });
+  if (viewers.length === 2) return t("presence.two", { first, second });
+  return t("presence.many", { first, count: viewers.length - 1 });
+}
+
+// Who else has the route open, and whether live changes are coming through
+export default function PresenceBar({ viewers, status }) {
+  if (!REALTIME_URL) return null;
+
+  const text = describeViewers(viewers);
+  return (
+    <div className="flex items-center gap-2 mb-3 text-xs text-slate-500 dark:text-slate-400" data-testid="presence-bar">
+      <span
+        className={`w-2 h-2 rounded-full flex-shrink-0 ${status === "open" ? "bg-green-500" : "bg-slate-300"}`}
+        title={status === "open" ? t("presence.live") : t("presence.reconnecting")}
+        data-testid="realtime-status"
+      />
+      <span className="flex-1 min-w-0 truncate flex items-center gap-1" title={viewers.map(viewerName).join(", ")} data-testid="presence-text">
+        {text && <Eye className="w-3 h-3 flex-shrink-0 text-amber-500" />}
+        {text || t("presence.nobody")}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { useRef, useState } from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { Camera, Check, Loader2, X } from "lucide-react";
+import SignaturePad from "@/components/SignaturePad";
+import { compressImage } from "@/lib/image";
+import { formatDateTime } from "@/lib/format";
+import { t } from "@/lib/i18n";
+
+// Recipient name, signature and photo collected before a stop is marked delivered
+export function ProofOfDeliveryDialog({ wp, onClose, onConfirm }) {
+  const [recipientName, setRecipientName] = useState("");
+  const [signature, setSignature] = useState(null);
+  const [photo, setPhoto] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handlePhoto = async (file) => {
+    if (!file) return;
+    setProcessing(true);
+    try {
+      setPhoto(await compressImage(file));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    await onConfirm({
+      recipientName: recipientName.trim() || null,
+      signature,
+      photo,
+      capturedAt: new Date().toISOString(),
+    });
+    setSaving(false);
+  };
+
+  // A signature needs a name to mean anything; a photo stands on its own
+  const canConfirm = (signature && recipientName.trim()) || photo;
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && !saving && onClose()}>
+      <DialogContent className="sm:max-w-md max-w-[95vw] max-h-[90vh] overflow-y-auto" data-testid="proof-dialog">
+        <DialogHeader>
+          <DialogTitle>{t("proof.title")}</DialogTitle>
+          <DialogDescription className="truncate">{wp.name}</DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="recipient-name" className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block">{t("proof.recipient")}</label>
+            <Input
+              id="recipient-name"
+              value={recipientName}
+              onChange={(e) => setRecipientName(e.target.value)}
+              placeholder={t("proof.recipientPlaceholder")}
+              data-testid="recipient-name-input"
+            />
+          </div>
+
+          <div>
+            <label className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block">{t("proof.signature")}</label>
+            <SignaturePad onChange={setSignature} />
+          </div>
+
+          <div>
+            <label className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block">{t("proof.photo")}</label>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              capture="environment"
+              className="hidden"
+              onChange={(e) => { handlePhoto(e.target.files?.[0]); e.target.value = ""; }}
+              data-testid="proof-photo-input"
+            />
+            {photo ? (
+              <div className="relative">
+                <img src={photo} alt={t("proof.photoAlt")} className="w-full max-h-48 object-contain rounded-md border" />
+                <button
+                  type="button"
+                  onClick={() => setPhoto(null)}
+                  className="absolute top-2 right-2 p-1 rounded bg-white/80 dark:bg-slate-900/80 hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-500 dark:text-slate-400"
+                  title={t("common.remove")}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            ) : (
+              <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={processing} className="w-full" data-testid="proof-photo-btn">
+                {processing ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Camera className="w-4 h-4 mr-2" />}
+                {t("proof.takePhoto")}
+              </Button>
+            )}
+          </div>
+
+          {!canConfirm && (
+            <p className="text-xs text-slate-500 dark:text-slate-400">{t("proof.required")}</p>
+          )}
+        </div>
+
+        <DialogFooter className="flex flex-col sm:flex-row gap-2">
+          <Button variant="outline" onClick={onClose} disabled={saving} className="flex-1 sm:flex-initial">
+            {t("common.cancel")}
+          </Button>
+          <Button
+            onClick={handleConfirm}
+            disabled={!canConfirm || saving || processing}
+            className="flex-1 sm:flex-initial bg-green-500 hover:bg-green-600 text-white"
+            data-testid="proof-confirm-btn"
+          >
+            {saving ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Check className="w-4 h-4 mr-1" />}
+            {t("proof.confirm")}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// Read-only view of a stored proof, for the stop detail dialog. Images are
+// links to the uploaded files, or data URLs while still waiting to go up.
+export function ProofOfDeliveryView({ proof }) {
+  const signature = proof.signatureUrl || proof.signature;
+  const photo = proof.photoUrl || proof.photo;
+  return (
+    <div className="space-y-2 text-sm" data-testid="proof-view">
+      <div className="text-slate-600 dark:text-slate-300">
+        {proof.recipientName ? t("proof.receivedBy", { name: proof.recipientName }) : t("proof.noRecipient")}
+        {proof.capturedAt && (
+          <span className="text-slate-400">
+            {" · "}{formatDateTime(proof.capturedAt, { dateStyle: "short", timeStyle: "short" })}
+          </span>
+        )}
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        {signature && (
+          <img src={signature} alt={t("proof.signature")} className="w-full h-24 object-contain rounded-md border bg-white" />
+        )}
+        {photo && (
+          <a href={photo} download={`${t("proof.fileName")}.jpg`} title={t("proof.download")}>
+            <img src={photo} alt={t("proof.photoAlt")} className="w-full h-24 object-cover rounded-md border" />
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
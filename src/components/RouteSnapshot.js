@@ -0,0 +1,70 @@
+import { WAYPOINT_COLORS } from "@/lib/waypoints";
+import { t } from "@/lib/i18n";
+
+const PADDING = 24;
+
+const mercatorY = (latitude) => {
+  const rad = (latitude * Math.PI) / 180;
+  return Math.log(Math.tan(Math.PI / 4 + rad / 2));
+};
+
+// Static SVG rendering of a route's path and numbered stops, for print
+export default function RouteSnapshot({ route, width = 700, height = 380 }) {
+  const stops = [
+    ...(route.start?.coordinates ? [{ ...route.start.coordinates, label: "A", color: "#22c55e" }] : []),
+    ...(route.waypoints || []).map((wp, idx) => ({
+      ...wp.coordinates,
+      label: String(idx + 1),
+      color: (WAYPOINT_COLORS[wp.color] || WAYPOINT_COLORS.blue).bg,
+    })),
+    ...(route.end?.coordinates ? [{ ...route.end.coordinates, label: "B", color: "#ef4444" }] : []),
+  ];
+  const path = route.geometry?.coordinates?.length
+    ? route.geometry.coordinates.map(([longitude, latitude]) => ({ latitude, longitude }))
+    : stops;
+  const all = [...path, ...stops];
+  if (all.length === 0) return null;
+
+  const xs = all.map((p) => p.longitude);
+  const ys = all.map((p) => mercatorY(p.latitude));
+  const minX = Math.min(...xs);
+  const maxY = Math.max(...ys);
+  const spanX = Math.max(Math.max(...xs) - minX, 1e-6);
+  const spanY = Math.max(maxY - Math.min(...ys), 1e-6);
+  const scale = Math.min(
+    (width - 2 * PADDING) / ((spanX * Math.PI) / 180),
+    (height - 2 * PADDING) / spanY
+  );
+  const offsetX = (width - ((spanX * Math.PI) / 180) * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+  const project = (p) => [
+    offsetX + (((p.longitude - minX) * Math.PI) / 180) * scale,
+    offsetY + (maxY - mercatorY(p.latitude)) * scale,
+  ];
+
+  const points = path.map((p) => project(p).map((v) => v.toFixed(1)).join(",")).join(" ");
+
+  return (
+    <svg
+      className="route-snapshot"
+      viewBox={`0 0 ${width} ${height}`}
+      width="100%"
+      role="img"
+      aria-label={t("snapshot.label", { name: route.name })}
+    >
+      <rect width={width} height={height} fill="#f8fafc" stroke="#e2e8f0" />
+      <polyline points={points} fill="none" stroke="#3b82f6" strokeWidth="3" strokeLinejoin="round" strokeLinecap="round" />
+      {stops.map((stop, i) => {
+        const [x, y] = project(stop);
+        return (
+          <g key={i}>
+            <circle cx={x} cy={y} r="9" fill={stop.color} stroke="white" strokeWidth="1.5" />
+            <text x={x} y={y + 3.5} textAnchor="middle" fontSize="9" fontWeight="700" fill="white">
+              {stop.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
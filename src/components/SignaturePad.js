@@ -0,0 +1,91 @@
+import { useEffect, useRef, useState } from "react";
+import { Eraser } from "lucide-react";
+import { t } from "@/lib/i18n";
+
+const HEIGHT = 160;
+
+// Finger / mouse signature on a canvas; onChange gets a PNG data URL, or null once cleared
+export default function SignaturePad({ onChange }) {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const [isEmpty, setIsEmpty] = useState(true);
+
+  // Back the canvas with device pixels so strokes stay sharp
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * ratio;
+    canvas.height = HEIGHT * ratio;
+    const context = canvas.getContext("2d");
+    context.scale(ratio, ratio);
+    context.lineWidth = 2;
+    context.lineCap = "round";
+    context.lineJoin = "round";
+    context.strokeStyle = "#0f172a";
+  }, []);
+
+  const pointFrom = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [event.clientX - rect.left, event.clientY - rect.top];
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    drawingRef.current = true;
+    const context = canvasRef.current.getContext("2d");
+    context.beginPath();
+    context.moveTo(...pointFrom(event));
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawingRef.current) return;
+    const context = canvasRef.current.getContext("2d");
+    context.lineTo(...pointFrom(event));
+    context.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    setIsEmpty(false);
+    onChange(canvasRef.current.toDataURL("image/png"));
+  };
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    setIsEmpty(true);
+    onChange(null);
+  };
+
+  return (
+    <div className="relative">
+      {/* The ink is dark, so the pad stays white in either theme */}
+      <canvas
+        ref={canvasRef}
+        className="w-full rounded-md border border-slate-300 dark:border-slate-700 bg-white touch-none cursor-crosshair"
+        style={{ height: HEIGHT }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        data-testid="signature-pad"
+      />
+      {isEmpty ? (
+        <span className="absolute inset-x-0 bottom-3 text-center text-xs text-slate-400 pointer-events-none">
+          {t("proof.signHere")}
+        </span>
+      ) : (
+        <button
+          type="button"
+          onClick={handleClear}
+          className="absolute top-2 right-2 p-1 rounded bg-white/80 dark:bg-slate-900/80 hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-500 dark:text-slate-400"
+          title={t("proof.clearSignature")}
+          data-testid="signature-clear"
+        >
+          <Eraser className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { AlertTriangle, Loader2, Truck, X } from "lucide-react";
+import { buildSolverPayload, runLocalSplit } from "@/lib/local-optimizer";
+import { BALANCE_MODES, getVehicleColor } from "@/lib/partition";
+import { formatDistance, formatDuration } from "@/lib/format";
+import { formatLoadValue, hasLoad, LOAD_DIMENSIONS } from "@/lib/load";
+import { t } from "@/lib/i18n";
+
+const MIN_VEHICLES = 2;
+const MAX_VEHICLES = 10;
+
+// Vehicle count and balancing criterion for splitting a route
+export function SplitRouteDialog({ route, minVehicles = MIN_VEHICLES, isOpen, onClose, onPreview }) {
+  const [vehicles, setVehicles] = useState(MIN_VEHICLES);
+  const [balanceBy, setBalanceBy] = useState("count");
+  const [computing, setComputing] = useState(false);
+
+  const stopCount = route?.waypoints?.length || 0;
+  const maxVehicles = Math.min(MAX_VEHICLES, stopCount);
+  const capacityVehicles = Number.isFinite(minVehicles) ? minVehicles : maxVehicles;
+
+  // Start from the smallest fleet able to carry the load
+  useEffect(() => {
+    if (isOpen) setVehicles(Math.max(MIN_VEHICLES, Math.min(maxVehicles, capacityVehicles)));
+  }, [isOpen, maxVehicles, capacityVehicles]);
+
+  const handleCompute = async () => {
+    setComputing(true);
+    try {
+      const parts = await runLocalSplit({ ...buildSolverPayload(route), vehicles, balanceBy });
+      onPreview({ routeId: route.id, balanceBy, parts });
+      onClose();
+    } catch (error) {
+      toast.error(t("api.error"));
+    } finally {
+      setComputing(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-md max-w-[95vw]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Truck className="w-5 h-5 text-blue-500" />
+            {t("split.title")}
+          </DialogTitle>
+          <DialogDescription>
+            {t("split.description", { count: stopCount })}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          <div>
+            <label htmlFor="vehicle-count" className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block">
+              {t("split.vehicles")}
+            </label>
+            <Input
+              id="vehicle-count"
+              type="number"
+              min={MIN_VEHICLES}
+              max={maxVehicles}
+              value={vehicles}
+              onChange={(e) => setVehicles(Math.max(MIN_VEHICLES, Math.min(maxVehicles, Number(e.target.value) || MIN_VEHICLES)))}
+              data-testid="vehicle-count-input"
+            />
+            {capacityVehicles > MIN_VEHICLES && (
+              <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                {t("split.capacityMinimum", { count: capacityVehicles })}
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-2 block">{t("split.balanceBy")}</label>
+            <div className="profile-toggle">
+              {Object.entries(BALANCE_MODES).map(([mode, label]) => (
+                <button
+                  key={mode}
+                  className={`profile-btn ${balanceBy === mode ? "active" : ""}`}
+                  onClick={() => setBalanceBy(mode)}
+                  data-testid={`balance-${mode}-btn`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <DialogFooter className="flex flex-col sm:flex-row gap-2">
+          <Button variant="outline" onClick={onClose} className="flex-1 sm:flex-initial">
+            {t("common.cancel")}
+          </Button>
+          <Button onClick={handleCompute} disabled={computing || stopCount < MIN_VEHICLES} className="flex-1 sm:flex-initial" data-testid="compute-split-btn">
+            {computing && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+            {t("split.preview")}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// Sub-routes drawn on the map, waiting to be created as routes
+export function SplitPreviewPanel({ route, preview, onCreate, onDiscard }) {
+  const [creating, setCreating] = useState(false);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    await onCreate();
+    setCreating(false);
+  };
+
+  return (
+    <div className="mb-3 p-3 rounded-lg border border-blue-200 bg-blue-50 dark:bg-blue-950" data-testid="split-preview">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-medium text-slate-700 dark:text-slate-100 flex items-center gap-1">
+          <Truck className="w-4 h-4" />
+          {t("split.runs", { count: preview.parts.length })} · {BALANCE_MODES[preview.balanceBy].toLowerCase()}
+        </span>
+        <button onClick={onDiscard} className="p-1 hover:bg-blue-100 rounded" aria-label={t("split.closePreview")}>
+          <X className="w-4 h-4 text-slate-500 dark:text-slate-400" />
+        </button>
+      </div>
+      <div className="space-y-1 mb-2">
+        {preview.parts.map((part, k) => (
+          <div key={k} className="flex items-center gap-2 text-xs">
+            <div className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: getVehicleColor(k) }} />
+            <span className="font-medium text-slate-700 dark:text-slate-100 flex-shrink-0">{t("split.vehicle", { n: k + 1 })}</span>
+            <span className="text-slate-500 dark:text-slate-400 truncate">
+              {t("split.stops", { count: part.waypointIndices.length })} · {formatDistance(part.distance)} · {formatDuration(part.duration)}
+              {hasLoad(part.load) && ` · ${formatLoadValue(part.load.parcels, "parcels")} ${LOAD_DIMENSIONS.parcels.unit}`}
+            </span>
+            {part.overloaded && (
+              <AlertTriangle className="w-3 h-3 text-red-500 flex-shrink-0" aria-label={t("split.overloaded")} />
+            )}
+          </div>
+        ))}
+      </div>
+      <Button onClick={handleCreate} disabled={creating || !route} size="sm" className="w-full bg-blue-500 hover:bg-blue-600" data-testid="create-split-routes-btn">
+        {creating && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+        {t("split.create", { count: preview.parts.length })}
+      </Button>
+    </div>
+  );
+}
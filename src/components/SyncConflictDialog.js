@@ -0,0 +1,76 @@
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { AlertTriangle } from "lucide-react";
+import { STATUS_LABELS } from "@/lib/waypoints";
+import { describeField } from "@/lib/sync";
+import { t } from "@/lib/i18n";
+
+const formatValue = (field, value, route) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "status") return STATUS_LABELS[value] || value;
+  if (field === "proof") return value.recipientName || t("conflict.photoSignature");
+  if (field === "timeWindow") return `${value.earliest || "…"}–${value.latest || "…"}`;
+  if (field === "waypoints") {
+    const names = new Map((route?.waypoints || []).map((wp) => [wp.id, wp.name]));
+    return value.map((wp) => names.get(wp.id ?? wp) || wp.name || "?").join(" → ");
+  }
+  if (typeof value === "object") return Object.entries(value).map(([k, v]) => `${k}: ${v}`).join(", ");
+  return String(value);
+};
+
+// Change made offline that clashes with the server copy: keep one side
+export default function SyncConflictDialog({ conflict, onResolve }) {
+  const { mutation, serverRoute, reason, fields } = conflict;
+  const serverTarget = mutation.type === "waypoint"
+    ? serverRoute?.waypoints?.find((wp) => wp.id === mutation.waypointId)
+    : serverRoute;
+  const title = mutation.type === "waypoint"
+    ? serverTarget?.name || t("common.stop")
+    : serverRoute?.name || t("common.route");
+
+  return (
+    <Dialog open onOpenChange={() => {}}>
+      <DialogContent className="sm:max-w-md max-w-[95vw]" data-testid="sync-conflict-dialog">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <AlertTriangle className="w-5 h-5 text-amber-500" />
+            {t("conflict.title")}
+          </DialogTitle>
+          <DialogDescription>
+            {title} · {reason}
+          </DialogDescription>
+        </DialogHeader>
+
+        {fields.length > 0 && (
+          <div className="space-y-2 text-sm">
+            {fields.map((field) => (
+              <div key={field} className="p-2 bg-slate-50 dark:bg-slate-900 rounded-lg">
+                <div className="text-xs font-medium text-slate-500 dark:text-slate-400 capitalize">{describeField(field)}</div>
+                <div className="truncate"><span className="text-slate-500 dark:text-slate-400">{t("conflict.yours")}</span> {formatValue(field, mutation.updates[field], serverRoute)}</div>
+                <div className="truncate"><span className="text-slate-500 dark:text-slate-400">{t("conflict.server")}</span> {formatValue(field, serverTarget?.[field], serverRoute)}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <DialogFooter className="flex flex-col sm:flex-row gap-2">
+          <Button variant="outline" onClick={() => onResolve(false)} className="flex-1 sm:flex-initial" data-testid="conflict-keep-server">
+            {fields.length > 0 ? t("conflict.keepServer") : t("conflict.discard")}
+          </Button>
+          {fields.length > 0 && (
+            <Button onClick={() => onResolve(true)} className="flex-1 sm:flex-initial bg-slate-900 dark:bg-slate-700" data-testid="conflict-keep-mine">
+              {t("conflict.keepMine")}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
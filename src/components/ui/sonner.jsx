@@ -4,11 +4,11 @@ import { Toaster as Sonner, toast } from "sonner"
 const Toaster = ({
   ...props
 }) => {
-  const { theme = "system" } = useTheme()
+  const { forcedTheme, theme = "system" } = useTheme()
 
   return (
     <Sonner
-      theme={theme}
+      theme={forcedTheme || theme}
       className="toaster group"
       toastOptions={{
         classNames: {
@@ -0,0 +1,37 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from "react";
+import { can as userCan, getSession, onSessionChange } from "@/lib/auth";
+import { signIn, signOut } from "@/lib/api";
+
+const AuthContext = createContext(null);
+
+// Current user for the whole app. `expired` is set when the session ended
+// on its own, so the sign-in page can say why.
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(() => getSession()?.user || null);
+  const [expired, setExpired] = useState(false);
+
+  useEffect(() => onSessionChange((session, reason) => {
+    setUser(session?.user || null);
+    setExpired(reason === "expired");
+  }), []);
+
+  // Signed in or out in another tab
+  useEffect(() => {
+    const handleStorage = () => setUser(getSession()?.user || null);
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  const login = useCallback((email, password) => signIn(email, password), []);
+  const logout = useCallback(() => signOut(), []);
+  const can = useCallback((permission) => userCan(user, permission), [user]);
+
+  const value = useMemo(() => ({ user, expired, login, logout, can }), [user, expired, login, logout, can]);
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error("useAuth must be used within an AuthProvider");
+  return context;
+}
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { haversineDistance } from "@/lib/geo";
+import { bearing, getPositionSource } from "@/lib/geolocation";
+
+// A breadcrumb every 15 m or 30 s, whichever comes first
+const TRAIL_MIN_METERS = 15;
+const TRAIL_MIN_INTERVAL_MS = 30000;
+
+// Live driver position while `enabled`, plus the breadcrumb trail recorded so
+// far on the route `routeId`. Each route keeps its own trail, so points
+// recorded on one are never sent to another; none is recorded without a route.
+export function useDriverTracking(enabled, routeId, source) {
+  const [position, setPosition] = useState(null);
+  const [error, setError] = useState(null);
+  // routeId -> breadcrumbs not sent yet
+  const [trails, setTrails] = useState({});
+  const routeIdRef = useRef(routeId);
+  routeIdRef.current = routeId;
+
+  useEffect(() => {
+    if (!enabled) {
+      setPosition(null);
+      return undefined;
+    }
+    setError(null);
+    const stop = (source || getPositionSource()).watch(
+      (next) => {
+        setError(null);
+        setPosition((prev) => ({
+          ...next,
+          // Derive the heading from movement when the device does not give one
+          heading: next.heading ?? (prev && haversineDistance(prev, next) > 3 ? bearing(prev, next) : prev?.heading ?? null),
+        }));
+        const id = routeIdRef.current;
+        if (!id) return;
+        setTrails((prev) => {
+          const points = prev[id] || [];
+          const last = points[points.length - 1];
+          if (last && haversineDistance(last, next) < TRAIL_MIN_METERS && next.timestamp - last.timestamp < TRAIL_MIN_INTERVAL_MS) {
+            return prev;
+          }
+          const point = { latitude: next.latitude, longitude: next.longitude, accuracy: next.accuracy, timestamp: next.timestamp };
+          return { ...prev, [id]: [...points, point] };
+        });
+      },
+      (err) => setError(err.message)
+    );
+    return stop;
+  }, [enabled, source]);
+
+  // Drops the first `count` breadcrumbs of a route's trail, once sent; the
+  // ones recorded while they were on their way stay
+  const clearTrail = useCallback((id, count) => {
+    setTrails((prev) => ({ ...prev, [id]: (prev[id] || []).slice(count) }));
+  }, []);
+
+  return { position, error, trail: trails[routeId] || [], clearTrail };
+}
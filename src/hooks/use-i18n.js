@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from "react";
+import { getPreferences, onPreferencesChange, setPreferences } from "@/lib/i18n";
+
+// Language, units and clock; re-renders the caller when one changes. Pages
+// call it so their whole tree picks up the new language.
+export function useI18n() {
+  const preferences = useSyncExternalStore(onPreferencesChange, getPreferences);
+  return { ...preferences, setPreferences };
+}
@@ -0,0 +1,129 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { addToOutbox, getOutbox, removeFromOutbox } from "@/lib/offline-store";
+import { applyMutation, buildReplayRequest, findConflict } from "@/lib/sync";
+import { listRoutes, request, withUploadedProof } from "@/lib/api";
+import { publishRoute } from "@/lib/realtime";
+import { t } from "@/lib/i18n";
+
+// A proof captured offline is the only queued change carrying images: they
+// are uploaded first and the stop gets their links
+async function replay(mutation, serverRoute) {
+  const replayed = mutation.type === "waypoint"
+    ? { ...mutation, updates: await withUploadedProof(mutation.routeId, mutation.waypointId, mutation.updates) }
+    : mutation;
+  const { method, path, body } = buildReplayRequest(replayed, serverRoute);
+  return request(path, { method, body });
+}
+
+// Online state, outbox size and replay of queued changes when the connection
+// comes back. Replay stops at the first conflict until it is resolved.
+export function useOfflineSync({ onRouteSynced }) {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [conflict, setConflict] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
+  const onRouteSyncedRef = useRef(onRouteSynced);
+  onRouteSyncedRef.current = onRouteSynced;
+
+  const refreshCount = useCallback(async () => {
+    try {
+      setPendingCount((await getOutbox()).length);
+    } catch (error) {
+      setPendingCount(0);
+    }
+  }, []);
+
+  // Server route with the changes still waiting behind it re-applied; the
+  // other clients get the server's copy as is
+  const publish = useCallback(async (route) => {
+    publishRoute(route);
+    const remaining = (await getOutbox()).filter((m) => m.routeId === route.id);
+    onRouteSyncedRef.current(remaining.reduce(applyMutation, route));
+  }, []);
+
+  const sync = useCallback(async () => {
+    if (syncingRef.current || !navigator.onLine) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const outbox = await getOutbox();
+      if (outbox.length === 0) return;
+      const routes = await listRoutes();
+      const serverRoutes = new Map(routes.map((route) => [route.id, route]));
+
+      for (const mutation of outbox) {
+        const serverRoute = serverRoutes.get(mutation.routeId);
+        const found = findConflict(serverRoute, mutation);
+        if (found) {
+          setConflict({ mutation, serverRoute, ...found });
+          return;
+        }
+        let updatedRoute;
+        try {
+          updatedRoute = await replay(mutation, serverRoute);
+        } catch (error) {
+          // A change the server refuses would block the queue for good.
+          // Signed out is not a refusal: the queue waits for the next session
+          if (error.kind !== "auth" && error.status >= 400 && error.status < 500) {
+            setConflict({ mutation, serverRoute, reason: t("sync.refused", { message: error.message }), fields: [] });
+            return;
+          }
+          throw error;
+        }
+        serverRoutes.set(updatedRoute.id, updatedRoute);
+        await removeFromOutbox(mutation.id);
+        await publish(updatedRoute);
+      }
+    } catch (error) {
+      // Still unreachable: the outbox is kept for the next attempt
+      console.error("Sync failed:", error);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      refreshCount();
+    }
+  }, [publish, refreshCount]);
+
+  const queueMutation = useCallback(async (mutation) => {
+    await addToOutbox(mutation);
+    await refreshCount();
+    if (navigator.onLine) sync();
+  }, [refreshCount, sync]);
+
+  const resolveConflict = useCallback(async (keepMine) => {
+    if (!conflict) return;
+    const { mutation, serverRoute, fields } = conflict;
+    setConflict(null);
+    try {
+      // A deleted route or stop cannot take our version
+      if (keepMine && fields.length > 0) {
+        const updatedRoute = await replay(mutation, serverRoute);
+        await removeFromOutbox(mutation.id);
+        await publish(updatedRoute);
+      } else {
+        await removeFromOutbox(mutation.id);
+        if (serverRoute) await publish(serverRoute);
+      }
+    } catch (error) {
+      console.error("Conflict resolution failed:", error);
+    }
+    await refreshCount();
+    sync();
+  }, [conflict, publish, refreshCount, sync]);
+
+  useEffect(() => {
+    const goOnline = () => { setIsOnline(true); sync(); };
+    const goOffline = () => setIsOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    refreshCount();
+    sync();
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, [refreshCount, sync]);
+
+  return { isOnline, pendingCount, syncing, conflict, queueMutation, resolveConflict, syncNow: sync };
+}
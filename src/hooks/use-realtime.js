@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { CLIENT_ID, changedStopIds, subscribe, watchRoute } from "@/lib/realtime";
+
+// How long a stop changed by someone else stays highlighted
+const HIGHLIGHT_MS = 8000;
+
+// Live changes and presence for the open route. `onRoute(route, by)` gets
+// every route someone else saved or created, `onRouteDeleted(routeId, by)`
+// every one they deleted; the stops changed on `route` (the one on screen)
+// are kept in `remoteChanges` for a few seconds, by stop id.
+export function useRealtime(route, { onRoute, onRouteDeleted }) {
+  const [status, setStatus] = useState("closed");
+  const [presence, setPresence] = useState({ routeId: null, viewers: [] });
+  const [remoteChanges, setRemoteChanges] = useState({});
+  const routeRef = useRef(route);
+  routeRef.current = route;
+  const onRouteRef = useRef(onRoute);
+  onRouteRef.current = onRoute;
+  const onRouteDeletedRef = useRef(onRouteDeleted);
+  onRouteDeletedRef.current = onRouteDeleted;
+  const timersRef = useRef(new Set());
+
+  const highlight = useCallback((stopIds, by) => {
+    if (stopIds.length === 0) return;
+    const name = by?.name || "";
+    setRemoteChanges((prev) => ({ ...prev, ...Object.fromEntries(stopIds.map((id) => [id, name])) }));
+    const timer = setTimeout(() => {
+      timersRef.current.delete(timer);
+      setRemoteChanges((prev) => {
+        const next = { ...prev };
+        stopIds.forEach((id) => {
+          if (next[id] === name) delete next[id];
+        });
+        return next;
+      });
+    }, HIGHLIGHT_MS);
+    timersRef.current.add(timer);
+  }, []);
+
+  useEffect(() => {
+    const timers = timersRef.current;
+    const unsubscribe = subscribe((event) => {
+      if (event.type === "status") setStatus(event.status);
+      else if (event.type === "presence") setPresence({ routeId: event.routeId, viewers: event.viewers || [] });
+      else if (event.type === "route" && event.route?.id) {
+        if (event.route.id === routeRef.current?.id) highlight(changedStopIds(routeRef.current, event.route), event.by);
+        onRouteRef.current(event.route, event.by);
+      } else if (event.type === "routeDeleted" && event.routeId) {
+        onRouteDeletedRef.current(event.routeId, event.by);
+      }
+    });
+    return () => {
+      unsubscribe();
+      timers.forEach(clearTimeout);
+      timers.clear();
+    };
+  }, [highlight]);
+
+  const routeId = route?.id ?? null;
+  useEffect(() => {
+    watchRoute(routeId);
+    setRemoteChanges({});
+  }, [routeId]);
+
+  // Everyone else with the route open
+  const viewers = presence.routeId === routeId ? presence.viewers.filter((v) => v.clientId !== CLIENT_ID) : [];
+  return { status, viewers, remoteChanges };
+}
@@ -0,0 +1,99 @@
+import { useState, useCallback, useRef } from "react";
+import { describeChange, diffRoute, fingerprint } from "@/lib/history";
+
+const MAX_ENTRIES = 50;
+
+const EMPTY = { past: [], future: [] };
+
+// Undo / redo stacks, one per route. Entries hold the steps that take a change
+// back and redo it (see lib/history). `apply(step, route)` replays a step on
+// `route`, or on the current route without one, and resolves to the route as
+// saved, or null when it failed; an entry only moves between the stacks once
+// its step is replayed.
+// A change the server saved in one call records what it left (`savedAs` on
+// the undo step): while the route is still exactly that, the server's own
+// undo can take it back.
+export function useRouteHistory(routeId, apply) {
+  const [stacks, setStacks] = useState({});
+  const [busy, setBusy] = useState(false);
+  const busyRef = useRef(false);
+  const { past, future } = stacks[routeId] || EMPTY;
+
+  const record = useCallback((before, after, { oneCall = false } = {}) => {
+    if (!before || !after || before.id !== after.id) return;
+    const label = describeChange(before, after);
+    if (!label) return;
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      label,
+      at: Date.now(),
+      undo: { ...diffRoute(after, before), savedAs: oneCall ? fingerprint(after) : null },
+      redo: diffRoute(before, after),
+    };
+    setStacks((prev) => {
+      const stack = prev[before.id] || EMPTY;
+      return { ...prev, [before.id]: { past: [...stack.past, entry].slice(-MAX_ENTRIES), future: [] } };
+    });
+  }, []);
+
+  // Replays steps in turn, each on the route the previous one left; resolves
+  // to how many went through
+  const run = useCallback(async (steps) => {
+    if (busyRef.current) return 0;
+    busyRef.current = true;
+    setBusy(true);
+    let done = 0;
+    try {
+      let route;
+      for (const step of steps) {
+        route = await apply(step, route);
+        if (!route) break;
+        done += 1;
+      }
+      return done;
+    } finally {
+      busyRef.current = false;
+      setBusy(false);
+    }
+  }, [apply]);
+
+  // Undoes every entry from the newest down to `entryId`; if one fails, the
+  // entries undone before it still move to the redo stack
+  const undoTo = useCallback(async (entryId) => {
+    const index = past.findIndex((e) => e.id === entryId);
+    if (index < 0) return;
+    const newestFirst = past.slice(index).reverse();
+    const undone = newestFirst.slice(0, await run(newestFirst.map((e) => e.undo)));
+    if (undone.length === 0) return;
+    setStacks((prev) => {
+      const current = prev[routeId] || EMPTY;
+      return {
+        ...prev,
+        [routeId]: {
+          past: current.past.filter((e) => !undone.includes(e)),
+          future: [...current.future, ...undone],
+        },
+      };
+    });
+  }, [past, routeId, run]);
+
+  const undo = useCallback(() => past.length > 0 && undoTo(past[past.length - 1].id), [past, undoTo]);
+
+  const redo = useCallback(async () => {
+    const entry = future[future.length - 1];
+    if (!entry || !(await run([entry.redo]))) return;
+    setStacks((prev) => {
+      const current = prev[routeId] || EMPTY;
+      return {
+        ...prev,
+        [routeId]: {
+          // Redone stop by stop: no longer one server call
+          past: [...current.past, { ...entry, undo: { ...entry.undo, savedAs: null } }],
+          future: current.future.filter((e) => e !== entry),
+        },
+      };
+    });
+  }, [future, routeId, run]);
+
+  return { past, future, busy, record, undo, redo, undoTo };
+}
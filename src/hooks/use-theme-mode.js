@@ -0,0 +1,33 @@
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { ThemeProvider } from "next-themes";
+import { getThemeSettings, onThemeChange, resolveTheme, setThemeChoice, setThemePlace } from "@/lib/theme";
+
+// In automatic mode, how often sunrise and sunset are checked against the clock
+const AUTO_CHECK_INTERVAL = 60 * 1000;
+
+// The theme choice and the theme it gives right now; in automatic mode the
+// caller re-renders every minute so the switch happens at sunset
+export function useThemeMode() {
+  const settings = useSyncExternalStore(onThemeChange, getThemeSettings);
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (settings.choice !== "auto") return undefined;
+    const timer = setInterval(() => setTick((tick) => tick + 1), AUTO_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [settings.choice]);
+
+  return { ...settings, theme: resolveTheme(settings), setThemeChoice, setThemePlace };
+}
+
+// Puts the "dark" class on <html> when the resolved theme is dark. next-themes
+// only applies it: the choice lives in lib/theme, so `useTheme().forcedTheme`
+// is the theme actually shown.
+export function ThemeModeProvider({ children }) {
+  const { theme } = useThemeMode();
+  return (
+    <ThemeProvider attribute="class" forcedTheme={theme} enableSystem={false} disableTransitionOnChange>
+      {children}
+    </ThemeProvider>
+  );
+}
@@ -2,6 +2,7 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import "@/index.css";
 import App from "@/App";
+import { registerTileWorker } from "@/lib/tile-cache";
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(
@@ -9,3 +10,5 @@ root.render(
     <App />
   </React.StrictMode>,
 );
+
+registerTileWorker();
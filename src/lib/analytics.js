@@ -0,0 +1,157 @@
+import { haversineDistance } from "@/lib/geo";
+import { getDefaultFailureReasons } from "@/lib/failure-reasons";
+import { STATUS_LABELS, WAYPOINT_COLORS } from "@/lib/waypoints";
+import { t } from "@/lib/i18n";
+
+// Figures across routes for the analytics page. A stop counts on the day it
+// was delivered or failed; skipped stops, which keep no time, on their
+// route's day. Days are local "YYYY-MM-DD" strings so they compare as text.
+const HOUR_MS = 3600000;
+
+const pad = (n) => String(n).padStart(2, "0");
+export const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const HANDLED = ["completed", "failed", "skipped"];
+
+// When the stop was delivered or failed, in ms; null when unknown
+const stopTime = (wp) => {
+  const at = wp.status === "completed" ? wp.proof?.capturedAt : wp.status === "failed" ? wp.failure?.at : null;
+  const time = at ? new Date(at).getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+};
+
+const stopTimes = (route) => (route.waypoints || []).map(stopTime).filter((time) => time != null);
+
+// The route's planned date, else its creation, else its first handled stop
+export function routeDay(route) {
+  if (route.date) return route.date;
+  const created = route.createdAt ? new Date(route.createdAt) : null;
+  if (created && Number.isFinite(created.getTime())) return dayKey(created);
+  const times = stopTimes(route);
+  return times.length > 0 ? dayKey(new Date(Math.min(...times))) : null;
+}
+
+const inRange = (day, { from, to }) => day != null && day >= from && day <= to;
+
+// Delivered, failed and skipped stops of the range: [{ route, wp, day, time }]
+export function handledStops(routes, range) {
+  return routes.flatMap((route) => {
+    const fallbackDay = routeDay(route);
+    return (route.waypoints || [])
+      .filter((wp) => HANDLED.includes(wp.status))
+      .map((wp) => {
+        const time = stopTime(wp);
+        return { route, wp, time, day: time != null ? dayKey(new Date(time)) : fallbackDay };
+      })
+      .filter(({ day }) => inRange(day, range));
+  });
+}
+
+// Every day from `from` to `to`, both included
+export function daysOf({ from, to }) {
+  const days = [];
+  const date = new Date(`${from}T12:00`);
+  for (let day = from; day <= to; day = dayKey(date)) {
+    days.push(day);
+    date.setDate(date.getDate() + 1);
+  }
+  return days;
+}
+
+const emptyCounts = () => ({ completed: 0, failed: 0, skipped: 0 });
+
+// [{ day, completed, failed, skipped }] for every day of the range, zeros included
+export function deliveriesPerDay(stops, range) {
+  const byDay = new Map(daysOf(range).map((day) => [day, { day, ...emptyCounts() }]));
+  stops.forEach(({ wp, day }) => {
+    const row = byDay.get(day);
+    if (row) row[wp.status] += 1;
+  });
+  return [...byDay.values()];
+}
+
+const reasonLabel = (failure) => {
+  const builtIn = getDefaultFailureReasons().find((reason) => reason.key === failure?.reason);
+  return builtIn?.label || failure?.reasonLabel || failure?.reason || t("analytics.noReason");
+};
+
+// Delivered, skipped, then one row per failure reason, most frequent first:
+// [{ key, label, status, count, share }] with share between 0 and 1
+export function outcomesByReason(stops) {
+  const rows = new Map();
+  const add = (key, label, status) => {
+    if (!rows.has(key)) rows.set(key, { key, label, status, count: 0 });
+    rows.get(key).count += 1;
+  };
+  stops.forEach(({ wp }) => {
+    if (wp.status === "failed") add(`failed:${wp.failure?.reason || ""}`, reasonLabel(wp.failure), "failed");
+    else add(wp.status, STATUS_LABELS[wp.status], wp.status);
+  });
+  const order = { completed: 0, skipped: 1, failed: 2 };
+  return [...rows.values()]
+    .sort((a, b) => order[a.status] - order[b.status] || b.count - a.count)
+    .map((row) => ({ ...row, share: row.count / stops.length }));
+}
+
+// Stops per hour worked, each route's hours running from its first delivered
+// or failed stop to its last. Days with fewer than two timed stops on every
+// route have no figure. [{ day, stopsPerHour, stops, hours }]
+export function stopsPerHour(stops, range) {
+  const byRouteDay = new Map();
+  stops.forEach(({ route, day, time }) => {
+    if (time == null) return;
+    const key = `${route.id}|${day}`;
+    if (!byRouteDay.has(key)) byRouteDay.set(key, { day, times: [] });
+    byRouteDay.get(key).times.push(time);
+  });
+  const byDay = new Map(daysOf(range).map((day) => [day, { day, stops: 0, hours: 0 }]));
+  byRouteDay.forEach(({ day, times }) => {
+    const hours = (Math.max(...times) - Math.min(...times)) / HOUR_MS;
+    const row = byDay.get(day);
+    if (!row || times.length < 2 || hours <= 0) return;
+    row.stops += times.length;
+    row.hours += hours;
+  });
+  return [...byDay.values()].map((row) => ({
+    ...row,
+    stopsPerHour: row.hours > 0 ? Math.round((row.stops / row.hours) * 10) / 10 : null,
+  }));
+}
+
+// Length of the driven track, in metres; null without one
+export function drivenDistance(route) {
+  const points = route.breadcrumbs || [];
+  if (points.length < 2) return null;
+  return points.slice(1).reduce((sum, point, i) => sum + haversineDistance(points[i], point), 0);
+}
+
+// Calculated against driven distance for the routes of the range that have
+// either: [{ id, name, day, planned, actual }] in metres, null when missing
+export function plannedVsActual(routes, range) {
+  return routes
+    .map((route) => ({
+      id: route.id,
+      name: route.name,
+      day: routeDay(route),
+      planned: route.distance || null,
+      actual: drivenDistance(route),
+    }))
+    .filter((row) => inRange(row.day, range) && (row.planned || row.actual))
+    .sort((a, b) => a.day.localeCompare(b.day) || a.name.localeCompare(b.name));
+}
+
+// Outcomes per stop colour, in the colour list's order:
+// [{ color, label, bg, completed, failed, skipped, total }]
+export function outcomesByColor(stops) {
+  const rows = new Map();
+  stops.forEach(({ wp }) => {
+    const color = WAYPOINT_COLORS[wp.color] ? wp.color : "blue";
+    if (!rows.has(color)) rows.set(color, { color, ...emptyCounts(), total: 0 });
+    const row = rows.get(color);
+    row[wp.status] += 1;
+    row.total += 1;
+  });
+  return Object.keys(WAYPOINT_COLORS)
+    .filter((color) => rows.has(color))
+    .map((color) => ({ ...rows.get(color), label: WAYPOINT_COLORS[color].label, bg: WAYPOINT_COLORS[color].bg }));
+}
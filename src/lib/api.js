@@ -0,0 +1,308 @@
+import { z } from "zod";
+import { clearSession, getSession, isExpiring, saveSession } from "@/lib/auth";
+import { t } from "@/lib/i18n";
+
+// Every call to the backend goes through here: one timeout per attempt,
+// retries with backoff for idempotent calls, response validation, and
+// failures normalised to ApiError with a message that can be shown as is.
+// Calls carry the session's access token, refreshed when it runs out.
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL;
+const API = `${BACKEND_URL}`;
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 500;
+
+// DELETE is idempotent too, but a retry after a lost response gets a 404
+const IDEMPOTENT_METHODS = ["GET", "PUT"];
+
+const coordinatesSchema = z.object({
+  longitude: z.number(),
+  latitude: z.number(),
+});
+
+// Unknown fields are kept: the UI stores more on routes and stops than it checks
+const waypointSchema = z.object({
+  id: z.string(),
+  name: z.string().nullish(),
+  address: z.string().nullish(),
+  coordinates: coordinatesSchema,
+  status: z.string().nullish(),
+}).passthrough();
+
+// Also checks the routes other clients relay over the live channel
+export const routeSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  start: waypointSchema.partial({ id: true }).nullish(),
+  end: waypointSchema.partial({ id: true }).nullish(),
+  waypoints: z.array(waypointSchema).default([]),
+  profile: z.string().nullish(),
+}).passthrough();
+
+const placeSchema = z.object({
+  name: z.string(),
+  address: z.string().nullish(),
+  coordinates: coordinatesSchema.nullish(),
+}).passthrough();
+
+const suggestionsSchema = z.object({
+  suggestions: z.array(placeSchema).default([]),
+}).passthrough();
+
+const proofFilesSchema = z.object({
+  signatureUrl: z.string().nullish(),
+  photoUrl: z.string().nullish(),
+}).passthrough();
+
+const userSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  role: z.enum(["dispatcher", "driver"]),
+}).passthrough();
+
+const sessionSchema = z.object({
+  accessToken: z.string(),
+  refreshToken: z.string().nullish(),
+  expiresIn: z.number().nullish(),
+  user: userSchema.optional(),
+}).passthrough();
+
+// kind: "network" (never reached the server), "timeout", "http", "invalid"
+// (unexpected body) or "auth" (signed out: the session could not be renewed)
+export class ApiError extends Error {
+  constructor(message, { kind, status = null, details = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Message for a toast: the normalised one for API failures, the fallback otherwise
+export const errorMessage = (error, fallback = t("api.error")) =>
+  error instanceof ApiError ? error.message : fallback;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// FastAPI puts the reason in `detail`, a list of field errors for validation failures
+const serverMessage = (data) => {
+  const detail = data?.detail ?? data?.message ?? data?.error;
+  if (Array.isArray(detail)) return detail.map((d) => d.msg || String(d)).join(", ");
+  return typeof detail === "string" ? detail : null;
+};
+
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+async function attempt(path, { method, body, timeout, signal, token }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = setTimeout(abort, timeout);
+  signal?.addEventListener("abort", abort);
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  let response;
+  try {
+    response = await fetch(`${API}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    // Aborted by the caller: rethrown untouched so it can be ignored
+    if (signal?.aborted) throw error;
+    if (controller.signal.aborted) throw new ApiError(t("api.timeout"), { kind: "timeout" });
+    throw new ApiError(t("api.network"), { kind: "network" });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abort);
+  }
+  const data = await readBody(response);
+  if (!response.ok) {
+    throw new ApiError(serverMessage(data) || t("api.http", { status: response.status }), {
+      kind: "http",
+      status: response.status,
+      details: data,
+    });
+  }
+  return data;
+}
+
+// The server could not be reached or could not cope: worth another try, or
+// doing without it
+export const isRetryable = (error) =>
+  error instanceof ApiError && (error.kind === "network" || error.kind === "timeout" || error.status >= 500);
+
+const sessionExpired = () => {
+  clearSession("expired");
+  return new ApiError(t("api.expired"), { kind: "auth", status: 401 });
+};
+
+// Concurrent calls that find the token expired share one refresh
+let refreshing = null;
+
+// New access token from the refresh token. Only a refusal ends the session:
+// offline, the old token is kept for when the network comes back.
+function refreshSession() {
+  refreshing ??= (async () => {
+    const session = getSession();
+    if (!session?.refreshToken) throw sessionExpired();
+    try {
+      const tokens = await request("/auth/refresh", {
+        method: "POST",
+        body: { refreshToken: session.refreshToken },
+        schema: sessionSchema,
+        auth: false,
+      });
+      return saveSession(tokens);
+    } catch (error) {
+      if (error.kind === "http" && error.status < 500) throw sessionExpired();
+      throw error;
+    }
+  })().finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+}
+
+async function accessToken() {
+  const session = getSession();
+  if (!session) throw new ApiError(t("api.signedOut"), { kind: "auth", status: 401 });
+  if (!isExpiring(session)) return session.accessToken;
+  try {
+    return (await refreshSession()).accessToken;
+  } catch (error) {
+    // Unreachable: try with the token we have, the server has the last word
+    if (error.kind === "auth") throw error;
+    return session.accessToken;
+  }
+}
+
+// One call to the backend; resolves to the parsed (and validated, with `schema`) body.
+// `auth: false` for the calls made without a session (sign in, refresh).
+export async function request(path, { method = "GET", body, schema, timeout = DEFAULT_TIMEOUT_MS, signal, auth = true } = {}) {
+  const retries = IDEMPOTENT_METHODS.includes(method) ? MAX_RETRIES : 0;
+  let token = auth ? await accessToken() : null;
+  let renewed = false;
+  let data;
+  for (let n = 0; ; n++) {
+    // Aborted during the backoff wait or a token refresh: no further attempt
+    signal?.throwIfAborted();
+    try {
+      data = await attempt(path, { method, body, timeout, signal, token });
+      break;
+    } catch (error) {
+      // Token revoked or expired early: renew once and try again
+      if (auth && error.status === 401 && !renewed) {
+        renewed = true;
+        token = (await refreshSession()).accessToken;
+        n -= 1;
+        continue;
+      }
+      if (auth && error.status === 401) throw sessionExpired();
+      // Offline: fail fast so the caller can queue the change
+      if (n >= retries || !isRetryable(error) || !navigator.onLine) throw error;
+      await wait(RETRY_BASE_MS * 2 ** n);
+    }
+  }
+  if (!schema) return data;
+  const parsed = schema.safeParse(data);
+  if (!parsed.success) {
+    console.error(`Unexpected response for ${method} ${path}:`, parsed.error.issues);
+    throw new ApiError(t("api.invalid"), { kind: "invalid", details: parsed.error.issues });
+  }
+  return parsed.data;
+}
+
+export const signIn = async (email, password) =>
+  saveSession(await request("/auth/login", {
+    method: "POST",
+    body: { email, password },
+    schema: sessionSchema.required({ user: true }),
+    auth: false,
+  }));
+
+// The session ends here even if the server cannot be told
+export async function signOut() {
+  const session = getSession();
+  try {
+    if (session?.refreshToken) {
+      await request("/auth/logout", { method: "POST", body: { refreshToken: session.refreshToken }, auth: false, timeout: 5000 });
+    }
+  } catch (error) {
+    console.error("Logout failed:", error);
+  }
+  clearSession();
+}
+
+export const listDrivers = () => request("/users?role=driver", { schema: z.array(userSchema) });
+
+export const listRoutes = () => request("/routes", { schema: z.array(routeSchema) });
+
+export const createRoute = (route) => request("/routes", { method: "POST", body: route, schema: routeSchema });
+
+export const updateRoute = (routeId, updates) =>
+  request(`/routes/${routeId}`, { method: "PUT", body: updates, schema: routeSchema });
+
+export const deleteRoute = (routeId) => request(`/routes/${routeId}`, { method: "DELETE" });
+
+export const addWaypoint = (routeId, waypoint) =>
+  request(`/routes/${routeId}/waypoints`, { method: "POST", body: waypoint, schema: routeSchema });
+
+export const updateWaypoint = (routeId, waypointId, updates) =>
+  request(`/routes/${routeId}/waypoints/${waypointId}`, { method: "PATCH", body: updates, schema: routeSchema });
+
+export const deleteWaypoint = (routeId, waypointId) =>
+  request(`/routes/${routeId}/waypoints/${waypointId}`, { method: "DELETE", schema: routeSchema });
+
+// Signature and photo are stored on their own; the stop only keeps links to them
+export const uploadProof = (routeId, waypointId, files) =>
+  request(`/routes/${routeId}/waypoints/${waypointId}/proof`, { method: "PUT", body: files, schema: proofFilesSchema });
+
+const isDataUrl = (value) => typeof value === "string" && value.startsWith("data:");
+
+// Stop updates with the images captured on the device uploaded and swapped for
+// their links, so they never travel with the route or the stop list again
+export async function withUploadedProof(routeId, waypointId, updates) {
+  const { signature, photo, ...proof } = updates.proof || {};
+  if (!isDataUrl(signature) && !isDataUrl(photo)) return updates;
+  const files = await uploadProof(routeId, waypointId, { signature: signature ?? null, photo: photo ?? null });
+  return { ...updates, proof: { ...proof, signatureUrl: files.signatureUrl ?? null, photoUrl: files.photoUrl ?? null } };
+}
+
+// Appends to the route's GPS trail; unlike a route update, open to drivers
+export const addBreadcrumbs = (routeId, points) =>
+  request(`/routes/${routeId}/breadcrumbs`, { method: "POST", body: { points }, schema: routeSchema });
+
+export const calculateRoute = (routeId) =>
+  request(`/routes/${routeId}/calculate`, { method: "POST", schema: routeSchema });
+
+export const optimizeRoute = (routeId, options, { timeout, signal } = {}) =>
+  request(`/routes/${routeId}/optimize`, { method: "POST", body: options, schema: routeSchema, timeout, signal });
+
+// Takes back the route's last saved change on the server
+export const undoRoute = (routeId) => request(`/routes/${routeId}/undo`, { method: "POST", schema: routeSchema });
+
+// Null when the address is not found
+export async function geocode(address) {
+  try {
+    return await request(`/geocode?address=${encodeURIComponent(address)}`, { schema: placeSchema });
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+export const autocomplete = async (text, { signal } = {}) =>
+  (await request(`/autocomplete?text=${encodeURIComponent(text)}`, { schema: suggestionsSchema, signal })).suggestions;
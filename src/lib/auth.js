@@ -0,0 +1,80 @@
+import { translatedLabels } from "@/lib/i18n";
+
+// Signed-in user and their tokens, kept across reloads. Roles only decide
+// what the UI offers; the backend enforces the same rules.
+const SESSION_KEY = "session";
+
+// Refresh a little before the access token runs out, not on the first 401
+export const REFRESH_MARGIN_MS = 60000;
+
+export const ROLES = translatedLabels({
+  dispatcher: "auth.roles.dispatcher",
+  driver: "auth.roles.driver",
+});
+
+// viewAllRoutes: every route, not only the ones assigned to you
+// editRoutes: create, reorder, add or edit stops, optimize, import
+// deleteRoutes: delete routes and stops
+// updateStatus: deliver, fail or skip a stop, send the GPS trail
+const PERMISSIONS = {
+  dispatcher: ["viewAllRoutes", "editRoutes", "deleteRoutes", "updateStatus"],
+  driver: ["updateStatus"],
+};
+
+export const can = (user, permission) => !!user && (PERMISSIONS[user.role] || []).includes(permission);
+
+// Drivers only get the routes assigned to them
+export const canSeeRoute = (user, route) => can(user, "viewAllRoutes") || (!!user && route.driverId === user.id);
+
+const listeners = new Set();
+
+// Where the session lives when localStorage is blocked
+let unstored = null;
+
+// `listener(session, reason)` runs on sign in, token refresh, sign out and
+// expiry; returns the unsubscribe
+export function onSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getSession() {
+  let session;
+  try {
+    session = JSON.parse(localStorage.getItem(SESSION_KEY)) || unstored;
+  } catch (error) {
+    session = unstored;
+  }
+  return session?.accessToken && session.user ? session : null;
+}
+
+// `tokens` as the backend sends them: expiresIn is in seconds
+export function saveSession({ accessToken, refreshToken, expiresIn, user }) {
+  const previous = getSession();
+  const session = {
+    accessToken,
+    refreshToken: refreshToken || previous?.refreshToken || null,
+    expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null,
+    user: user || previous?.user,
+  };
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch (error) {
+    unstored = session;
+  }
+  listeners.forEach((listener) => listener(session, previous ? "refreshed" : "signedIn"));
+  return session;
+}
+
+// reason: "signedOut", or "expired" when the session could not be refreshed
+export function clearSession(reason = "signedOut") {
+  unstored = null;
+  try {
+    localStorage.removeItem(SESSION_KEY);
+  } catch (error) {
+    // Nothing stored
+  }
+  listeners.forEach((listener) => listener(null, reason));
+}
+
+export const isExpiring = (session) => !!session?.expiresAt && session.expiresAt - Date.now() < REFRESH_MARGIN_MS;
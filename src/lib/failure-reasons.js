@@ -0,0 +1,55 @@
+import { t, translatedLabels } from "@/lib/i18n";
+
+// Why a delivery failed. The list is per user (localStorage); each failure
+// keeps its label so reports stay readable after the list changes.
+const REASONS_KEY = "failureReasons";
+
+const DEFAULT_REASON_KEYS = ["absent", "refused", "wrong_address", "access_denied", "damaged", "closed", "other"];
+
+// Built-in reasons show in the current language, whatever the stored label
+const withLabel = (reason) =>
+  DEFAULT_REASON_KEYS.includes(reason.key) ? { ...reason, label: t(`failure.reasons.${reason.key}`) } : reason;
+
+export const getDefaultFailureReasons = () => DEFAULT_REASON_KEYS.map((key) => withLabel({ key }));
+
+export const FOLLOW_UPS = translatedLabels({
+  keep: "failure.followUps.keep",
+  requeue: "failure.followUps.requeue",
+  move: "failure.followUps.move",
+});
+
+export function getFailureReasons() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(REASONS_KEY));
+    return Array.isArray(stored) && stored.length > 0 ? stored.map(withLabel) : getDefaultFailureReasons();
+  } catch (error) {
+    return getDefaultFailureReasons();
+  }
+}
+
+export function saveFailureReasons(reasons) {
+  try {
+    localStorage.setItem(REASONS_KEY, JSON.stringify(reasons));
+  } catch (error) {
+    // Private browsing: the list only lasts for the session
+  }
+}
+
+// Key for a new custom reason, unique within the list
+export function reasonKey(label, reasons) {
+  const base = label
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "") || "motif";
+  // Built-in keys stay reserved: their label follows the language
+  const taken = new Set([...DEFAULT_REASON_KEYS, ...reasons.map((reason) => reason.key)]);
+  let key = base;
+  for (let n = 2; taken.has(key); n++) key = `${base}_${n}`;
+  return key;
+}
+
+// One-line summary of a failure, for lists, exports and reports
+export const describeFailure = (failure) =>
+  failure ? [failure.reasonLabel || failure.reason, failure.comment].filter(Boolean).join(" — ") : "";
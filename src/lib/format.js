@@ -0,0 +1,43 @@
+import { getIntlLocale, getPreferences, t } from "@/lib/i18n";
+
+const METERS_PER_MILE = 1609.344;
+const FEET_PER_METER = 3.28084;
+
+// Below a tenth of a mile, distances read better in feet
+const FEET_THRESHOLD_MILES = 0.1;
+
+const number = (value, digits) =>
+  new Intl.NumberFormat(getIntlLocale(), { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+
+// Metres, shown in km / m or in mi / ft depending on the chosen units
+export const formatDistance = (m) => {
+  if (!m) return "-";
+  if (getPreferences().units === "imperial") {
+    const miles = m / METERS_PER_MILE;
+    return miles >= FEET_THRESHOLD_MILES
+      ? `${number(miles, 1)} ${t("units.mi")}`
+      : `${number(Math.round(m * FEET_PER_METER), 0)} ${t("units.ft")}`;
+  }
+  return m >= 1000 ? `${number(m / 1000, 1)} ${t("units.km")}` : `${number(Math.round(m), 0)} ${t("units.m")}`;
+};
+
+// Metres as a plain number of km or miles, for charts; `distanceUnit()` names it
+export const toDistanceUnit = (m) => (getPreferences().units === "imperial" ? m / METERS_PER_MILE : m / 1000);
+export const distanceUnit = () => t(getPreferences().units === "imperial" ? "units.mi" : "units.km");
+
+export const formatDuration = (s) => {
+  if (!s) return "-";
+  const h = Math.floor(s / 3600);
+  const m = Math.round((s % 3600) / 60);
+  return h > 0 ? t("units.hoursMinutes", { h, m }) : t("units.minutes", { m });
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${number(bytes / 1024 ** 3, 1)} ${t("units.gb")}`;
+  if (bytes >= 1024 ** 2) return `${number(bytes / 1024 ** 2, 1)} ${t("units.mb")}`;
+  return `${Math.max(1, Math.round(bytes / 1024))} ${t("units.kb")}`;
+};
+
+// Date and/or time of a timestamp, in the chosen language and clock
+export const formatDateTime = (value, options) =>
+  new Date(value).toLocaleString(getIntlLocale(), { ...options, hour12: getPreferences().clock === "12h" });
@@ -0,0 +1,216 @@
+import { WAYPOINT_COLORS, STATUS_LABELS } from "@/lib/waypoints";
+import { t } from "@/lib/i18n";
+
+const CREATOR = "Route Optimizer";
+const RO_NAMESPACE = "urn:route-optimizer:1";
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const colorHex = (key) => (WAYPOINT_COLORS[key] || WAYPOINT_COLORS.blue).bg;
+
+// KML colours are aabbggrr
+const kmlColor = (hex) => `ff${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+
+// Ordered stops with the properties every format carries
+function exportStops(route) {
+  const stops = [];
+  if (route.start?.coordinates) {
+    stops.push({ ...route.start, role: "start", order: 0, status: null, color: "green" });
+  }
+  (route.waypoints || []).forEach((wp, idx) => {
+    stops.push({ ...wp, role: "waypoint", order: idx + 1, status: wp.status || "pending", color: wp.color || "blue" });
+  });
+  if (route.end?.coordinates) {
+    stops.push({ ...route.end, role: "end", order: stops.length, status: null, color: "red" });
+  }
+  return stops.map((stop) => ({
+    role: stop.role,
+    order: stop.order,
+    name: stop.name || "",
+    address: stop.address || "",
+    note: stop.note || "",
+    status: stop.status,
+    statusLabel: stop.status ? STATUS_LABELS[stop.status] : "",
+    color: stop.color,
+    colorHex: colorHex(stop.color),
+    earliest: stop.timeWindow?.earliest || null,
+    latest: stop.timeWindow?.latest || null,
+    failureReason: stop.failure?.reasonLabel || null,
+    failureComment: stop.failure?.comment || null,
+    attempts: stop.attempts?.length || 0,
+    latitude: stop.coordinates.latitude,
+    longitude: stop.coordinates.longitude,
+  }));
+}
+
+// [longitude, latitude] pairs of the calculated path, or straight legs between stops
+function trackCoordinates(route, stops) {
+  if (route.geometry?.coordinates?.length) return route.geometry.coordinates;
+  return stops.map((stop) => [stop.longitude, stop.latitude]);
+}
+
+export function toGeoJSON(route) {
+  const stops = exportStops(route);
+  const features = stops.map(({ latitude, longitude, ...properties }) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [longitude, latitude] },
+    properties,
+  }));
+  const track = trackCoordinates(route, stops);
+  if (track.length > 1) {
+    features.push({
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: track },
+      properties: {
+        role: "track",
+        name: route.name,
+        profile: route.profile,
+        distance: route.distance ?? null,
+        duration: route.duration ?? null,
+      },
+    });
+  }
+  return JSON.stringify({ type: "FeatureCollection", name: route.name, features }, null, 2);
+}
+
+export function toGpx(route) {
+  const stops = exportStops(route);
+  const wpts = stops.map((stop) => {
+    const label = stop.role === "waypoint" ? `${stop.order}. ${stop.name}` : stop.name;
+    const failure = stop.failureReason && t("geoExport.failure", { reason: [stop.failureReason, stop.failureComment].filter(Boolean).join(" — ") });
+    const desc = [stop.address, stop.note, failure].filter(Boolean).join("\n");
+    return [
+      `  <wpt lat="${stop.latitude}" lon="${stop.longitude}">`,
+      `    <name>${escapeXml(label)}</name>`,
+      desc && `    <desc>${escapeXml(desc)}</desc>`,
+      stop.status && `    <type>${escapeXml(stop.statusLabel)}</type>`,
+      "    <extensions>",
+      `      <osmand:color>${stop.colorHex}</osmand:color>`,
+      `      <ro:order>${stop.order}</ro:order>`,
+      `      <ro:role>${stop.role}</ro:role>`,
+      stop.status && `      <ro:status>${stop.status}</ro:status>`,
+      stop.note && `      <ro:note>${escapeXml(stop.note)}</ro:note>`,
+      `      <ro:color>${stop.color}</ro:color>`,
+      stop.earliest && `      <ro:earliest>${stop.earliest}</ro:earliest>`,
+      stop.latest && `      <ro:latest>${stop.latest}</ro:latest>`,
+      stop.failureReason && `      <ro:failureReason>${escapeXml(stop.failureReason)}</ro:failureReason>`,
+      stop.failureComment && `      <ro:failureComment>${escapeXml(stop.failureComment)}</ro:failureComment>`,
+      stop.attempts > 0 && `      <ro:attempts>${stop.attempts}</ro:attempts>`,
+      "    </extensions>",
+      "  </wpt>",
+    ].filter(Boolean).join("\n");
+  });
+  const trkpts = trackCoordinates(route, stops).map(([lon, lat]) => `      <trkpt lat="${lat}" lon="${lon}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:osmand="https://osmand.net" xmlns:ro="${RO_NAMESPACE}">`,
+    "  <metadata>",
+    `    <name>${escapeXml(route.name)}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    "  </metadata>",
+    ...wpts,
+    "  <trk>",
+    `    <name>${escapeXml(route.name)}</name>`,
+    "    <trkseg>",
+    ...trkpts,
+    "    </trkseg>",
+    "  </trk>",
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+export function toKml(route) {
+  const stops = exportStops(route);
+  const styles = Object.entries(WAYPOINT_COLORS).map(([key, { bg }]) => [
+    `    <Style id="stop-${key}">`,
+    `      <IconStyle><color>${kmlColor(bg)}</color></IconStyle>`,
+    "    </Style>",
+  ].join("\n"));
+  const data = (name, value) => value != null && value !== "" && `          <Data name="${name}"><value>${escapeXml(value)}</value></Data>`;
+  const placemarks = stops.map((stop) => [
+    "      <Placemark>",
+    `        <name>${escapeXml(stop.role === "waypoint" ? `${stop.order}. ${stop.name}` : stop.name)}</name>`,
+    stop.address && `        <address>${escapeXml(stop.address)}</address>`,
+    stop.note && `        <description>${escapeXml(stop.note)}</description>`,
+    `        <styleUrl>#stop-${stop.color}</styleUrl>`,
+    "        <ExtendedData>",
+    data("order", stop.order),
+    data("role", stop.role),
+    data("status", stop.status),
+    data("statusLabel", stop.statusLabel),
+    data("note", stop.note),
+    data("color", stop.color),
+    data("colorHex", stop.colorHex),
+    data("earliest", stop.earliest),
+    data("latest", stop.latest),
+    data("failureReason", stop.failureReason),
+    data("failureComment", stop.failureComment),
+    data("attempts", stop.attempts || null),
+    "        </ExtendedData>",
+    `        <Point><coordinates>${stop.longitude},${stop.latitude}</coordinates></Point>`,
+    "      </Placemark>",
+  ].filter(Boolean).join("\n"));
+  const track = trackCoordinates(route, stops);
+  const trackPlacemark = track.length > 1 && [
+    "    <Placemark>",
+    `      <name>${escapeXml(route.name)}</name>`,
+    "      <styleUrl>#track</styleUrl>",
+    `      <LineString><tessellate>1</tessellate><coordinates>${track.map(([lon, lat]) => `${lon},${lat}`).join(" ")}</coordinates></LineString>`,
+    "    </Placemark>",
+  ].join("\n");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(route.name)}</name>`,
+    ...styles,
+    '    <Style id="track"><LineStyle><color>fff6823b</color><width>4</width></LineStyle></Style>',
+    "    <Folder>",
+    `      <name>${escapeXml(t("geoExport.stops"))}</name>`,
+    ...placemarks,
+    "    </Folder>",
+    trackPlacemark,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].filter((line) => line !== false).join("\n");
+}
+
+export const EXPORT_FORMATS = {
+  gpx: { label: "GPX (Garmin, OsmAnd)", extension: "gpx", mime: "application/gpx+xml", build: toGpx },
+  kml: { label: "KML (Google Earth)", extension: "kml", mime: "application/vnd.google-earth.kml+xml", build: toKml },
+  geojson: { get label() { return t("geoExport.geojson"); }, extension: "geojson", mime: "application/geo+json", build: toGeoJSON },
+};
+
+const slugify = (text) =>
+  String(text || "itineraire")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .toLowerCase() || "itineraire";
+
+export function downloadFile(content, filename, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function exportRoute(route, format) {
+  const { extension, mime, build } = EXPORT_FORMATS[format];
+  downloadFile(build(route), `${slugify(route.name)}.${extension}`, mime);
+}
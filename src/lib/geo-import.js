@@ -0,0 +1,179 @@
+import { WAYPOINT_COLORS, resolveColorKey } from "@/lib/waypoints";
+import { parseTime } from "@/lib/schedule";
+import { t } from "@/lib/i18n";
+
+export const GEO_FILE_EXTENSIONS = [".gpx", ".kml", ".geojson", ".json"];
+
+// Color key from a key, a label in any language or one of our hex values
+const toColorKey = (value) => {
+  if (!value) return null;
+  const hex = String(value).trim().toLowerCase();
+  const byHex = Object.keys(WAYPOINT_COLORS).find((key) => WAYPOINT_COLORS[key].bg === hex);
+  return byHex || resolveColorKey(value);
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === "" ? NaN : Number(value));
+
+function validateCoordinates(latitude, longitude) {
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) return t("geoImport.missingCoordinates");
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return t("geoImport.outOfRange");
+  return null;
+}
+
+// "HH:MM" bounds of our own exports; an unreadable one is dropped with a warning
+function toTimeWindow(earliest, latest, errors) {
+  const bound = (value) => {
+    const text = String(value ?? "").trim();
+    if (!text) return null;
+    if (parseTime(text) != null) return text;
+    errors.push(t("geoImport.invalidTime", { time: text }));
+    return null;
+  };
+  const window = { earliest: bound(earliest), latest: bound(latest) };
+  return window.earliest || window.latest ? window : null;
+}
+
+// Normalized feature: a candidate stop plus the problems that keep it out of the import
+function makeFeature(index, { latitude, longitude, name, note, address, color, order, role, earliest, latest }, extraErrors = []) {
+  const errors = [...extraErrors];
+  const coordinateError = validateCoordinates(latitude, longitude);
+  if (coordinateError) errors.push(coordinateError);
+  const colorKey = toColorKey(color);
+  if (color && !colorKey) errors.push(t("geoImport.unknownColor", { color }));
+  const timeWindow = toTimeWindow(earliest, latest, errors);
+  return {
+    index,
+    name: (name || "").trim() || t("geoImport.point", { n: index + 1 }),
+    note: (note || "").trim(),
+    address: (address || "").trim(),
+    color: colorKey || "blue",
+    order: Number.isFinite(toNumber(order)) ? toNumber(order) : null,
+    role: ["start", "end"].includes(role) ? role : null,
+    coordinates: coordinateError ? null : { latitude, longitude },
+    timeWindow,
+    // An unknown colour or time alone does not block the stop
+    errors,
+    valid: !coordinateError,
+  };
+}
+
+const firstText = (element, localName) => {
+  const found = element.getElementsByTagNameNS("*", localName)[0];
+  return found ? found.textContent.trim() : "";
+};
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) throw new Error(t("geoImport.invalidXml"));
+  return doc;
+}
+
+function parseGpx(text) {
+  const doc = parseXml(text);
+  let points = Array.from(doc.getElementsByTagNameNS("*", "wpt"));
+  if (points.length === 0) points = Array.from(doc.getElementsByTagNameNS("*", "rtept"));
+  const metadata = doc.getElementsByTagNameNS("*", "metadata")[0];
+  const name = (metadata && firstText(metadata, "name")) || firstText(doc.documentElement, "name");
+
+  const features = points.map((point, index) => {
+    const desc = firstText(point, "desc");
+    return makeFeature(index, {
+      latitude: toNumber(point.getAttribute("lat")),
+      longitude: toNumber(point.getAttribute("lon")),
+      // Our own exports prefix names with the stop order
+      name: firstText(point, "name").replace(/^\d+\.\s+/, ""),
+      note: firstText(point, "note") || desc,
+      color: firstText(point, "color"),
+      order: firstText(point, "order"),
+      role: firstText(point, "role"),
+      earliest: firstText(point, "earliest"),
+      latest: firstText(point, "latest"),
+    });
+  });
+  return { name, features };
+}
+
+function parseKml(text) {
+  const doc = parseXml(text);
+  const documentElement = doc.getElementsByTagNameNS("*", "Document")[0] || doc.documentElement;
+  const name = Array.from(documentElement.children).find((child) => child.localName === "name")?.textContent.trim() || "";
+  const placemarks = Array.from(doc.getElementsByTagNameNS("*", "Placemark"))
+    .filter((placemark) => placemark.getElementsByTagNameNS("*", "LineString").length === 0);
+
+  const features = placemarks.map((placemark, index) => {
+    const data = {};
+    for (const item of placemark.getElementsByTagNameNS("*", "Data")) {
+      data[item.getAttribute("name")] = firstText(item, "value");
+    }
+    const point = placemark.getElementsByTagNameNS("*", "Point")[0];
+    const errors = point ? [] : [t("geoImport.notPoint")];
+    const [longitude, latitude] = (point ? firstText(point, "coordinates") : "").split(",").map(toNumber);
+    const styleColor = firstText(placemark, "styleUrl").replace(/^#stop-/, "");
+    return makeFeature(index, {
+      latitude: point ? latitude : NaN,
+      longitude: point ? longitude : NaN,
+      name: firstText(placemark, "name").replace(/^\d+\.\s+/, ""),
+      note: data.note ?? firstText(placemark, "description"),
+      address: firstText(placemark, "address"),
+      color: data.color || (WAYPOINT_COLORS[styleColor] ? styleColor : ""),
+      order: data.order,
+      role: data.role,
+      earliest: data.earliest,
+      latest: data.latest,
+    }, errors);
+  });
+  return { name, features };
+}
+
+function parseGeoJSON(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error(t("geoImport.invalidJson"));
+  }
+  if (!json || typeof json !== "object") throw new Error(t("geoImport.notGeoJson"));
+  const list = json.type === "FeatureCollection" ? (Array.isArray(json.features) ? json.features : null) : json.type === "Feature" ? [json] : null;
+  if (!list) throw new Error(t("geoImport.notGeoJson"));
+
+  const features = [];
+  list.forEach((feature) => {
+    const properties = feature?.properties || {};
+    const geometry = feature?.geometry;
+    // Exported route tracks carry no stop
+    if (geometry?.type === "LineString" || geometry?.type === "MultiLineString") return;
+    const positions = geometry?.type === "Point" ? [geometry.coordinates] : geometry?.type === "MultiPoint" && Array.isArray(geometry.coordinates) ? geometry.coordinates : [null];
+    positions.forEach((position) => {
+      const errors = position ? [] : [t("geoImport.unsupported", { type: geometry?.type || t("geoImport.noGeometry") })];
+      features.push(makeFeature(features.length, {
+        latitude: position ? toNumber(position[1]) : NaN,
+        longitude: position ? toNumber(position[0]) : NaN,
+        name: properties.name ?? properties.title ?? properties.nom,
+        note: properties.note ?? properties.description,
+        address: properties.address ?? properties.adresse,
+        color: properties.color ?? properties.couleur,
+        order: properties.order,
+        role: properties.role,
+        earliest: properties.earliest,
+        latest: properties.latest,
+      }, errors));
+    });
+  });
+  return { name: json.name || "", features };
+}
+
+// Parses a GPX, KML or GeoJSON file into candidate stops sorted by their `order`
+// property, those without one after them in file order; throws on unreadable files
+export function parseGeoFile(text, filename = "") {
+  const lower = filename.toLowerCase();
+  const trimmed = text.trim();
+  let parsed;
+  if (lower.endsWith(".gpx") || /<gpx[\s>]/.test(trimmed)) parsed = parseGpx(text);
+  else if (lower.endsWith(".kml") || /<kml[\s>]/.test(trimmed)) parsed = parseKml(text);
+  else if (lower.endsWith(".geojson") || lower.endsWith(".json") || trimmed.startsWith("{")) parsed = parseGeoJSON(text);
+  else throw new Error(t("geoImport.unknownFormat"));
+
+  const features = parsed.features.slice().sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.index - b.index);
+  const fallbackName = filename.replace(/\.[^.]+$/, "");
+  return { name: parsed.name || fallbackName, features };
+}
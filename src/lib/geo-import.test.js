@@ -0,0 +1,105 @@
+import { parseGeoFile } from "@/lib/geo-import";
+import { t } from "@/lib/i18n";
+
+const point = (x, properties = {}) => ({
+  type: "Feature",
+  geometry: { type: "Point", coordinates: [x, 50] },
+  properties,
+});
+const collection = (features, fields = {}) => JSON.stringify({ type: "FeatureCollection", features, ...fields });
+const names = ({ features }) => features.map((feature) => feature.name);
+
+describe("parseGeoFile with GeoJSON", () => {
+  it("reads an empty collection", () => {
+    expect(parseGeoFile(collection([]), "stops.geojson")).toEqual({ name: "stops", features: [] });
+  });
+
+  it("reads a single feature", () => {
+    const { features } = parseGeoFile(JSON.stringify(point(4, { name: "Depot", color: "red" })));
+    expect(features).toEqual([expect.objectContaining({
+      index: 0,
+      name: "Depot",
+      color: "red",
+      order: null,
+      coordinates: { latitude: 50, longitude: 4 },
+      valid: true,
+    })]);
+  });
+
+  it("puts stops with an order first, then the others in file order", () => {
+    const text = collection([
+      point(1, { name: "a" }),
+      point(2, { name: "b", order: 2 }),
+      point(3, { name: "c" }),
+      point(4, { name: "d", order: "1" }),
+      point(5, { name: "e", order: "soon" }),
+    ]);
+    expect(names(parseGeoFile(text))).toEqual(["d", "b", "a", "c", "e"]);
+  });
+
+  it("splits a MultiPoint and skips route tracks", () => {
+    const text = collection([
+      { type: "Feature", geometry: { type: "MultiPoint", coordinates: [[1, 50], [2, 50]] }, properties: {} },
+      { type: "Feature", geometry: { type: "LineString", coordinates: [[1, 50], [2, 50]] }, properties: {} },
+    ]);
+    expect(parseGeoFile(text).features.map((feature) => feature.coordinates.longitude)).toEqual([1, 2]);
+  });
+
+  it("keeps unusable features, marked invalid", () => {
+    const text = collection([
+      { type: "Feature", geometry: { type: "MultiPoint", coordinates: 3 }, properties: {} },
+      point(200),
+    ]);
+    const [multi, outside] = parseGeoFile(text).features;
+    expect(multi).toMatchObject({ valid: false, coordinates: null });
+    expect(multi.errors).toContain(t("geoImport.unsupported", { type: "MultiPoint" }));
+    expect(outside.errors).toEqual([t("geoImport.outOfRange")]);
+  });
+
+  it("turns earliest and latest into a time window and drops an unreadable one", () => {
+    const text = collection([point(1, { earliest: "09:00", latest: "noon" })]);
+    const [feature] = parseGeoFile(text).features;
+    expect(feature.timeWindow).toEqual({ earliest: "09:00", latest: null });
+    expect(feature.errors).toEqual([t("geoImport.invalidTime", { time: "noon" })]);
+    expect(feature.valid).toBe(true);
+  });
+
+  it("rejects what is not GeoJSON", () => {
+    expect(() => parseGeoFile("{ nope", "a.json")).toThrow(t("geoImport.invalidJson"));
+    ["null", "3", JSON.stringify({ type: "FeatureCollection", features: {} }), JSON.stringify({ type: "Point" })]
+      .forEach((text) => expect(() => parseGeoFile(text, "a.json")).toThrow(t("geoImport.notGeoJson")));
+  });
+});
+
+describe("parseGeoFile with GPX and KML", () => {
+  it("reads GPX waypoints with our export extensions", () => {
+    const text = `<?xml version="1.0"?>
+      <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+        <metadata><name>Tuesday</name></metadata>
+        <wpt lat="50.1" lon="4.2"><name>2. Bakery</name><order>2</order></wpt>
+        <wpt lat="50.3" lon="4.4"><name>1. Depot</name><order>1</order><role>start</role></wpt>
+      </gpx>`;
+    const { name, features } = parseGeoFile(text, "tuesday.gpx");
+    expect(name).toBe("Tuesday");
+    expect(features.map((feature) => [feature.name, feature.role])).toEqual([["Depot", "start"], ["Bakery", null]]);
+    expect(features[1].coordinates).toEqual({ latitude: 50.1, longitude: 4.2 });
+  });
+
+  it("reads KML placemarks and flags ones without a point", () => {
+    const text = `<?xml version="1.0"?>
+      <kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Stops</name>
+        <Placemark><name>Shop</name><Point><coordinates>4.2,50.1,0</coordinates></Point></Placemark>
+        <Placemark><name>Area</name><Polygon/></Placemark>
+      </Document></kml>`;
+    const { name, features } = parseGeoFile(text);
+    expect(name).toBe("Stops");
+    expect(features[0]).toMatchObject({ name: "Shop", valid: true, coordinates: { latitude: 50.1, longitude: 4.2 } });
+    expect(features[1]).toMatchObject({ name: "Area", valid: false });
+    expect(features[1].errors).toContain(t("geoImport.notPoint"));
+  });
+
+  it("rejects broken XML and unknown formats", () => {
+    expect(() => parseGeoFile("<gpx><wpt></gpx>", "a.gpx")).toThrow(t("geoImport.invalidXml"));
+    expect(() => parseGeoFile("lat,lon", "stops.csv")).toThrow(t("geoImport.unknownFormat"));
+  });
+});
@@ -0,0 +1,20 @@
+const EARTH_RADIUS_M = 6371008.8;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in meters between two { latitude, longitude } points
+export function haversineDistance(a, b) {
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Square matrix of haversine distances; null points (open start/end) cost nothing
+export function buildDistanceMatrix(points) {
+  return points.map((a) =>
+    points.map((b) => (a && b ? haversineDistance(a, b) : 0))
+  );
+}
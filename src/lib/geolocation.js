@@ -0,0 +1,74 @@
+import { t } from "@/lib/i18n";
+
+// Position sources for live tracking. A source is { watch(onPosition, onError) }
+// returning a stop function; positions are
+// { latitude, longitude, accuracy, heading, speed, timestamp }.
+// Setting window.__GPS_FEED__ to an array of positions (e.g. from a test's init
+// script) replays that feed instead of the device GPS.
+
+const WATCH_OPTIONS = { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 };
+const DEFAULT_FEED_INTERVAL_MS = 1000;
+
+const GEOLOCATION_ERRORS = {
+  1: "geolocation.denied",
+  2: "geolocation.unavailable",
+  3: "geolocation.timeout",
+};
+
+export const browserPositionSource = {
+  watch(onPosition, onError) {
+    if (!navigator.geolocation) {
+      onError(new Error(t("geolocation.unsupported")));
+      return () => {};
+    }
+    const watchId = navigator.geolocation.watchPosition(
+      ({ coords, timestamp }) => onPosition({
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        accuracy: coords.accuracy,
+        heading: Number.isFinite(coords.heading) ? coords.heading : null,
+        speed: Number.isFinite(coords.speed) ? coords.speed : null,
+        timestamp,
+      }),
+      (error) => onError(new Error(GEOLOCATION_ERRORS[error.code] ? t(GEOLOCATION_ERRORS[error.code]) : error.message)),
+      WATCH_OPTIONS
+    );
+    return () => navigator.geolocation.clearWatch(watchId);
+  },
+};
+
+// Replays a list of positions, one per interval (or per `delay` ms given on a point)
+export function createScriptedPositionSource(feed, { interval = DEFAULT_FEED_INTERVAL_MS, loop = false } = {}) {
+  return {
+    watch(onPosition) {
+      let index = 0;
+      let timer = null;
+      const emit = () => {
+        if (index >= feed.length) {
+          if (!loop || feed.length === 0) return;
+          index = 0;
+        }
+        const point = feed[index++];
+        onPosition({ accuracy: 5, heading: null, speed: null, ...point, timestamp: Date.now() });
+        timer = setTimeout(emit, point.delay ?? interval);
+      };
+      timer = setTimeout(emit, 0);
+      return () => clearTimeout(timer);
+    },
+  };
+}
+
+export function getPositionSource() {
+  if (Array.isArray(window.__GPS_FEED__)) return createScriptedPositionSource(window.__GPS_FEED__);
+  return browserPositionSource;
+}
+
+// Compass bearing in degrees from a to b, for feeds that carry no heading
+export function bearing(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLon = toRad(b.longitude - a.longitude);
+  const y = Math.sin(dLon) * Math.cos(toRad(b.latitude));
+  const x = Math.cos(toRad(a.latitude)) * Math.sin(toRad(b.latitude)) -
+    Math.sin(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
@@ -0,0 +1,118 @@
+import { addWaypoint, deleteWaypoint, updateRoute, updateWaypoint } from "@/lib/api";
+import { STATUS_LABELS } from "@/lib/waypoints";
+import { PROFILE_LABELS } from "@/lib/schedule";
+import { t } from "@/lib/i18n";
+
+// Route fields the undo history covers, besides the stops
+const ROUTE_FIELDS = ["start", "end", "profile"];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const ids = (waypoints) => (waypoints || []).map((wp) => wp.id);
+
+const pick = (source, keys) => Object.fromEntries(keys.map((key) => [key, source?.[key] ?? null]));
+
+// The step from one version of a route to another, as operations that can be
+// replayed on the route as it is later:
+//   fields:  { field: { from, to } } for the route fields that changed
+//   removed: stops the step deleted, as they were
+//   added:   stops the step added, as added
+//   edited:  [{ id, from, to }] with only the stop fields that changed
+//   order:   stop ids in their new order, null when the list is the same
+export function diffRoute(from, to) {
+  const fromStops = from.waypoints || [];
+  const toStops = to.waypoints || [];
+  const fromById = new Map(fromStops.map((wp) => [wp.id, wp]));
+  const toById = new Map(toStops.map((wp) => [wp.id, wp]));
+
+  const fields = {};
+  ROUTE_FIELDS.forEach((field) => {
+    if (!same(from[field], to[field])) fields[field] = { from: from[field] ?? null, to: to[field] ?? null };
+  });
+  const edited = toStops
+    .filter((wp) => fromById.has(wp.id) && !same(wp, fromById.get(wp.id)))
+    .map((wp) => {
+      const old = fromById.get(wp.id);
+      const keys = [...new Set([...Object.keys(old), ...Object.keys(wp)])].filter((key) => !same(old[key], wp[key]));
+      return { id: wp.id, from: pick(old, keys), to: pick(wp, keys) };
+    });
+  return {
+    fields,
+    removed: fromStops.filter((wp) => !toById.has(wp.id)),
+    added: toStops.filter((wp) => !fromById.has(wp.id)),
+    edited,
+    order: same(ids(fromStops), ids(toStops)) ? null : ids(toStops),
+  };
+}
+
+// Short fingerprint of a whole route, to tell later whether it is still
+// exactly as it was
+export function fingerprint(route) {
+  const text = JSON.stringify(route);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  return `${text.length}-${(hash >>> 0).toString(36)}`;
+}
+
+// Replays a step on the route as it is now, one call per change through the
+// stop and route endpoints, so whatever changed since the step is kept: a
+// field only goes back while it still holds the step's starting value, and a
+// stop is only deleted while unchanged. `onSaved` gets each server copy.
+// Resolves to the last one.
+export async function applyStep(route, step, onSaved) {
+  let current = route;
+  const save = async (call) => {
+    current = await call();
+    onSaved(current);
+  };
+  const stopById = (id) => current.waypoints.find((wp) => wp.id === id);
+
+  const fields = Object.keys(step.fields).filter((field) => same(current[field], step.fields[field].from));
+  if (fields.length > 0) {
+    const updates = Object.fromEntries(fields.map((field) => [field, step.fields[field].to]));
+    await save(() => updateRoute(current.id, updates));
+  }
+  for (const wp of step.removed) {
+    if (same(stopById(wp.id), wp)) await save(() => deleteWaypoint(current.id, wp.id));
+  }
+  for (const wp of step.added) {
+    if (!stopById(wp.id)) await save(() => addWaypoint(current.id, wp));
+  }
+  for (const { id, from, to } of step.edited) {
+    const wp = stopById(id);
+    const keys = wp ? Object.keys(to).filter((key) => same(wp[key], from[key])) : [];
+    if (keys.length > 0) await save(() => updateWaypoint(current.id, id, pick(to, keys)));
+  }
+  if (step.order) {
+    // Only the order is taken from the step: each stop is sent as it is now,
+    // and stops added since stay at the end
+    const byId = new Map(current.waypoints.map((wp) => [wp.id, wp]));
+    const ordered = step.order.filter((id) => byId.has(id)).map((id) => byId.get(id));
+    const waypoints = [...ordered, ...current.waypoints.filter((wp) => !step.order.includes(wp.id))];
+    if (!same(ids(waypoints), ids(current.waypoints))) await save(() => updateRoute(current.id, { waypoints }));
+  }
+  return current;
+}
+
+// Short label for the change between two versions of a route; null when
+// nothing the history covers changed
+export function describeChange(before, after) {
+  const { fields, added, removed, edited, order } = diffRoute(before, after);
+  if (fields.start) return after.start ? t("history.start", { name: after.start.name }) : t("history.startRemoved");
+  if (fields.end) return after.end ? t("history.end", { name: after.end.name }) : t("history.endRemoved");
+  if (fields.profile) return t("history.profile", { profile: PROFILE_LABELS[after.profile] || after.profile });
+
+  if (added.length > 1) return t("history.addedMany", { count: added.length });
+  if (added.length === 1) return t("history.added", { name: added[0].name });
+  if (removed.length > 1) return t("history.removedMany", { count: removed.length });
+  if (removed.length === 1) return t("history.removed", { name: removed[0].name });
+  if (order) return t("history.reordered");
+
+  if (edited.length === 1) {
+    const [{ id, to }] = edited;
+    const wp = after.waypoints.find((w) => w.id === id);
+    if ("status" in to) return t("history.status", { name: wp.name, status: STATUS_LABELS[wp.status || "pending"] });
+    return t("history.edited", { name: wp.name });
+  }
+  return edited.length > 1 ? t("history.editedMany", { count: edited.length }) : null;
+}
@@ -0,0 +1,109 @@
+import { applyStep, describeChange, diffRoute, fingerprint } from "@/lib/history";
+import { t } from "@/lib/i18n";
+
+// A server holding one route, changed by the same calls the app makes
+let mockServer;
+const mockCopy = (value) => JSON.parse(JSON.stringify(value));
+jest.mock("@/lib/api", () => {
+  const save = (route) => {
+    mockServer = route;
+    return Promise.resolve(mockCopy(route));
+  };
+  const withStops = (map) => save({ ...mockServer, waypoints: map(mockServer.waypoints) });
+  return {
+    updateRoute: (id, updates) => save({ ...mockServer, ...updates }),
+    addWaypoint: (id, wp) => withStops((stops) => [...stops, wp]),
+    deleteWaypoint: (id, wpId) => withStops((stops) => stops.filter((wp) => wp.id !== wpId)),
+    updateWaypoint: (id, wpId, updates) =>
+      withStops((stops) => stops.map((wp) => (wp.id === wpId ? { ...wp, ...updates } : wp))),
+  };
+});
+
+const stop = (id, fields = {}) => ({ id, name: `Stop ${id}`, status: "pending", ...fields });
+const route = (waypoints, fields = {}) => ({ id: "r1", start: null, end: null, profile: "driving-car", waypoints, ...fields });
+
+// Undoes the change from `before` to `after` on whatever the server holds now
+async function undo(before, after) {
+  const saved = [];
+  const result = await applyStep(mockCopy(mockServer), diffRoute(after, before), (r) => saved.push(r));
+  return { result, saved };
+}
+
+describe("diffRoute", () => {
+  it("is an empty step between two empty routes", () => {
+    expect(diffRoute(route([]), route([]))).toEqual({ fields: {}, removed: [], added: [], edited: [], order: null });
+  });
+
+  it("records a single stop added, removed and edited", () => {
+    const one = route([stop("a")]);
+    expect(diffRoute(route([]), one)).toMatchObject({ added: [stop("a")], order: ["a"] });
+    expect(diffRoute(one, route([]))).toMatchObject({ removed: [stop("a")], order: [] });
+    expect(diffRoute(one, route([stop("a", { status: "completed" })])).edited).toEqual([
+      { id: "a", from: { status: "pending" }, to: { status: "completed" } },
+    ]);
+  });
+});
+
+describe("describeChange", () => {
+  it("labels the change, or nothing when the history does not cover it", () => {
+    const one = route([stop("a")]);
+    expect(describeChange(route([]), route([]))).toBeNull();
+    expect(describeChange(route([]), one)).toBe(t("history.added", { name: "Stop a" }));
+    expect(describeChange(one, route([]))).toBe(t("history.removed", { name: "Stop a" }));
+    expect(describeChange(route([stop("a"), stop("b")]), route([stop("b"), stop("a")]))).toBe(t("history.reordered"));
+  });
+});
+
+describe("fingerprint", () => {
+  it("matches only the same route", () => {
+    expect(fingerprint(route([stop("a")]))).toBe(fingerprint(route([stop("a")])));
+    expect(fingerprint(route([stop("a")]))).not.toBe(fingerprint(route([stop("a", { status: "completed" })])));
+  });
+});
+
+describe("applyStep", () => {
+  it("makes no call for an empty step", async () => {
+    mockServer = route([]);
+    const { result, saved } = await undo(route([]), route([]));
+    expect(result).toEqual(route([]));
+    expect(saved).toEqual([]);
+  });
+
+  it("undoes a single stop added", async () => {
+    mockServer = route([stop("a")]);
+    const { result } = await undo(route([]), route([stop("a")]));
+    expect(result.waypoints).toEqual([]);
+  });
+
+  it("restores the order but keeps a stop delivered since", async () => {
+    const before = route([stop("a"), stop("b"), stop("c")]);
+    const after = route([stop("c"), stop("b"), stop("a")]);
+    // The driver delivers b after the reorder
+    mockServer = route([stop("c"), stop("b", { status: "completed" }), stop("a")]);
+    const { result } = await undo(before, after);
+    expect(result.waypoints).toEqual([stop("a"), stop("b", { status: "completed" }), stop("c")]);
+    expect(mockServer).toEqual(result);
+  });
+
+  it("leaves a field changed again since", async () => {
+    const before = route([stop("a")]);
+    const after = route([stop("a", { status: "completed" })]);
+    mockServer = route([stop("a", { status: "failed" })]);
+    const { result, saved } = await undo(before, after);
+    expect(result.waypoints[0].status).toBe("failed");
+    expect(saved).toEqual([]);
+  });
+
+  it("does not delete an added stop that was changed since", async () => {
+    mockServer = route([stop("a", { status: "completed" })]);
+    const { result } = await undo(route([]), route([stop("a")]));
+    expect(result.waypoints).toEqual([stop("a", { status: "completed" })]);
+  });
+
+  it("brings back a removed stop after the end", async () => {
+    const before = route([stop("a"), stop("b")]);
+    mockServer = route([stop("a"), stop("c")]);
+    const { result } = await undo(before, route([stop("a")]));
+    expect(result.waypoints.map((wp) => wp.id)).toEqual(["a", "b", "c"]);
+  });
+});
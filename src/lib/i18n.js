@@ -0,0 +1,113 @@
+import fr from "@/locales/fr";
+import en from "@/locales/en";
+import nl from "@/locales/nl";
+
+// Interface language, plus the units and clock that go with it. `t` reads
+// the current language each time, so a label is looked up when it is shown,
+// never when its module is loaded.
+const PREFERENCES_KEY = "preferences";
+
+export const LOCALES = {
+  fr: { label: "Français", catalogue: fr, region: "fr-FR" },
+  en: { label: "English", catalogue: en, region: "en-GB" },
+  nl: { label: "Nederlands", catalogue: nl, region: "nl-BE" },
+};
+
+const DEFAULT_LOCALE = "fr";
+
+const browserLanguage = () => (typeof navigator !== "undefined" && navigator.language) || DEFAULT_LOCALE;
+
+// From the browser the first time: "en-GB" gets miles, "en-US" a 12h clock too
+function detectPreferences() {
+  const language = browserLanguage();
+  const locale = LOCALES[language.slice(0, 2)] ? language.slice(0, 2) : DEFAULT_LOCALE;
+  let hour12 = false;
+  try {
+    hour12 = new Intl.DateTimeFormat(language, { hour: "numeric" }).resolvedOptions().hour12;
+  } catch (error) {
+    // Unknown language tag: 24h
+  }
+  return {
+    locale,
+    units: /^en-(GB|US)$/i.test(language) ? "imperial" : "metric",
+    clock: hour12 ? "12h" : "24h",
+  };
+}
+
+function loadPreferences() {
+  const detected = detectPreferences();
+  try {
+    const stored = JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+    return {
+      locale: LOCALES[stored.locale] ? stored.locale : detected.locale,
+      units: ["metric", "imperial"].includes(stored.units) ? stored.units : detected.units,
+      clock: ["24h", "12h"].includes(stored.clock) ? stored.clock : detected.clock,
+    };
+  } catch (error) {
+    return detected;
+  }
+}
+
+let preferences = loadPreferences();
+const listeners = new Set();
+
+if (typeof document !== "undefined") document.documentElement.lang = preferences.locale;
+
+export const getPreferences = () => preferences;
+
+// `listener()` runs after every change; returns the unsubscribe
+export function onPreferencesChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function setPreferences(changes) {
+  preferences = { ...preferences, ...changes };
+  try {
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    // Private mode: the choice lasts until the tab closes
+  }
+  if (typeof document !== "undefined") document.documentElement.lang = preferences.locale;
+  listeners.forEach((listener) => listener());
+}
+
+// BCP 47 tag for Intl: the browser's own when it is a variant of the chosen
+// language ("fr-BE"), the language's usual one otherwise
+export function getIntlLocale() {
+  const language = browserLanguage();
+  return language.slice(0, 2) === preferences.locale ? language : LOCALES[preferences.locale].region;
+}
+
+const lookup = (catalogue, key) => key.split(".").reduce((node, part) => node?.[part], catalogue);
+
+const pluralRules = {};
+const pluralForm = (count) => {
+  pluralRules[preferences.locale] ??= new Intl.PluralRules(preferences.locale);
+  return pluralRules[preferences.locale].select(count);
+};
+
+// Text for `key` ("waypoint.status.completed") in the current language, French
+// when missing. `{name}` placeholders come from `params`; with `params.count`
+// the `_one` / `_other` variant of the key is picked.
+export function t(key, params = {}) {
+  const keys = params.count != null ? [`${key}_${pluralForm(params.count)}`, `${key}_other`, key] : [key];
+  const catalogues = [LOCALES[preferences.locale].catalogue, fr];
+  let text;
+  for (const catalogue of catalogues) {
+    text = keys.map((k) => lookup(catalogue, k)).find((value) => typeof value === "string");
+    if (text !== undefined) break;
+  }
+  if (text === undefined) return key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+// Every language's text for `key`, to recognise a label typed in any of them
+export const allTranslations = (key) =>
+  Object.values(LOCALES).map(({ catalogue }) => lookup(catalogue, key)).filter((value) => typeof value === "string");
+
+// Object whose properties read their text when accessed: `{ pending: "waypoint.status.pending" }`
+export const translatedLabels = (keys) =>
+  Object.defineProperties({}, Object.fromEntries(
+    Object.entries(keys).map(([name, key]) => [name, { get: () => t(key), enumerable: true }])
+  ));
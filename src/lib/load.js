@@ -0,0 +1,79 @@
+import { t } from "@/lib/i18n";
+
+// Load carried for a stop, and vehicle capacity, in three dimensions
+export const LOAD_DIMENSIONS = {
+  parcels: { get label() { return t("load.parcels"); }, get unit() { return t("load.parcelsUnit"); } },
+  weight: { get label() { return t("load.weight"); }, unit: "kg" },
+  volume: { get label() { return t("load.volume"); }, unit: "m³" },
+};
+
+const DIMENSIONS = Object.keys(LOAD_DIMENSIONS);
+
+export const EMPTY_LOAD = { parcels: 0, weight: 0, volume: 0 };
+
+export const getLoad = (wp) => ({
+  parcels: Number(wp?.load?.parcels) || 0,
+  weight: Number(wp?.load?.weight) || 0,
+  volume: Number(wp?.load?.volume) || 0,
+});
+
+export const addLoads = (a, b) => ({
+  parcels: a.parcels + b.parcels,
+  weight: a.weight + b.weight,
+  volume: a.volume + b.volume,
+});
+
+export const sumLoads = (loads) => loads.reduce(addLoads, EMPTY_LOAD);
+
+export const hasLoad = (load) => DIMENSIONS.some((d) => load[d] > 0);
+
+// Capacity dimensions left empty are unlimited
+const limitOf = (capacity, d) => {
+  const value = Number(capacity?.[d]);
+  return capacity?.[d] != null && capacity[d] !== "" && value >= 0 ? value : null;
+};
+
+export const hasCapacity = (capacity) => DIMENSIONS.some((d) => limitOf(capacity, d) != null);
+
+// Dimensions in which `load` exceeds `capacity`
+export const exceededDimensions = (load, capacity) =>
+  DIMENSIONS.filter((d) => {
+    const limit = limitOf(capacity, d);
+    return limit != null && load[d] > limit;
+  });
+
+// Relative excess summed over dimensions; 0 when the load fits
+export const overloadAmount = (load, capacity) =>
+  DIMENSIONS.reduce((sum, d) => {
+    const limit = limitOf(capacity, d);
+    if (limit == null || load[d] <= limit) return sum;
+    return sum + (limit > 0 ? (load[d] - limit) / limit : load[d]);
+  }, 0);
+
+// Minimum number of vehicles of this capacity needed to carry `load`
+export const vehiclesNeeded = (load, capacity) =>
+  DIMENSIONS.reduce((needed, d) => {
+    const limit = limitOf(capacity, d);
+    if (limit == null || load[d] === 0) return needed;
+    return Math.max(needed, limit > 0 ? Math.ceil(load[d] / limit) : Infinity);
+  }, 1);
+
+// Delivery run: everything is on board at departure and each stop unloads its share.
+// onBoard[k] is what remains in the vehicle after stop k.
+export function computeRunningLoad(route) {
+  const loads = (route?.waypoints || []).map(getLoad);
+  const total = sumLoads(loads);
+  let remaining = total;
+  const onBoard = loads.map((load) => {
+    remaining = {
+      parcels: remaining.parcels - load.parcels,
+      weight: remaining.weight - load.weight,
+      volume: remaining.volume - load.volume,
+    };
+    return remaining;
+  });
+  return { total, onBoard, exceeded: exceededDimensions(total, route?.capacity) };
+}
+
+export const formatLoadValue = (value, d) =>
+  d === "volume" ? `${Math.round(value * 100) / 100}` : `${Math.round(value * 10) / 10}`;
@@ -0,0 +1,49 @@
+import { optimizeStopOrder } from "@/lib/optimizer";
+import { splitRoute } from "@/lib/partition";
+import { getLoad } from "@/lib/load";
+import { getServiceTime, getTimeWindow, parseTime, DEFAULT_DEPARTURE_TIME } from "@/lib/schedule";
+
+const TASKS = {
+  optimize: optimizeStopOrder,
+  split: splitRoute,
+};
+
+// Runs a solver task off the main thread when Web Workers are available
+function runTask(task, payload) {
+  if (typeof Worker === "undefined") {
+    return Promise.resolve().then(() => TASKS[task](payload));
+  }
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("../workers/optimizer.worker.js", import.meta.url));
+    worker.onmessage = (event) => {
+      worker.terminate();
+      if (event.data.error) reject(new Error(event.data.error));
+      else resolve(event.data.result);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(event.error || new Error(event.message));
+    };
+    worker.postMessage({ task, payload });
+  });
+}
+
+export const runLocalOptimizer = (payload) => runTask("optimize", payload);
+
+export const runLocalSplit = (payload) => runTask("split", payload);
+
+// Solver input for a route: its fixed points, stop coordinates, windows, service times and loads
+export const buildSolverPayload = (route) => ({
+  start: route.start,
+  end: route.end,
+  waypoints: route.waypoints.map(({ id, coordinates }) => ({ id, coordinates })),
+  // Road matrices cached with the route by the backend, when present
+  matrix: route.matrix?.distances,
+  durations: route.matrix?.durations,
+  profile: route.profile,
+  departure: parseTime(route.departureTime || DEFAULT_DEPARTURE_TIME),
+  windows: route.waypoints.map(getTimeWindow),
+  serviceTimes: route.waypoints.map((wp) => getServiceTime(wp, route)),
+  loads: route.waypoints.map(getLoad),
+  capacity: route.capacity,
+});
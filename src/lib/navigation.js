@@ -0,0 +1,84 @@
+import { t } from "@/lib/i18n";
+
+// Deep links handing a stop over to an external navigation app
+const PREFERRED_APP_KEY = "preferredNavApp";
+
+// Google Maps drops extra waypoints beyond this on mobile
+export const MAX_GOOGLE_WAYPOINTS = 9;
+
+const latLng = ({ latitude, longitude }) => `${latitude},${longitude}`;
+
+// Each routing profile (the keys of PROFILE_LABELS) in the apps' own terms
+const TRAVEL_MODES = {
+  "driving-car": { google: "driving", apple: "d" },
+  "foot-walking": { google: "walking", apple: "w" },
+};
+
+const travelMode = (profile) => TRAVEL_MODES[profile] || TRAVEL_MODES["driving-car"];
+
+export const NAV_APPS = {
+  google: {
+    label: "Google Maps",
+    url: (coordinates, { profile } = {}) =>
+      `https://www.google.com/maps/dir/?api=1&destination=${latLng(coordinates)}&travelmode=${travelMode(profile).google}`,
+  },
+  waze: {
+    label: "Waze",
+    url: (coordinates) => `https://waze.com/ul?ll=${latLng(coordinates)}&navigate=yes`,
+  },
+  apple: {
+    get label() { return t("navigation.apple"); },
+    url: (coordinates, { profile } = {}) =>
+      `https://maps.apple.com/?daddr=${latLng(coordinates)}&dirflg=${travelMode(profile).apple}`,
+  },
+  geo: {
+    get label() { return t("navigation.geo"); },
+    url: (coordinates, { name } = {}) =>
+      `geo:${latLng(coordinates)}?q=${latLng(coordinates)}${name ? `(${encodeURIComponent(name)})` : ""}`,
+  },
+};
+
+export const DEFAULT_NAV_APP = "google";
+
+export function getPreferredNavApp() {
+  try {
+    const app = localStorage.getItem(PREFERRED_APP_KEY);
+    return NAV_APPS[app] ? app : DEFAULT_NAV_APP;
+  } catch (error) {
+    return DEFAULT_NAV_APP;
+  }
+}
+
+export function setPreferredNavApp(app) {
+  try {
+    localStorage.setItem(PREFERRED_APP_KEY, app);
+  } catch (error) {
+    // Private browsing: the choice only lasts for the session
+  }
+}
+
+export const buildNavUrl = (app, wp, profile) =>
+  (NAV_APPS[app] || NAV_APPS[DEFAULT_NAV_APP]).url(wp.coordinates, { name: wp.name, profile });
+
+// Pending stops from the current one on, capped to what Google Maps accepts
+// (the last one is the destination)
+export function getNextPendingStops(route, fromIndex, count = MAX_GOOGLE_WAYPOINTS + 1) {
+  return (route?.waypoints || [])
+    .slice(fromIndex)
+    .filter((wp) => (wp.status || "pending") === "pending" && wp.coordinates)
+    .slice(0, Math.min(count, MAX_GOOGLE_WAYPOINTS + 1));
+}
+
+// Google Maps directions from the current position through several stops
+export function buildMultiStopUrl(stops, profile) {
+  if (stops.length === 0) return null;
+  const destination = stops[stops.length - 1];
+  const via = stops.slice(0, -1).map((wp) => latLng(wp.coordinates));
+  const params = [
+    "api=1",
+    `destination=${latLng(destination.coordinates)}`,
+    via.length > 0 && `waypoints=${encodeURIComponent(via.join("|"))}`,
+    `travelmode=${travelMode(profile).google}`,
+  ].filter(Boolean);
+  return `https://www.google.com/maps/dir/?${params.join("&")}`;
+}
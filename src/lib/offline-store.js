@@ -0,0 +1,104 @@
+import { getSession } from "@/lib/auth";
+import { t } from "@/lib/i18n";
+
+// IndexedDB cache of routes and the outbox of changes made while offline,
+// both filed under the signed-in user: someone else signing in on the same
+// device neither sees nor replays them, and the owner finds them again at
+// their next session
+const DB_NAME = "route-optimizer";
+const DB_VERSION = 2;
+const ROUTES = "routes";
+const OUTBOX = "outbox";
+
+const currentUserId = () => getSession()?.user.id ?? null;
+
+// Every cached route of a user: keys are [userId, routeId]
+const userRoutes = (userId) => IDBKeyRange.bound([userId], [userId, []]);
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error(t("offline.noIndexedDb")));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        // The version 1 cache is keyed by route alone; the next load refills it
+        if (event.oldVersion < 2 && db.objectStoreNames.contains(ROUTES)) db.deleteObjectStore(ROUTES);
+        if (!db.objectStoreNames.contains(ROUTES)) db.createObjectStore(ROUTES, { keyPath: ["userId", "id"] });
+        if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+async function withStore(name, mode, callback) {
+  const db = await openDb();
+  const tx = db.transaction(name, mode);
+  const result = callback(tx.objectStore(name));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return result instanceof IDBRequest ? result.result : result;
+}
+
+// Replaces the user's cached list so deleted routes do not come back offline
+export async function cacheRoutes(routes) {
+  const userId = currentUserId();
+  if (userId === null) return;
+  await withStore(ROUTES, "readwrite", (store) => {
+    store.delete(userRoutes(userId));
+    routes.forEach((route) => store.put({ userId, id: route.id, route }));
+  });
+}
+
+export async function getCachedRoutes() {
+  const userId = currentUserId();
+  if (userId === null) return [];
+  const records = await withStore(ROUTES, "readonly", (store) => store.getAll(userRoutes(userId)));
+  return records.map((record) => record.route);
+}
+
+export async function addToOutbox(mutation) {
+  const userId = currentUserId();
+  if (userId === null) throw new Error(t("api.signedOut"));
+  return withStore(OUTBOX, "readwrite", (store) => store.add({ ...mutation, userId, createdAt: Date.now() }));
+}
+
+// The user's queued changes, oldest first: replay order matters. Changes
+// queued before they were filed by user carry none; they go to the first
+// user to sign in, the only one who can have made them.
+export async function getOutbox() {
+  const userId = currentUserId();
+  if (userId === null) return [];
+  const mutations = [];
+  await withStore(OUTBOX, "readwrite", (store) => {
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const mutation = cursor.value;
+      if (mutation.userId == null) {
+        const claimed = { ...mutation, userId };
+        cursor.update(claimed);
+        mutations.push(claimed);
+      } else if (mutation.userId === userId) {
+        mutations.push(mutation);
+      }
+      cursor.continue();
+    };
+  });
+  return mutations;
+}
+
+export const removeFromOutbox = (id) => withStore(OUTBOX, "readwrite", (store) => store.delete(id));
@@ -0,0 +1,184 @@
+import { buildDistanceMatrix } from "@/lib/geo";
+import { buildTimeline, DETOUR_FACTOR, PROFILE_SPEEDS } from "@/lib/schedule";
+
+const EPSILON = 1e-6;
+const MAX_PASSES = 50;
+const OR_OPT_SEGMENT_LENGTHS = [1, 2, 3];
+// Each second late at a stop weighs as much as 100 m of extra driving
+const LATENESS_PENALTY = 100;
+
+function isSquareMatrix(matrix, size) {
+  return (
+    Array.isArray(matrix) &&
+    matrix.length === size &&
+    matrix.every((row) => Array.isArray(row) && row.length === size)
+  );
+}
+
+// Node layout shared by the matrix and the sequences below:
+// 0 = start, 1..n = waypoints in their current order, n + 1 = end.
+// A missing start or end is an "open" endpoint that costs nothing to reach.
+function resolveMatrices({ start, end, waypoints, matrix, durations, profile }) {
+  const points = [
+    start?.coordinates || null,
+    ...waypoints.map((wp) => wp.coordinates),
+    end?.coordinates || null,
+  ];
+  const size = points.length;
+  // Cached road matrices still honour open endpoints
+  const mask = (m) => m.map((row, i) => row.map((v, j) => (points[i] && points[j] ? v : 0)));
+  const roadDistances = isSquareMatrix(matrix, size);
+  const dist = roadDistances ? mask(matrix) : buildDistanceMatrix(points);
+
+  let time;
+  if (isSquareMatrix(durations, size)) {
+    time = mask(durations);
+  } else {
+    const speed = PROFILE_SPEEDS[profile] || PROFILE_SPEEDS["driving-car"];
+    const factor = roadDistances ? 1 : DETOUR_FACTOR;
+    time = dist.map((row) => row.map((d) => (d * factor) / speed));
+  }
+  return { dist, time };
+}
+
+export function sequenceCost(seq, dist) {
+  let total = 0;
+  for (let k = 0; k < seq.length - 1; k++) total += dist[seq[k]][seq[k + 1]];
+  return total;
+}
+
+function nearestNeighbour(n, dist) {
+  const unvisited = new Set(Array.from({ length: n }, (_, i) => i + 1));
+  const seq = [0];
+  let current = 0;
+  while (unvisited.size > 0) {
+    let best = null;
+    for (const candidate of unvisited) {
+      if (best === null || dist[current][candidate] < dist[current][best]) best = candidate;
+    }
+    seq.push(best);
+    unvisited.delete(best);
+    current = best;
+  }
+  seq.push(n + 1);
+  return seq;
+}
+
+// Reverses seq[i..j] when it shortens the path (exact for asymmetric matrices)
+function twoOptPass(seq, dist) {
+  let improved = false;
+  for (let i = 1; i < seq.length - 2; i++) {
+    for (let j = i + 1; j < seq.length - 1; j++) {
+      let delta =
+        dist[seq[i - 1]][seq[j]] + dist[seq[i]][seq[j + 1]] -
+        dist[seq[i - 1]][seq[i]] - dist[seq[j]][seq[j + 1]];
+      for (let k = i; k < j; k++) delta += dist[seq[k + 1]][seq[k]] - dist[seq[k]][seq[k + 1]];
+      if (delta < -EPSILON) {
+        const reversed = seq.slice(i, j + 1).reverse();
+        seq.splice(i, reversed.length, ...reversed);
+        improved = true;
+      }
+    }
+  }
+  return improved;
+}
+
+// Moves segments of 1 to 3 stops to a cheaper position, keeping their direction
+function orOptPass(seq, dist) {
+  let improved = false;
+  for (const length of OR_OPT_SEGMENT_LENGTHS) {
+    for (let i = 1; i + length < seq.length; i++) {
+      const first = seq[i];
+      const last = seq[i + length - 1];
+      const prev = seq[i - 1];
+      const next = seq[i + length];
+      const removalGain = dist[prev][first] + dist[last][next] - dist[prev][next];
+
+      for (let j = 0; j < seq.length - 1; j++) {
+        if (j >= i - 1 && j < i + length) continue;
+        const a = seq[j];
+        const b = seq[j + 1];
+        const insertionCost = dist[a][first] + dist[last][b] - dist[a][b];
+        if (insertionCost - removalGain < -EPSILON) {
+          const segment = seq.splice(i, length);
+          const insertAt = j < i ? j + 1 : j + 1 - length;
+          seq.splice(insertAt, 0, ...segment);
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+  return improved;
+}
+
+function timelineFor(seq, time, departure, windows, serviceTimes) {
+  return buildTimeline({
+    departure,
+    legDurations: seq.slice(1).map((node, k) => time[seq[k]][node]),
+    windows: seq.slice(1, -1).map((node) => windows[node - 1]),
+    serviceTimes: seq.slice(1, -1).map((node) => serviceTimes[node - 1]),
+  });
+}
+
+// Or-opt relocation judged on distance plus time-window lateness
+function windowedOrOptPass(seq, objective) {
+  let improved = false;
+  let current = objective(seq);
+  for (const length of OR_OPT_SEGMENT_LENGTHS) {
+    for (let i = 1; i + length < seq.length; i++) {
+      for (let j = 0; j < seq.length - 1; j++) {
+        if (j >= i - 1 && j < i + length) continue;
+        const candidate = seq.slice();
+        const segment = candidate.splice(i, length);
+        candidate.splice(j < i ? j + 1 : j + 1 - length, 0, ...segment);
+        const cost = objective(candidate);
+        if (cost < current - EPSILON) {
+          seq.splice(0, seq.length, ...candidate);
+          current = cost;
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+  return improved;
+}
+
+// Orders waypoints between fixed start/end points, honouring optional time windows
+// (seconds since midnight, counted from `departure`) and per-stop service times (seconds).
+// Returns the new order as indices into `waypoints`, with estimated distances in meters
+// and the estimated duration of the whole tour in seconds.
+export function optimizeStopOrder({ start, end, waypoints, matrix, durations, profile, departure = 0, windows = [], serviceTimes = [] }) {
+  const n = waypoints.length;
+  const { dist, time } = resolveMatrices({ start, end, waypoints, matrix, durations, profile });
+  const windowed = windows.some((w) => w && (w.earliest != null || w.latest != null));
+  const objective = (candidate) => {
+    const distance = sequenceCost(candidate, dist);
+    if (!windowed) return distance;
+    return distance + LATENESS_PENALTY * timelineFor(candidate, time, departure, windows, serviceTimes).totalLateness;
+  };
+
+  const initialSeq = Array.from({ length: n + 2 }, (_, i) => i);
+  const seq = nearestNeighbour(n, dist);
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const twoOptImproved = twoOptPass(seq, dist);
+    const orOptImproved = orOptPass(seq, dist);
+    if (!twoOptImproved && !orOptImproved) break;
+  }
+  if (windowed) {
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      if (!windowedOrOptPass(seq, objective)) break;
+    }
+  }
+
+  const best = objective(seq) <= objective(initialSeq) ? seq : initialSeq;
+  const timeline = timelineFor(best, time, departure, windows, serviceTimes);
+  return {
+    order: best.slice(1, -1).map((node) => node - 1),
+    distance: sequenceCost(best, dist),
+    initialDistance: sequenceCost(initialSeq, dist),
+    duration: timeline.shiftLength,
+    lateStops: timeline.stops.filter((stop) => stop.lateness > 0).length,
+  };
+}
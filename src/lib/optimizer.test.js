@@ -0,0 +1,62 @@
+import { optimizeStopOrder, sequenceCost } from "@/lib/optimizer";
+
+// Stops on a line: x is both the distance in metres and the travel time in
+// seconds, so the expected orders can be checked by hand
+const stop = (x) => ({ coordinates: { latitude: 0, longitude: x / 1000 } });
+
+function lineRoute(startX, endX, xs) {
+  const points = [startX, ...xs, endX];
+  const matrix = points.map((a) => points.map((b) => Math.abs(a - b)));
+  return { start: stop(startX), end: stop(endX), waypoints: xs.map(stop), matrix, durations: matrix };
+}
+
+describe("optimizeStopOrder", () => {
+  it("goes straight from start to end without stops", () => {
+    const result = optimizeStopOrder(lineRoute(0, 10, []));
+    expect(result.order).toEqual([]);
+    expect(result.distance).toBe(10);
+  });
+
+  it("keeps a single stop", () => {
+    const result = optimizeStopOrder(lineRoute(0, 10, [4]));
+    expect(result.order).toEqual([0]);
+    expect(result.distance).toBe(10);
+    expect(result.initialDistance).toBe(10);
+  });
+
+  it("visits stops along the line in order", () => {
+    const result = optimizeStopOrder(lineRoute(0, 10, [7, 2, 9, 5]));
+    expect(result.order).toEqual([1, 3, 0, 2]);
+    expect(result.distance).toBe(10);
+    expect(result.initialDistance).toBe(28);
+  });
+
+  it("is never worse than the current order", () => {
+    const route = lineRoute(0, 0, [3, -4, 8, -1, 6, 2]);
+    const result = optimizeStopOrder(route);
+    expect(result.distance).toBeLessThanOrEqual(result.initialDistance);
+    expect([...result.order].sort()).toEqual([0, 1, 2, 3, 4, 5]);
+  });
+
+  it("drives further to reach a stop before its latest time", () => {
+    const route = lineRoute(0, 10, [6, 3]);
+    // Delivering at 3 first takes 5 s, which makes the stop at 6 late
+    const result = optimizeStopOrder({ ...route, windows: [{ latest: 6 }, null], serviceTimes: [0, 5] });
+    expect(result.order).toEqual([0, 1]);
+    expect(result.lateStops).toBe(0);
+  });
+
+  it("keeps the shortest order when no window is tight", () => {
+    const route = lineRoute(0, 10, [6, 3]);
+    const result = optimizeStopOrder({ ...route, windows: [{ latest: 100 }, null], serviceTimes: [0, 5] });
+    expect(result.order).toEqual([1, 0]);
+  });
+});
+
+describe("sequenceCost", () => {
+  it("adds up the legs of a sequence", () => {
+    const dist = [[0, 2, 5], [2, 0, 3], [5, 3, 0]];
+    expect(sequenceCost([0, 1, 2], dist)).toBe(5);
+    expect(sequenceCost([0], dist)).toBe(0);
+  });
+});
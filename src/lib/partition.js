@@ -0,0 +1,182 @@
+import { optimizeStopOrder } from "@/lib/optimizer";
+import { overloadAmount, sumLoads, EMPTY_LOAD } from "@/lib/load";
+import { translatedLabels } from "@/lib/i18n";
+
+export const BALANCE_MODES = translatedLabels({
+  count: "partition.count",
+  distance: "partition.distance",
+  duration: "partition.duration",
+});
+
+// Polyline colour of each vehicle's sub-route
+export const VEHICLE_COLORS = [
+  "#3b82f6",
+  "#f97316",
+  "#22c55e",
+  "#a855f7",
+  "#ec4899",
+  "#14b8a6",
+  "#eab308",
+  "#ef4444",
+];
+
+export const getVehicleColor = (k) => VEHICLE_COLORS[k % VEHICLE_COLORS.length];
+
+const MAX_BALANCE_STEPS = 200;
+
+// Sorts stops by bearing around the depot and starts the sweep after the widest
+// angular gap, so that contiguous slices form compact sectors
+function sweepOrder(depot, waypoints) {
+  const cosLat = Math.cos((depot.latitude * Math.PI) / 180);
+  const angles = waypoints.map((wp) =>
+    Math.atan2(wp.coordinates.latitude - depot.latitude, (wp.coordinates.longitude - depot.longitude) * cosLat)
+  );
+  const sorted = waypoints.map((_, i) => i).sort((a, b) => angles[a] - angles[b]);
+  if (sorted.length < 2) return sorted;
+
+  let gapAfter = sorted.length - 1;
+  let widest = angles[sorted[0]] + 2 * Math.PI - angles[sorted[sorted.length - 1]];
+  for (let k = 0; k < sorted.length - 1; k++) {
+    const gap = angles[sorted[k + 1]] - angles[sorted[k]];
+    if (gap > widest) {
+      widest = gap;
+      gapAfter = k;
+    }
+  }
+  return [...sorted.slice(gapAfter + 1), ...sorted.slice(0, gapAfter + 1)];
+}
+
+function centroid(waypoints) {
+  const sum = waypoints.reduce(
+    (acc, wp) => ({ latitude: acc.latitude + wp.coordinates.latitude, longitude: acc.longitude + wp.coordinates.longitude }),
+    { latitude: 0, longitude: 0 }
+  );
+  return { latitude: sum.latitude / waypoints.length, longitude: sum.longitude / waypoints.length };
+}
+
+// Rows and columns of a cached road matrix for a subset of its nodes
+// (0 = start, 1..n = waypoints, n + 1 = end); undefined without a usable matrix
+function subMatrix(matrix, size, nodes) {
+  if (!Array.isArray(matrix) || matrix.length !== size || !matrix.every((row) => row?.length === size)) return undefined;
+  return nodes.map((a) => nodes.map((b) => matrix[a][b]));
+}
+
+// Partitions the stops of a route into `vehicles` sub-routes sharing its start/end,
+// balanced by stop count, tour distance or tour duration, without exceeding `capacity`
+// when possible. Each part lists indices into `waypoints` in optimized visiting order.
+export function splitRoute({
+  start,
+  end,
+  waypoints,
+  vehicles,
+  balanceBy = "count",
+  profile,
+  departure,
+  windows = [],
+  serviceTimes = [],
+  loads = [],
+  capacity,
+  matrix,
+  durations,
+}) {
+  if (waypoints.length === 0) return [];
+  const count = Math.max(1, Math.min(vehicles, waypoints.length));
+  const depot = start?.coordinates || end?.coordinates || centroid(waypoints);
+  const sweep = sweepOrder(depot, waypoints);
+
+  const loadOf = (indices) => sumLoads(indices.map((i) => loads[i] || EMPTY_LOAD));
+  const overloadOf = (indices) => overloadAmount(loadOf(indices), capacity);
+
+  const solve = (indices) => {
+    // Each part is solved on its own slice of the road matrices, like a whole route
+    const nodes = [0, ...indices.map((i) => i + 1), waypoints.length + 1];
+    const result = optimizeStopOrder({
+      start,
+      end,
+      profile,
+      departure,
+      waypoints: indices.map((i) => waypoints[i]),
+      matrix: subMatrix(matrix, waypoints.length + 2, nodes),
+      durations: subMatrix(durations, waypoints.length + 2, nodes),
+      windows: indices.map((i) => windows[i]),
+      serviceTimes: indices.map((i) => serviceTimes[i]),
+    });
+    const load = loadOf(indices);
+    return {
+      waypointIndices: result.order.map((k) => indices[k]),
+      distance: result.distance,
+      duration: result.duration,
+      load,
+      overloaded: overloadAmount(load, capacity) > 0,
+    };
+  };
+  const weight = (part) => (balanceBy === "count" ? part.waypointIndices.length : part[balanceBy]);
+
+  // Contiguous slices of the sweep, equal by stop count
+  const sizes = Array.from({ length: count }, (_, k) =>
+    Math.floor(waypoints.length / count) + (k < waypoints.length % count ? 1 : 0)
+  );
+  const slices = [];
+  let offset = 0;
+  for (const size of sizes) {
+    slices.push(sweep.slice(offset, offset + size));
+    offset += size;
+  }
+
+  // Push boundary stops out of overloaded slices while the total overload drops
+  for (let step = 0; step < MAX_BALANCE_STEPS; step++) {
+    let bestMove = null;
+    slices.forEach((slice, k) => {
+      if (slice.length <= 1 || overloadOf(slice) === 0) return;
+      for (const neighbour of [k - 1, k + 1]) {
+        if (neighbour < 0 || neighbour >= count) continue;
+        const from = slice.slice();
+        const moved = neighbour < k ? from.shift() : from.pop();
+        const to = neighbour < k ? [...slices[neighbour], moved] : [moved, ...slices[neighbour]];
+        const gain = overloadOf(slice) + overloadOf(slices[neighbour]) - overloadOf(from) - overloadOf(to);
+        if (gain > 0 && (!bestMove || gain > bestMove.gain)) bestMove = { k, neighbour, from, to, gain };
+      }
+    });
+    if (!bestMove) break;
+    slices[bestMove.k] = bestMove.from;
+    slices[bestMove.neighbour] = bestMove.to;
+  }
+
+  let parts = slices.map(solve);
+
+  // Shift boundary stops away from the heaviest slice while the maximum keeps dropping
+  if (balanceBy !== "count") {
+    for (let step = 0; step < MAX_BALANCE_STEPS; step++) {
+      const heaviest = parts.reduce((best, part, k) => (weight(part) > weight(parts[best]) ? k : best), 0);
+      const currentMax = weight(parts[heaviest]);
+      let bestMove = null;
+
+      for (const neighbour of [heaviest - 1, heaviest + 1]) {
+        if (neighbour < 0 || neighbour >= count || slices[heaviest].length <= 1) continue;
+        const from = slices[heaviest].slice();
+        const moved = neighbour < heaviest ? from.shift() : from.pop();
+        const to = neighbour < heaviest ? [...slices[neighbour], moved] : [moved, ...slices[neighbour]];
+        if (overloadOf(to) > overloadOf(slices[neighbour])) continue;
+        const fromPart = solve(from);
+        const toPart = solve(to);
+        const newMax = Math.max(
+          weight(fromPart),
+          weight(toPart),
+          ...parts.filter((_, k) => k !== heaviest && k !== neighbour).map(weight)
+        );
+        if (newMax < currentMax && (!bestMove || newMax < bestMove.newMax)) {
+          bestMove = { neighbour, from, to, fromPart, toPart, newMax };
+        }
+      }
+      if (!bestMove) break;
+
+      slices[heaviest] = bestMove.from;
+      slices[bestMove.neighbour] = bestMove.to;
+      parts = parts.slice();
+      parts[heaviest] = bestMove.fromPart;
+      parts[bestMove.neighbour] = bestMove.toPart;
+    }
+  }
+
+  return parts;
+}
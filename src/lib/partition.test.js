@@ -0,0 +1,56 @@
+import { splitRoute } from "@/lib/partition";
+import { getLoad } from "@/lib/load";
+
+const place = (latitude, longitude) => ({ coordinates: { latitude, longitude } });
+const depot = place(0, 0);
+
+// Two stops east of the depot, two west
+const waypoints = [place(0, 0.01), place(0.001, 0.012), place(0, -0.01), place(0.001, -0.012)];
+
+const allIndices = (parts) => parts.flatMap((part) => part.waypointIndices).sort();
+
+describe("splitRoute", () => {
+  it("returns no part without stops", () => {
+    expect(splitRoute({ start: depot, end: depot, waypoints: [], vehicles: 3 })).toEqual([]);
+  });
+
+  it("uses a single vehicle for a single stop", () => {
+    const parts = splitRoute({ start: depot, end: depot, waypoints: [place(0, 0.01)], vehicles: 3 });
+    expect(parts).toHaveLength(1);
+    expect(parts[0].waypointIndices).toEqual([0]);
+  });
+
+  it("puts every stop in exactly one part", () => {
+    const parts = splitRoute({ start: depot, end: depot, waypoints, vehicles: 2 });
+    expect(parts).toHaveLength(2);
+    expect(allIndices(parts)).toEqual([0, 1, 2, 3]);
+  });
+
+  it("keeps neighbouring stops in the same sector", () => {
+    const parts = splitRoute({ start: depot, end: depot, waypoints, vehicles: 2 });
+    const sides = parts.map((part) => [...part.waypointIndices].sort());
+    expect(sides).toEqual(expect.arrayContaining([[0, 1], [2, 3]]));
+  });
+
+  it("moves stops out of an overloaded vehicle", () => {
+    // The east side alone carries 8 parcels for 6 places
+    const loads = [4, 4, 1, 1].map((parcels) => getLoad({ load: { parcels } }));
+    const parts = splitRoute({ start: depot, end: depot, waypoints, vehicles: 2, loads, capacity: { parcels: 6 } });
+    expect(parts.every((part) => !part.overloaded)).toBe(true);
+    expect(allIndices(parts)).toEqual([0, 1, 2, 3]);
+  });
+
+  it("measures each part on its slice of the road matrix", () => {
+    const stops = [place(0, 0.01), place(0, -0.01)];
+    // start, the two stops, end: the road to the second stop is a long way round
+    const matrix = [
+      [0, 100, 900, 0],
+      [100, 0, 1000, 100],
+      [900, 1000, 0, 900],
+      [0, 100, 900, 0],
+    ];
+    const parts = splitRoute({ start: depot, end: depot, waypoints: stops, vehicles: 2, matrix, durations: matrix });
+    const distances = Object.fromEntries(parts.map((part) => [part.waypointIndices[0], part.distance]));
+    expect(distances).toEqual({ 0: 200, 1: 1800 });
+  });
+});
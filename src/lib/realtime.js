@@ -0,0 +1,165 @@
+import { routeSchema } from "@/lib/api";
+import { getSession } from "@/lib/auth";
+
+// Live channel shared by every client working on the routes: a client that
+// saves a route passes the server's copy on, and sees who else has the same
+// route open. One WebSocket per tab, opened while something listens.
+//
+// Sent:     { type: "hello", clientId, name, userId, role, token }, { type: "watch", routeId },
+//           { type: "route", route }, { type: "routeDeleted", routeId }
+// Received: { type: "route", route, by: { clientId, name } },
+//           { type: "routeDeleted", routeId, by: { clientId, name } },
+//           { type: "presence", routeId, viewers: [{ clientId, name }] }
+// A route created is published like a route saved: clients that do not
+// have it yet add it to their list. A driver only gets the routes that are
+// theirs, and the one just taken from them so it leaves their list.
+//
+// REACT_APP_REALTIME_URL points elsewhere, e.g. at the dev server's stand-in
+// (ENABLE_REALTIME_STAND_IN=true, ws://localhost:3000/realtime).
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL;
+export const REALTIME_URL = process.env.REACT_APP_REALTIME_URL ||
+  (BACKEND_URL ? `${BACKEND_URL.replace(/^http/, "ws")}/realtime` : null);
+
+// Per tab, so two tabs of the same person show as two viewers
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const state = {
+  socket: null,
+  status: "closed",
+  routeId: null,
+  attempts: 0,
+  timer: null,
+};
+const listeners = new Set();
+
+const emit = (event) => listeners.forEach((listener) => listener(event));
+
+const setStatus = (status) => {
+  state.status = status;
+  emit({ type: "status", status });
+};
+
+function send(message) {
+  if (state.socket?.readyState === WebSocket.OPEN) state.socket.send(JSON.stringify(message));
+}
+
+function connect() {
+  if (!REALTIME_URL || state.socket || listeners.size === 0) return;
+  clearTimeout(state.timer);
+  setStatus("connecting");
+  const socket = new WebSocket(REALTIME_URL);
+  state.socket = socket;
+
+  socket.onopen = () => {
+    state.attempts = 0;
+    setStatus("open");
+    // The server forgets us between connections; the token says who we are
+    const session = getSession();
+    send({
+      type: "hello",
+      clientId: CLIENT_ID,
+      name: session?.user.name || "",
+      userId: session?.user.id ?? null,
+      role: session?.user.role ?? null,
+      token: session?.accessToken,
+    });
+    if (state.routeId) send({ type: "watch", routeId: state.routeId });
+  };
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+    // Our own changes come back from some servers
+    if (message.by?.clientId === CLIENT_ID) return;
+    if (message.type === "route") {
+      // Sent by another client, not the API: checked like an API response
+      const parsed = routeSchema.safeParse(message.route);
+      if (!parsed.success) {
+        console.error("Ignored an invalid route from the live channel:", parsed.error.issues);
+        return;
+      }
+      emit({ ...message, route: parsed.data });
+    } else if (message.type === "routeDeleted" || message.type === "presence") {
+      emit(message);
+    }
+  };
+  socket.onclose = () => {
+    if (state.socket !== socket) return;
+    state.socket = null;
+    setStatus("closed");
+    if (listeners.size === 0) return;
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** state.attempts, RECONNECT_MAX_MS);
+    state.attempts += 1;
+    state.timer = setTimeout(connect, delay);
+  };
+}
+
+function disconnect() {
+  clearTimeout(state.timer);
+  const { socket } = state;
+  state.socket = null;
+  socket?.close();
+  setStatus("closed");
+}
+
+// `listener` gets every route, deletion, presence and status event; returns the unsubscribe
+export function subscribe(listener) {
+  listeners.add(listener);
+  connect();
+  listener({ type: "status", status: state.status });
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) disconnect();
+  };
+}
+
+// The route this tab has open, for presence; null when none
+export function watchRoute(routeId) {
+  if (state.routeId === routeId) return;
+  state.routeId = routeId;
+  send({ type: "watch", routeId });
+}
+
+// Passes a route just saved on to the other clients
+export function publishRoute(route) {
+  send({ type: "route", route });
+}
+
+// Tells the other clients a route is gone
+export function publishRouteDeleted(routeId) {
+  send({ type: "routeDeleted", routeId });
+}
+
+// Back online: no need to wait for the next retry
+if (typeof window !== "undefined") {
+  window.addEventListener("online", () => {
+    if (!state.socket && listeners.size > 0) {
+      state.attempts = 0;
+      connect();
+    }
+  });
+}
+
+// Stops of `after` that are new, edited or moved compared with `before`. A
+// stop only counts as moved if its place among the stops kept changed, so a
+// removal does not flag everything after it.
+export function changedStopIds(before, after) {
+  const previous = before?.waypoints || [];
+  const next = after?.waypoints || [];
+  const nextIds = new Set(next.map((wp) => wp.id));
+  const kept = previous.filter((wp) => nextIds.has(wp.id));
+  const byId = new Map(kept.map((wp, index) => [wp.id, { wp, index }]));
+  return next
+    .filter((wp) => byId.has(wp.id))
+    .reduce((changed, wp, index) => {
+      const old = byId.get(wp.id);
+      if (old.index !== index || JSON.stringify(old.wp) !== JSON.stringify(wp)) changed.push(wp.id);
+      return changed;
+    }, next.filter((wp) => !byId.has(wp.id)).map((wp) => wp.id));
+}
@@ -0,0 +1,117 @@
+import { haversineDistance } from "@/lib/geo";
+import { getIntlLocale, getPreferences, translatedLabels } from "@/lib/i18n";
+
+export const DEFAULT_DEPARTURE_TIME = "08:00";
+export const DEFAULT_SERVICE_MINUTES = 5;
+
+// Average door-to-door speeds (m/s) used when the route has no computed legs
+export const PROFILE_SPEEDS = {
+  "driving-car": 30 / 3.6,
+  "foot-walking": 4.5 / 3.6,
+};
+
+export const PROFILE_LABELS = translatedLabels({
+  "driving-car": "profile.driving-car",
+  "foot-walking": "profile.foot-walking",
+});
+
+// Roads are never straight lines
+export const DETOUR_FACTOR = 1.3;
+
+const DAY = 24 * 3600;
+
+// "HH:MM" -> seconds since midnight
+export const parseTime = (value) => {
+  if (!value) return null;
+  const [h, m] = value.split(":").map(Number);
+  if (Number.isNaN(h) || Number.isNaN(m)) return null;
+  return h * 3600 + m * 60;
+};
+
+// Seconds since midnight -> "08:05" or "8:05 AM", after the chosen clock
+export const formatTime = (seconds) => {
+  if (seconds == null) return "-";
+  const s = ((Math.round(seconds / 60) * 60) % DAY + DAY) % DAY;
+  const hour12 = getPreferences().clock === "12h";
+  return new Date(s * 1000).toLocaleTimeString(getIntlLocale(), {
+    hour: hour12 ? "numeric" : "2-digit",
+    minute: "2-digit",
+    hour12,
+    timeZone: "UTC",
+  });
+};
+
+export const estimateTravelTime = (a, b, profile) => {
+  if (!a || !b) return 0;
+  const speed = PROFILE_SPEEDS[profile] || PROFILE_SPEEDS["driving-car"];
+  return (haversineDistance(a, b) * DETOUR_FACTOR) / speed;
+};
+
+// Window of a waypoint in seconds since midnight; either bound may be null
+export const getTimeWindow = (wp) => ({
+  earliest: parseTime(wp.timeWindow?.earliest),
+  latest: parseTime(wp.timeWindow?.latest),
+});
+
+// Time spent at a stop, in seconds: the waypoint override or the route default
+export const getServiceTime = (wp, route) => {
+  const minutes = wp.serviceMinutes ?? route?.defaultServiceMinutes ?? DEFAULT_SERVICE_MINUTES;
+  return Math.max(0, Number(minutes) || 0) * 60;
+};
+
+// Walks the stops in order: waits when arriving before a window opens,
+// records lateness when arriving after it closes, then spends the stop's service time.
+// legDurations[k] is the travel time to stops[k]; the optional extra entry is the leg to the end point.
+export function buildTimeline({ departure, legDurations, windows, serviceTimes = [] }) {
+  let clock = departure;
+  let totalLateness = 0;
+  let totalWait = 0;
+  let totalService = 0;
+  const stops = windows.map((window, k) => {
+    const arrival = clock + (legDurations[k] || 0);
+    const wait = window?.earliest != null && arrival < window.earliest ? window.earliest - arrival : 0;
+    const lateness = window?.latest != null && arrival > window.latest ? arrival - window.latest : 0;
+    const service = serviceTimes[k] || 0;
+    totalLateness += lateness;
+    totalWait += wait;
+    totalService += service;
+    clock = arrival + wait + service;
+    return { arrival, wait, lateness, service, departure: clock };
+  });
+  const end = legDurations.length > windows.length ? clock + legDurations[windows.length] : null;
+  const totalDriving = legDurations.reduce((sum, d) => sum + (d || 0), 0);
+  return {
+    stops,
+    end,
+    totalLateness,
+    totalWait,
+    totalService,
+    totalDriving,
+    shiftLength: (end ?? clock) - departure,
+  };
+}
+
+// Leg durations from the last calculation when they still match the stop list,
+// otherwise straight-line estimates at the profile's average speed
+export function getLegDurations(route) {
+  const waypoints = route.waypoints || [];
+  const points = [route.start?.coordinates, ...waypoints.map((wp) => wp.coordinates)];
+  if (route.end?.coordinates) points.push(route.end.coordinates);
+  const legCount = points.length - 1;
+
+  if (Array.isArray(route.legs) && route.legs.length === legCount) {
+    return route.legs.map((leg) => leg.duration || 0);
+  }
+  return points.slice(1).map((point, k) => estimateTravelTime(points[k], point, route.profile));
+}
+
+export function computeRouteEta(route) {
+  if (!route) return null;
+  const departure = parseTime(route.departureTime) ?? parseTime(DEFAULT_DEPARTURE_TIME);
+  return buildTimeline({
+    departure,
+    legDurations: getLegDurations(route),
+    windows: (route.waypoints || []).map(getTimeWindow),
+    serviceTimes: (route.waypoints || []).map((wp) => getServiceTime(wp, route)),
+  });
+}
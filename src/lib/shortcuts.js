@@ -0,0 +1,44 @@
+import { t } from "@/lib/i18n";
+
+// Keyboard shortcuts of the route page, also listed in the command palette.
+// `mod` is Ctrl, or ⌘ on a Mac. Keys are matched on `event.code` so Alt
+// combinations keep working on layouts where Alt types another character.
+const IS_MAC = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform);
+
+export const SHORTCUTS = {
+  palette: { mod: true, code: "KeyK" },
+  undo: { mod: true, code: "KeyZ" },
+  redo: { mod: true, shift: true, code: "KeyZ" },
+  print: { mod: true, code: "KeyP" },
+  addStop: { alt: true, code: "KeyN" },
+  delivered: { alt: true, code: "KeyL" },
+  failed: { alt: true, code: "KeyE" },
+  calculate: { alt: true, code: "KeyC" },
+  optimize: { alt: true, code: "KeyO" },
+};
+
+// Other combinations accepted for the same command
+const ALIASES = [["redo", { mod: true, code: "KeyY" }]];
+
+const matches = (event, combo) =>
+  event.code === combo.code &&
+  (event.ctrlKey || event.metaKey) === !!combo.mod &&
+  event.shiftKey === !!combo.shift &&
+  event.altKey === !!combo.alt;
+
+// Id of the shortcut pressed, or null
+export function matchShortcut(event) {
+  const found = [...Object.entries(SHORTCUTS), ...ALIASES].find(([, combo]) => matches(event, combo));
+  return found ? found[0] : null;
+}
+
+export function formatShortcut(id) {
+  const combo = SHORTCUTS[id];
+  if (!combo) return "";
+  const parts = [];
+  if (combo.mod) parts.push(IS_MAC ? "⌘" : "Ctrl");
+  if (combo.alt) parts.push(IS_MAC ? "⌥" : "Alt");
+  if (combo.shift) parts.push(IS_MAC ? "⇧" : t("shortcuts.shift"));
+  parts.push(combo.code.replace(/^Key|^Digit/, ""));
+  return parts.join(IS_MAC ? "" : "+");
+}
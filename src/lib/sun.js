@@ -0,0 +1,36 @@
+// Sunrise and sunset from the usual sunrise equation, good to a minute or two
+// away from the poles, which is all the automatic theme needs
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440587.5;
+const J2000 = 2451545;
+// Sun's upper edge on the horizon, refraction included
+const HORIZON = -0.833 * RAD;
+const OBLIQUITY = 23.4397 * RAD;
+
+const toJulian = (date) => date.getTime() / DAY_MS + J1970;
+const fromJulian = (julian) => new Date((julian - J1970) * DAY_MS);
+
+// Sunrise and sunset of the solar day nearest `date` at that place. Both are
+// null when the sun stays up (`daylight: true`) or down all day.
+export function sunTimes(date, { latitude, longitude }) {
+  const day = Math.round(toJulian(date) - J2000 + longitude / 360);
+  const meanNoon = day - longitude / 360;
+  const anomaly = ((357.5291 + 0.98560028 * meanNoon) % 360) * RAD;
+  const centre = 1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly);
+  const eclipticLongitude = ((anomaly / RAD + centre + 180 + 102.9372) % 360) * RAD;
+  const transit = J2000 + meanNoon + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(OBLIQUITY));
+  const phi = latitude * RAD;
+  const cosHourAngle = (Math.sin(HORIZON) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination));
+  if (cosHourAngle > 1) return { sunrise: null, sunset: null, daylight: false };
+  if (cosHourAngle < -1) return { sunrise: null, sunset: null, daylight: true };
+  const halfDay = Math.acos(cosHourAngle) / RAD / 360;
+  return { sunrise: fromJulian(transit - halfDay), sunset: fromJulian(transit + halfDay) };
+}
+
+export function isDaylight(date, place) {
+  const { sunrise, sunset, daylight } = sunTimes(date, place);
+  if (!sunrise) return daylight;
+  return date >= sunrise && date < sunset;
+}
@@ -0,0 +1,129 @@
+import { t } from "@/lib/i18n";
+
+// Outbox mutations: what was changed offline, and what it was changed from, so
+// a replay can tell whether someone else edited the same thing meanwhile
+//   { type: "waypoint", routeId, waypointId, updates, base } -> PATCH /routes/:id/waypoints/:wpId
+//   { type: "route", routeId, updates, base }                -> PUT /routes/:id
+// For a reorder, updates.waypoints holds the new list and base.waypoints the old ids
+
+const ids = (waypoints) => (waypoints || []).map((wp) => wp.id);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const pick = (source, keys) => Object.fromEntries(keys.map((key) => [key, source?.[key] ?? null]));
+
+export function waypointMutation(route, waypointId, updates) {
+  const wp = route.waypoints.find((w) => w.id === waypointId);
+  return { type: "waypoint", routeId: route.id, waypointId, updates, base: pick(wp, Object.keys(updates)) };
+}
+
+export function routeMutation(route, updates) {
+  const base = pick(route, Object.keys(updates));
+  if (updates.waypoints) base.waypoints = ids(route.waypoints);
+  return { type: "route", routeId: route.id, updates, base };
+}
+
+// The route as it looks once the mutation is applied
+export function applyMutation(route, mutation) {
+  if (!route || route.id !== mutation.routeId) return route;
+  if (mutation.type === "waypoint") {
+    return {
+      ...route,
+      waypoints: route.waypoints.map((wp) => (wp.id === mutation.waypointId ? { ...wp, ...mutation.updates } : wp)),
+    };
+  }
+  return { ...route, ...mutation.updates };
+}
+
+// Takes back a mutation that failed. `before` is the route it was applied
+// to; a field (or stop) changed again since is left as it now is.
+export function revertMutation(route, mutation, before) {
+  if (!route || route.id !== mutation.routeId) return route;
+  if (mutation.type === "waypoint") {
+    return {
+      ...route,
+      waypoints: route.waypoints.map((wp) => {
+        if (wp.id !== mutation.waypointId) return wp;
+        const untouched = Object.keys(mutation.updates).filter((field) => same(wp[field], mutation.updates[field]));
+        return { ...wp, ...pick(mutation.base, untouched) };
+      }),
+    };
+  }
+  const reverted = {};
+  Object.keys(mutation.updates).forEach((field) => {
+    if (field === "waypoints") reverted.waypoints = revertWaypoints(route.waypoints, mutation.updates.waypoints, before.waypoints);
+    else if (same(route[field], mutation.updates[field])) reverted[field] = before[field] ?? null;
+  });
+  return { ...route, ...reverted };
+}
+
+// Previous list and order; stops we removed come back, stops we added go,
+// stops edited or added by something else since keep their current version
+function revertWaypoints(current, mine, previous) {
+  const currentById = new Map(current.map((wp) => [wp.id, wp]));
+  const mineById = new Map(mine.map((wp) => [wp.id, wp]));
+  const previousIds = ids(previous);
+  const restored = previous
+    .filter((wp) => currentById.has(wp.id) || !mineById.has(wp.id))
+    .map((wp) => {
+      const now = currentById.get(wp.id);
+      return !now || same(now, mineById.get(wp.id)) ? wp : now;
+    });
+  const addedSince = current.filter((wp) => !previousIds.includes(wp.id) && !same(wp, mineById.get(wp.id)));
+  return [...restored, ...addedSince];
+}
+
+const LABELLED_FIELDS = [
+  "status", "note", "name", "color", "timeWindow", "serviceMinutes", "load",
+  "proof", "waypoints", "profile", "departureTime", "capacity",
+];
+
+export const describeField = (field) => (LABELLED_FIELDS.includes(field) ? t(`sync.fields.${field}`) : field);
+
+// Fields changed on the server since the mutation was queued, to something
+// other than what we are about to write
+export function findConflict(serverRoute, mutation) {
+  if (!serverRoute) return { reason: t("sync.routeDeleted"), fields: [] };
+  let target = serverRoute;
+  if (mutation.type === "waypoint") {
+    target = serverRoute.waypoints?.find((wp) => wp.id === mutation.waypointId);
+    if (!target) return { reason: t("sync.stopDeleted"), fields: [] };
+  }
+  const fields = Object.keys(mutation.updates).filter((field) => {
+    if (field === "waypoints") {
+      // Stops added or deleted meanwhile merge fine; a different order does not
+      const serverIds = ids(serverRoute.waypoints);
+      const shared = (list) => list.filter((id) => serverIds.includes(id) && mutation.base.waypoints.includes(id));
+      const serverOrder = shared(serverIds);
+      return !same(serverOrder, shared(mutation.base.waypoints)) && !same(serverOrder, shared(ids(mutation.updates.waypoints)));
+    }
+    return !same(target[field], mutation.base[field]) && !same(target[field], mutation.updates[field]);
+  });
+  return fields.length > 0 ? { reason: t("sync.changedElsewhere"), fields } : null;
+}
+
+// Request replaying the mutation on top of the current server route
+export function buildReplayRequest(mutation, serverRoute) {
+  if (mutation.type === "waypoint") {
+    return {
+      method: "PATCH",
+      path: `/routes/${mutation.routeId}/waypoints/${mutation.waypointId}`,
+      body: mutation.updates,
+    };
+  }
+  const body = { ...mutation.updates };
+  if (body.waypoints && serverRoute) {
+    // Keep the server's copy of each stop (statuses may have moved on) in our
+    // order; stops added meanwhile go last, deleted ones are dropped
+    const byId = new Map(serverRoute.waypoints.map((wp) => [wp.id, wp]));
+    const ordered = ids(body.waypoints).filter((id) => byId.has(id)).map((id) => byId.get(id));
+    const added = serverRoute.waypoints.filter((wp) => !ordered.includes(wp));
+    body.waypoints = [...ordered, ...added];
+  }
+  return { method: "PUT", path: `/routes/${mutation.routeId}`, body };
+}
+
+// The request never reached the server: an ApiError of kind "network", or
+// the TypeError fetch rejects with
+export const isNetworkError = (error) =>
+  error?.kind === "network" || error instanceof TypeError || !navigator.onLine;
@@ -0,0 +1,140 @@
+import {
+  applyMutation,
+  buildReplayRequest,
+  findConflict,
+  revertMutation,
+  routeMutation,
+  waypointMutation,
+} from "@/lib/sync";
+import { t } from "@/lib/i18n";
+
+const stop = (id, fields = {}) => ({ id, name: id, status: "pending", note: "", ...fields });
+const route = (waypoints, fields = {}) => ({ id: "r1", name: "Route", profile: "driving-car", waypoints, ...fields });
+
+// What the server does with a replayed request, for the replay below
+function serverApplies(serverRoute, { method, path, body }) {
+  if (method === "PUT") return { ...serverRoute, ...body };
+  const waypointId = path.split("/").pop();
+  return { ...serverRoute, waypoints: serverRoute.waypoints.map((wp) => (wp.id === waypointId ? { ...wp, ...body } : wp)) };
+}
+
+// The outbox walk of use-offline-sync: replays in order, stops at the first conflict
+function replay(outbox, serverRoute) {
+  let server = serverRoute;
+  for (const [index, mutation] of outbox.entries()) {
+    const conflict = findConflict(server, mutation);
+    if (conflict) return { server, conflict, stoppedAt: index };
+    server = serverApplies(server, buildReplayRequest(mutation, server));
+  }
+  return { server, conflict: null, stoppedAt: null };
+}
+
+describe("applyMutation", () => {
+  it("changes only the stop it is about", () => {
+    const before = route([stop("a"), stop("b")]);
+    const after = applyMutation(before, waypointMutation(before, "a", { status: "completed" }));
+    expect(after.waypoints.map((wp) => wp.status)).toEqual(["completed", "pending"]);
+    expect(before.waypoints[0].status).toBe("pending");
+  });
+
+  it("leaves other routes and no route alone", () => {
+    const mutation = waypointMutation(route([stop("a")]), "a", { note: "x" });
+    const other = route([stop("a")], { id: "r2" });
+    expect(applyMutation(other, mutation)).toBe(other);
+    expect(applyMutation(null, mutation)).toBeNull();
+  });
+});
+
+describe("revertMutation", () => {
+  it("takes back only the fields not changed again since", () => {
+    const before = route([stop("a")]);
+    const mutation = waypointMutation(before, "a", { status: "completed", note: "left at door" });
+    const now = applyMutation(applyMutation(before, mutation), waypointMutation(applyMutation(before, mutation), "a", { note: "neighbour" }));
+    const reverted = revertMutation(now, mutation, before);
+    expect(reverted.waypoints[0]).toMatchObject({ status: "pending", note: "neighbour" });
+  });
+
+  it("brings back a removed stop and keeps one added since", () => {
+    const before = route([stop("a"), stop("b")]);
+    const mutation = routeMutation(before, { waypoints: [stop("a")] });
+    const now = { ...applyMutation(before, mutation), waypoints: [stop("a"), stop("c")] };
+    expect(revertMutation(now, mutation, before).waypoints.map((wp) => wp.id)).toEqual(["a", "b", "c"]);
+  });
+});
+
+describe("findConflict", () => {
+  it("finds none for a change with nothing in it", () => {
+    const server = route([]);
+    expect(findConflict(server, routeMutation(server, {}))).toBeNull();
+  });
+
+  it("reports a deleted route or stop", () => {
+    const local = route([stop("a")]);
+    const mutation = waypointMutation(local, "a", { status: "completed" });
+    expect(findConflict(null, mutation)).toEqual({ reason: t("sync.routeDeleted"), fields: [] });
+    expect(findConflict(route([]), mutation)).toEqual({ reason: t("sync.stopDeleted"), fields: [] });
+  });
+
+  it("reports a field changed on the server to something else", () => {
+    const local = route([stop("a")]);
+    const mutation = waypointMutation(local, "a", { note: "mine" });
+    expect(findConflict(route([stop("a", { note: "theirs" })]), mutation)?.fields).toEqual(["note"]);
+    // The same change made on both sides is no conflict
+    expect(findConflict(route([stop("a", { note: "mine" })]), mutation)).toBeNull();
+  });
+
+  it("lets stops added meanwhile merge with a reorder, but not another order", () => {
+    const local = route([stop("a"), stop("b")]);
+    const mutation = routeMutation(local, { waypoints: [stop("b"), stop("a")] });
+    expect(findConflict(route([stop("a"), stop("b"), stop("c")]), mutation)).toBeNull();
+    expect(findConflict(route([stop("a")]), mutation)).toBeNull();
+    // The server already has our order
+    expect(findConflict(route([stop("b"), stop("a")]), mutation)).toBeNull();
+
+    const three = route([stop("a"), stop("b"), stop("c")]);
+    const reorder = routeMutation(three, { waypoints: [stop("c"), stop("b"), stop("a")] });
+    expect(findConflict(route([stop("b"), stop("a"), stop("c")]), reorder)?.fields).toEqual(["waypoints"]);
+  });
+});
+
+describe("buildReplayRequest", () => {
+  it("patches a single stop", () => {
+    const mutation = waypointMutation(route([stop("a")]), "a", { status: "skipped" });
+    expect(buildReplayRequest(mutation, route([stop("a")]))).toEqual({
+      method: "PATCH",
+      path: "/routes/r1/waypoints/a",
+      body: { status: "skipped" },
+    });
+  });
+
+  it("reorders the server's copy of each stop, dropping deleted ones and adding new ones last", () => {
+    const mutation = routeMutation(route([stop("a"), stop("b"), stop("c")]), { waypoints: [stop("c"), stop("b"), stop("a")] });
+    const server = route([stop("a", { status: "completed" }), stop("c"), stop("d")]);
+    const { method, body } = buildReplayRequest(mutation, server);
+    expect(method).toBe("PUT");
+    expect(body.waypoints).toEqual([stop("c"), stop("a", { status: "completed" }), stop("d")]);
+  });
+});
+
+describe("replaying an outbox", () => {
+  it("does nothing with an empty outbox", () => {
+    const server = route([stop("a")]);
+    expect(replay([], server)).toEqual({ server, conflict: null, stoppedAt: null });
+  });
+
+  it("stops at a conflict in the middle, with the changes before it applied", () => {
+    const local = route([stop("a"), stop("b"), stop("c")]);
+    const outbox = [
+      waypointMutation(local, "a", { status: "completed" }),
+      waypointMutation(local, "b", { note: "mine" }),
+      waypointMutation(local, "c", { status: "skipped" }),
+    ];
+    // Someone else wrote b's note while we were offline
+    const server = route([stop("a"), stop("b", { note: "theirs" }), stop("c")]);
+    const { server: after, conflict, stoppedAt } = replay(outbox, server);
+    expect(stoppedAt).toBe(1);
+    expect(conflict).toEqual({ reason: t("sync.changedElsewhere"), fields: ["note"] });
+    expect(after.waypoints.map((wp) => wp.status)).toEqual(["completed", "pending", "pending"]);
+    expect(after.waypoints[1].note).toBe("theirs");
+  });
+});
@@ -0,0 +1,69 @@
+import { translatedLabels } from "@/lib/i18n";
+import { isDaylight, sunTimes } from "@/lib/sun";
+
+// Light, dark, or dark between sunset and sunrise where the driver is. The
+// place is the last GPS fix or route seen, remembered so the theme is right
+// from the first screen after a reload.
+const THEME_KEY = "theme";
+
+export const THEME_CHOICES = translatedLabels({ light: "theme.light", dark: "theme.dark", auto: "theme.auto" });
+
+// The map's default centre until a route or a GPS fix says otherwise
+const DEFAULT_PLACE = { latitude: 48.8566, longitude: 2.3522 };
+
+// A tenth of a degree moves sunset by well under a minute
+const roundPlace = ({ latitude, longitude }) => ({
+  latitude: Math.round(latitude * 10) / 10,
+  longitude: Math.round(longitude * 10) / 10,
+});
+
+function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(THEME_KEY)) || {};
+    return {
+      choice: THEME_CHOICES[stored.choice] ? stored.choice : "auto",
+      place: Number.isFinite(stored.place?.latitude) && Number.isFinite(stored.place?.longitude) ? stored.place : DEFAULT_PLACE,
+    };
+  } catch (error) {
+    return { choice: "auto", place: DEFAULT_PLACE };
+  }
+}
+
+let settings = loadSettings();
+const listeners = new Set();
+
+function update(changes) {
+  settings = { ...settings, ...changes };
+  try {
+    localStorage.setItem(THEME_KEY, JSON.stringify(settings));
+  } catch (error) {
+    // Private mode: the choice lasts until the tab closes
+  }
+  listeners.forEach((listener) => listener());
+}
+
+export const getThemeSettings = () => settings;
+
+// `listener()` runs after every change; returns the unsubscribe
+export function onThemeChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export const setThemeChoice = (choice) => update({ choice });
+
+// Called with every position; only a move that shifts the sun times is kept
+export function setThemePlace(coordinates) {
+  if (!Number.isFinite(coordinates?.latitude) || !Number.isFinite(coordinates?.longitude)) return;
+  const place = roundPlace(coordinates);
+  if (place.latitude === settings.place.latitude && place.longitude === settings.place.longitude) return;
+  update({ place });
+}
+
+// "light" or "dark" right now
+export function resolveTheme({ choice, place } = settings, now = new Date()) {
+  if (choice !== "auto") return choice;
+  return isDaylight(now, place) ? "light" : "dark";
+}
+
+export const todaySunTimes = (now = new Date()) => sunTimes(now, settings.place);
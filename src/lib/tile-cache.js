@@ -0,0 +1,80 @@
+// Page side of the tile service worker (public/tile-sw.js)
+const WORKER_URL = `${process.env.PUBLIC_URL}/tile-sw.js`;
+const CACHE_NAME = "map-tiles-v1";
+
+export const isTileCacheSupported = () => "serviceWorker" in navigator && "caches" in window;
+
+// `serviceWorker.ready` never settles when registration fails: downloads
+// wait on the registration itself, and on `ready` for a limited time only
+const READY_TIMEOUT_MS = 10000;
+let registering = null;
+
+export function registerTileWorker() {
+  if (!isTileCacheSupported()) return;
+  window.addEventListener("load", () => {
+    registering = navigator.serviceWorker.register(WORKER_URL);
+    registering.catch((error) => {
+      console.error("Tile worker registration failed:", error);
+    });
+  });
+}
+
+const activeWorker = async () => {
+  if (registering) await registering;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("Tile worker not ready")), READY_TIMEOUT_MS);
+  });
+  try {
+    const registration = await Promise.race([navigator.serviceWorker.ready, timeout]);
+    return registration.active;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Starts a download of the given tile URLs; onProgress gets
+// { done, failed, bytes, total } and the promise resolves with the final counts,
+// or rejects when the service worker is not available
+export function prefetchTiles(urls, onProgress) {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  let worker = null;
+  const promise = activeWorker().then((active) => {
+    worker = active;
+    return new Promise((resolve) => {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = ({ data }) => {
+        if (data.type === "progress") onProgress?.(data);
+        if (data.type === "done") {
+          channel.port1.close();
+          resolve(data);
+        }
+      };
+      active.postMessage({ type: "prefetch", id, urls }, [channel.port2]);
+    });
+  });
+  return { promise, cancel: () => worker?.postMessage({ type: "cancel", id }) };
+}
+
+export async function clearTileCache() {
+  await caches.delete(CACHE_NAME);
+}
+
+export async function countCachedTiles() {
+  if (!("caches" in window) || !(await caches.has(CACHE_NAME))) return 0;
+  const cache = await caches.open(CACHE_NAME);
+  return (await cache.keys()).length;
+}
+
+// Bytes used and available to this origin, where the browser tells
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota, available: Math.max(0, quota - usage) };
+}
+
+// Asks the browser not to evict the cache under storage pressure
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  return (await navigator.storage.persisted()) || navigator.storage.persist();
+}
@@ -0,0 +1,84 @@
+// Slippy-map tile maths for pre-fetching a route's corridor
+// Point REACT_APP_TILE_URL at your own tile server (or a local stand-in) for
+// anything beyond light use: the OSM servers forbid bulk downloads
+export const TILE_URL = process.env.REACT_APP_TILE_URL || "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+// Night style for the dark theme, e.g. a dark-matter style on the same server;
+// without one the light tiles are darkened with a CSS filter
+export const DARK_TILE_URL = process.env.REACT_APP_DARK_TILE_URL || null;
+export const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OSM</a>';
+
+// Average PNG size of a street-level OSM tile
+export const AVERAGE_TILE_BYTES = 20 * 1024;
+export const MAX_PREFETCH_TILES = 3000;
+export const DEFAULT_ZOOMS = { min: 12, max: 16 };
+
+// Every style the map may show, so offline tiles work by day and by night
+export const TILE_TEMPLATES = [TILE_URL, DARK_TILE_URL].filter(Boolean);
+
+// The service worker files tiles under the first subdomain whichever one Leaflet picks
+export const tileUrl = (z, x, y, template = TILE_URL) =>
+  template.replace("{s}", "a").replace("{z}", z).replace("{x}", x).replace("{y}", y).replace("{r}", "");
+
+const lngToX = (longitude, z) => Math.floor(((longitude + 180) / 360) * 2 ** z);
+
+const latToY = (latitude, z) => {
+  const rad = (latitude * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z);
+};
+
+const clampTile = (value, z) => Math.max(0, Math.min(2 ** z - 1, value));
+
+// Points along the path no further apart than a tile at zoom z, so no tile
+// crossed by the path is missed between two vertices
+function densify(path, z) {
+  const step = 360 / 2 ** z / 2;
+  const points = [];
+  path.forEach((point, i) => {
+    const next = path[i + 1];
+    points.push(point);
+    if (!next) return;
+    const span = Math.max(Math.abs(next.longitude - point.longitude), Math.abs(next.latitude - point.latitude));
+    const count = Math.floor(span / step);
+    for (let k = 1; k <= count; k++) {
+      const t = k / (count + 1);
+      points.push({
+        latitude: point.latitude + (next.latitude - point.latitude) * t,
+        longitude: point.longitude + (next.longitude - point.longitude) * t,
+      });
+    }
+  });
+  return points;
+}
+
+// Tiles within `buffer` tiles of the path, for each zoom level
+export function corridorTiles(path, { min, max } = DEFAULT_ZOOMS, buffer = 1) {
+  const tiles = [];
+  for (let z = min; z <= max; z++) {
+    const seen = new Set();
+    densify(path, z).forEach(({ latitude, longitude }) => {
+      const cx = lngToX(longitude, z);
+      const cy = latToY(latitude, z);
+      for (let dx = -buffer; dx <= buffer; dx++) {
+        for (let dy = -buffer; dy <= buffer; dy++) {
+          const x = clampTile(cx + dx, z);
+          const y = clampTile(cy + dy, z);
+          const key = `${x}/${y}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          tiles.push({ z, x, y });
+        }
+      }
+    });
+  }
+  return tiles;
+}
+
+// The calculated path, or straight lines between the stops
+export function routePath(route) {
+  if (route.geometry?.coordinates?.length) {
+    return route.geometry.coordinates.map(([longitude, latitude]) => ({ latitude, longitude }));
+  }
+  return [route.start, ...(route.waypoints || []), route.end]
+    .filter((point) => point?.coordinates)
+    .map((point) => point.coordinates);
+}
@@ -0,0 +1,39 @@
+import { allTranslations, t, translatedLabels } from "@/lib/i18n";
+
+const color = (key, bg) => ({ bg, get label() { return t(`waypoint.colors.${key}`); } });
+
+// Color options for waypoints
+export const WAYPOINT_COLORS = {
+  blue: color("blue", "#3b82f6"),
+  green: color("green", "#22c55e"),
+  red: color("red", "#ef4444"),
+  orange: color("orange", "#f97316"),
+  purple: color("purple", "#a855f7"),
+  pink: color("pink", "#ec4899"),
+  yellow: color("yellow", "#eab308"),
+  gray: color("gray", "#6b7280"),
+};
+
+// Status colors
+export const STATUS_COLORS = {
+  pending: null,
+  completed: "#22c55e",
+  failed: "#ef4444",
+  skipped: "#94a3b8",
+};
+
+export const STATUS_LABELS = translatedLabels({
+  pending: "waypoint.status.pending",
+  completed: "waypoint.status.completed",
+  failed: "waypoint.status.failed",
+  skipped: "waypoint.status.skipped",
+});
+
+// Color key from a key or a label in any language ("green", "Vert", "Groen"); null when unknown
+export const resolveColorKey = (value) => {
+  const text = String(value || "").trim().toLowerCase();
+  if (!text) return null;
+  return Object.keys(WAYPOINT_COLORS).find(
+    (key) => key === text || allTranslations(`waypoint.colors.${key}`).some((label) => label.toLowerCase() === text)
+  ) || null;
+};
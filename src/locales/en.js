@@ -0,0 +1,538 @@
+// English (British spelling)
+export default {
+  units: {
+    km: "km",
+    m: "m",
+    mi: "mi",
+    ft: "ft",
+    hoursMinutes: "{h}h {m}min",
+    minutes: "{m} min",
+    gb: "GB",
+    mb: "MB",
+    kb: "KB",
+  },
+  profile: {
+    "driving-car": "Car",
+    "foot-walking": "On foot",
+  },
+  waypoint: {
+    status: {
+      pending: "Pending",
+      completed: "Delivered",
+      failed: "Failed",
+      skipped: "Skipped",
+    },
+    colors: {
+      blue: "Blue",
+      green: "Green",
+      red: "Red",
+      orange: "Orange",
+      purple: "Purple",
+      pink: "Pink",
+      yellow: "Yellow",
+      gray: "Grey",
+    },
+  },
+  load: {
+    parcels: "Parcels",
+    parcelsUnit: "parcels",
+    weight: "Weight",
+    volume: "Volume",
+  },
+  failure: {
+    reasons: {
+      absent: "Recipient not in",
+      refused: "Refused by recipient",
+      wrong_address: "Wrong address",
+      access_denied: "No access",
+      damaged: "Damaged parcel",
+      closed: "Business closed",
+      other: "Other",
+    },
+    followUps: {
+      keep: "Leave as failed",
+      requeue: "Try again later in this run",
+      move: "Move to another route",
+    },
+    title: "Failed delivery",
+    reason: "Reason",
+    editList: "Edit list",
+    newReason: "New reason",
+    comment: "Comment",
+    commentPlaceholder: "Card left, neighbour not in...",
+    followUp: "Next step",
+    newRouteOn: "New route on…",
+    confirm: "Record failure",
+  },
+  sync: {
+    fields: {
+      status: "status",
+      note: "note",
+      name: "name",
+      color: "colour",
+      timeWindow: "time window",
+      serviceMinutes: "stop duration",
+      load: "load",
+      proof: "proof of delivery",
+      waypoints: "stop order",
+      profile: "mode",
+      departureTime: "departure time",
+      capacity: "capacity",
+    },
+    routeDeleted: "The route was deleted",
+    stopDeleted: "The stop was deleted",
+    changedElsewhere: "Changed in the meantime by someone else",
+    refused: "Rejected by the server: {message}",
+  },
+  geoImport: {
+    missingCoordinates: "Missing coordinates",
+    outOfRange: "Coordinates out of range",
+    unknownColor: "Unknown colour “{color}” (blue used)",
+    point: "Point {n}",
+    notPoint: "Non-point geometry skipped",
+    unsupported: "{type} geometry not supported",
+    noGeometry: "missing",
+    unknownFormat: "Unrecognised format (GPX, KML or GeoJSON)",
+    defaultName: "Import",
+    title: "New route from a file",
+    firstAsStart: "First point = start",
+    lastAsEnd: "Last point = end",
+    skipped_one: "{count} point skipped",
+    skipped_other: "{count} points skipped",
+    invalidXml: "Invalid XML",
+    invalidJson: "Invalid JSON",
+    notGeoJson: "GeoJSON expected (Feature or FeatureCollection)",
+    invalidTime: "Unreadable time “{time}” ignored",
+  },
+  geoExport: {
+    failure: "Failed: {reason}",
+    stops: "Stops",
+    geojson: "GeoJSON (GIS)",
+  },
+  partition: {
+    count: "Number of stops",
+    distance: "Distance",
+    duration: "Duration",
+  },
+  geolocation: {
+    denied: "Location permission denied",
+    unavailable: "Position unavailable",
+    timeout: "Location request timed out",
+    unsupported: "Geolocation not supported",
+  },
+  shortcuts: {
+    shift: "Shift",
+  },
+  navigation: {
+    apple: "Apple Maps",
+    geo: "Other app (geo:)",
+    navigate: "Navigate",
+    openWith: "Open with",
+    googleRun: "Google Maps run",
+    nextStops: "Next {count} stops",
+    navigateWith: "Navigate ({app})",
+  },
+  history: {
+    start: "Start: {name}",
+    startRemoved: "Start removed",
+    end: "End: {name}",
+    endRemoved: "End removed",
+    profile: "Mode: {profile}",
+    addedMany: "Added {count} stops",
+    added: "Added: {name}",
+    removedMany: "Removed {count} stops",
+    removed: "Removed: {name}",
+    reordered: "Stops reordered",
+    status: "{name}: {status}",
+    edited: "Edited: {name}",
+    editedMany: "Edited {count} stops",
+  },
+  api: {
+    error: "Error",
+    timeout: "The server is not responding",
+    network: "Server unreachable",
+    http: "Server error ({status})",
+    expired: "Session expired, please sign in again",
+    signedOut: "Not signed in",
+    invalid: "Unexpected response from the server",
+  },
+  auth: {
+    roles: {
+      dispatcher: "Dispatcher",
+      driver: "Driver",
+    },
+  },
+  image: {
+    unreadable: "Unreadable image",
+  },
+  offline: {
+    noIndexedDb: "IndexedDB unavailable",
+  },
+  presence: {
+    someone: "Someone",
+    one: "{first} is viewing this route",
+    two: "{first} and {second} are viewing this route",
+    many_one: "{first} and {count} other are viewing this route",
+    many_other: "{first} and {count} others are viewing this route",
+    live: "Live changes",
+    reconnecting: "Reconnecting…",
+    nobody: "No one else on this route",
+    routeDeleted: "{name} deleted this route",
+    routeReassigned: "This route was given to another driver",
+  },
+  snapshot: {
+    label: "Path of {name}",
+  },
+  common: {
+    stop: "Stop",
+    route: "Route",
+    done: "Done",
+    remove: "Remove",
+    cancel: "Cancel",
+    apply: "Apply",
+    routeName: "Route name",
+    stopCount_one: "{count} stop",
+    stopCount_other: "{count} stops",
+    createRoute: "Create route",
+    retry: "Retry",
+    next: "Next",
+    stops: "Stops",
+    routes: "Routes",
+    yes: "Yes",
+    no: "No",
+    delete: "Delete",
+    close: "Close",
+    save: "Save",
+  },
+  conflict: {
+    photoSignature: "Photo / signature",
+    title: "Sync conflict",
+    yours: "Your version:",
+    server: "Server:",
+    keepServer: "Keep the server version",
+    discard: "Discard my change",
+    keepMine: "Keep my version",
+  },
+  proof: {
+    title: "Proof of delivery",
+    recipient: "Recipient",
+    recipientPlaceholder: "Person's name",
+    signature: "Signature",
+    photo: "Photo",
+    photoAlt: "Parcel drop-off",
+    takePhoto: "Take a photo",
+    required: "A photo, or a signature with the recipient's name, is required.",
+    confirm: "Confirm delivery",
+    receivedBy: "Received by {name}",
+    noRecipient: "Recipient not given",
+    fileName: "proof-of-delivery",
+    download: "Download photo",
+    signHere: "Sign here",
+    clearSignature: "Clear",
+  },
+  proposal: {
+    title: "Proposed order",
+    description: "Server unavailable: order computed on this device.",
+    current: "Current",
+    proposed: "Proposed",
+    gain: "Saving",
+    lateStops_one: "{count} time window can't be met",
+    lateStops_other: "{count} time windows can't be met",
+    before: "Was: stop {n}",
+  },
+  split: {
+    title: "Split between vehicles",
+    description: "The {count} stops are split into balanced runs leaving from the same point.",
+    vehicles: "Number of vehicles",
+    capacityMinimum: "Capacity calls for at least {count} vehicles.",
+    balanceBy: "Balance by",
+    preview: "Preview",
+    runs_one: "{count} run",
+    runs_other: "{count} runs",
+    closePreview: "Close preview",
+    vehicle: "Vehicle {n}",
+    stops_one: "{count} stop",
+    stops_other: "{count} stops",
+    overloaded: "Over capacity",
+    create_one: "Create {count} route",
+    create_other: "Create {count} routes",
+  },
+  importStops: {
+    missingAddress: "Missing address",
+    invalidTime: "Invalid time (HH:MM)",
+    column: "Column {n}",
+    notFound: "Address not found",
+    title: "Import stops",
+    description: "CSV file or rows copied from a spreadsheet.",
+    placeholder: "Name;Address;Note\nBakery;221B Baker Street, London;Code 1234",
+    chooseFile: "Choose a file",
+    hasHeader: "First row = headers",
+    previewRows_one: "{count} row · preview:",
+    previewRows_other: "{count} rows · preview:",
+    ready_one: "{count} ready",
+    ready_other: "{count} ready",
+    toFix: "{count} to fix",
+    line: "Row {n}",
+    geocode_one: "Geocode {count} row",
+    geocode_other: "Geocode {count} rows",
+    submit_one: "Import {count} stop",
+    submit_other: "Import {count} stops",
+    fields: {
+      name: "Name",
+      address: "Address",
+      note: "Note",
+      color: "Colour",
+      earliest: "Earliest",
+      latest: "Latest",
+    },
+  },
+  offlineTiles: {
+    interrupted: "Download stopped",
+    failedTiles_one: "{count} tile not downloaded",
+    failedTiles_other: "{count} tiles not downloaded",
+    ready: "Map available offline",
+    cleared: "Map cache cleared",
+    title: "Prepare the map for offline use",
+    description: "Downloads the tiles around the path of “{name}”.",
+    unsupported: "This browser can't cache the map.",
+    minZoom: "Min zoom",
+    maxZoom: "Max zoom",
+    buffer: "Margin (tiles)",
+    tiles: "Tiles",
+    estimatedSize: "Estimated size",
+    used: "Space used",
+    cached: "Already cached",
+    tileCount_one: "{count} tile",
+    tileCount_other: "{count} tiles",
+    tooMany: "More than {max} tiles: lower the max zoom or the margin.",
+    noRoom: "Not enough storage: clear the cache or lower the max zoom.",
+    failures_one: "{count} failed",
+    failures_other: "{count} failed",
+    clear: "Clear",
+    stop: "Stop",
+    download: "Download",
+    workerUnavailable: "The map cache service did not start. Reload the page and try again.",
+  },
+  actions: {
+    calculate: "Calculate route",
+    optimize: "Optimise order",
+    undo: "Undo",
+    redo: "Redo",
+    export: "Export",
+    exportAs: "Export as {label}",
+    print: "Print route sheet",
+  },
+  palette: {
+    title: "Commands",
+    placeholder: "Command, route, stop number or address…",
+    empty: "No results",
+    goToStop: "Go to stop {n} · {name}",
+    currentStop: "Current stop",
+    deliverKeyword: "deliver",
+    failKeyword: "fail",
+    markDelivered: "Mark delivered · {name}",
+    markFailed: "Mark failed · {name}",
+    addAddress: "Add an address",
+    add: "Add",
+    addressKeyword: "address",
+    mode: "Mode: {label}",
+    profileKeyword: "profile",
+    printKeyword: "print",
+    manifestKeyword: "manifest",
+    targets: {
+      start: "start",
+      waypoint: "stop",
+      end: "end",
+    },
+    addQueryAs: {
+      start: "Add “{query}” as start",
+      waypoint: "Add “{query}” as stop",
+      end: "Add “{query}” as end",
+    },
+    addAddressAs: {
+      start: "Add an address as start",
+      waypoint: "Add an address as stop",
+      end: "Add an address as end",
+    },
+  },
+  manifest: {
+    after: "after {time}",
+    before: "before {time}",
+    notFound: "Route not found",
+    print: "Print",
+    schedule: "Leaves {departure} · back ~{back}",
+    stop: "Stop",
+    time: "Time",
+    delivered: "Delivered",
+    failure: "{attempt}: {failure}",
+    attempt: "Attempt {n}",
+    driverLine: "Driver: ____________________",
+    signatureLine: "Signature: ____________________",
+  },
+  preferences: {
+    language: "Language",
+    units: "Distances",
+    metric: "km / m",
+    imperial: "miles / feet",
+    clock: "Time format",
+    "24h": "24-hour",
+    "12h": "12-hour (AM/PM)",
+    theme: "Theme",
+  },
+  theme: {
+    light: "Light",
+    dark: "Dark",
+    auto: "Auto (sunrise / sunset)",
+    autoHint: "Dark from {sunset} to {sunrise}",
+  },
+  analytics: {
+    title: "Analytics",
+    back: "Back to routes",
+    lastDays_one: "Last day",
+    lastDays_other: "Last {count} days",
+    loadFailed: "Could not load the routes: {error}",
+    noData: "No data for this period",
+    noReason: "No reason",
+    successRate: "Success rate",
+    stops: "Stops",
+    deliveriesPerDay: "Deliveries per day",
+    outcomesByReason: "Outcomes by reason",
+    outcomesByReasonHint: "Delivered, skipped and failed by reason",
+    stopsPerHour: "Stops per hour",
+    stopsPerHourHint: "From each route's first stop to its last",
+    plannedVsActual: "Planned vs driven distance ({unit})",
+    plannedVsActualHint: "Calculated distance against the uploaded GPS track",
+    planned: "Planned",
+    actual: "Driven",
+    byColor: "Outcomes by colour",
+    csv: {
+      day: "Day",
+      route: "Route",
+      outcome: "Outcome",
+      status: "Status",
+      count: "Count",
+      share: "Share (%)",
+      stops: "Stops",
+      hours: "Hours",
+      color: "Colour",
+      total: "Total",
+    },
+  },
+  login: {
+    badCredentials: "Wrong e-mail or password",
+    failed: "Could not sign in",
+    expired: "Your session has expired, please sign in again.",
+    email: "E-mail",
+    password: "Password",
+    submit: "Sign in",
+  },
+  status: {
+    complete: "Complete",
+    completeShort: "OK",
+    failShort: "Fail",
+    skip: "Skip",
+    skipShort: "Skip",
+  },
+  stop: {
+    title: "Stop {n}",
+    name: "Name",
+    namePlaceholder: "Stop name",
+    note: "Note",
+    notePlaceholder: "Door code, instructions...",
+    timeWindow: "Delivery window",
+    windowInvalid: "The start time must come before the end time",
+    load: "Load",
+    serviceMinutes: "Time on site (min)",
+    serviceDefault: "{minutes} (default)",
+    color: "Colour",
+    status: "Status",
+    reset: "Reset",
+    failureReason: "Reason: {failure}",
+    previousFailure: "Previous failure: {failure}",
+    movedTo: "Moved to “{name}”",
+    attempts: "{count} attempts",
+    changedBy: "Changed by {name}",
+    someoneElse: "someone else",
+    current: "Current",
+    onBoard: "Left on board after this stop",
+    wait: "wait {duration}",
+  },
+  arrival: {
+    title: "Arrived?",
+    description: "Stop {n} · {name} · {distance} away",
+    dismiss: "Not yet",
+  },
+  route: {
+    cachedOffline: "Offline: cached routes",
+    addressAdded: "Address added",
+    nameRequired: "Please enter a name",
+    start: "Start",
+    end: "End",
+    created: "Route created",
+    noPointsInFile: "No points found in the file",
+    unreadableFile: "Unreadable file",
+    deleted: "Deleted",
+    imported_one: "{count} stop imported",
+    imported_other: "{count} stops imported",
+    importFailed_one: "Error after {count} stop imported",
+    importFailed_other: "Error after {count} stops imported",
+    unavailableOffline: "Not available offline",
+    savedOffline: "Saved offline",
+    updated: "Updated",
+    retriesOn: "Retries {date}",
+    requeued: "Stop moved to the end of the run",
+    reordered: "Order updated",
+    calculated: "Calculated",
+    minStops: "At least 2 stops",
+    overCapacity: "Vehicle capacity exceeded",
+    vehiclesNeeded: "At least {count} vehicles are needed.",
+    split: "Split",
+    optimized: "Optimised!",
+    trailSent: "Track sent ({count} points)",
+    splitCreated: "{count} routes created",
+    splitFailed_one: "Error after {count} route created",
+    splitFailed_other: "Error after {count} routes created",
+    dropHint: "Drop a GPX, KML or GeoJSON file",
+    syncNow: "Sync now",
+    syncLater: "Changes will be sent when the network is back",
+    offline: "Offline",
+    pendingChanges_one: "{count} pending change",
+    pendingChanges_other: "{count} pending changes",
+    signOut: "Sign out",
+    importGeo: "Import GPX, KML or GeoJSON",
+    new: "New",
+    newTitle: "New route",
+    create: "Create",
+    none: "No routes",
+    unassigned: "Unassigned",
+    departsAt: "Leaves at",
+    stopTime: "Per stop",
+    minutesUnit: "min",
+    estimatedArrival: "Estimated arrival ~{time}",
+    capacity: "Vehicle capacity",
+    driving: "Driving",
+    stopsTime: "Stops",
+    total: "Total",
+    done: "Done",
+    addressPlaceholder: "Address...",
+    nextStop: "Next stop · {n}",
+    distanceAway: "{distance} away",
+    gpsTracking: "GPS tracking",
+    radius: "Radius",
+    trailPoints_one: "{count} track point",
+    trailPoints_other: "{count} track points",
+    sendTrail: "Send track",
+    history: "History",
+    noChanges: "No changes",
+    undoToHere: "Undo to here",
+    stopsHeading: "Stops ({count})",
+    clickToEdit: "Click to edit",
+    import: "Import",
+    addAddresses: "Add some addresses",
+    calculate: "Calculate",
+    optimize: "Optimise",
+    manifest: "Route sheet",
+    prepareOffline: "Prepare for offline",
+    createFirst: "Create one to get started",
+  },
+};
@@ -0,0 +1,540 @@
+// French: the reference catalogue. Every key lives here; a key missing from
+// another language falls back to this one. `{name}` is filled in by `t`,
+// `_one` / `_other` variants are picked from `count`.
+export default {
+  units: {
+    km: "km",
+    m: "m",
+    mi: "mi",
+    ft: "ft",
+    hoursMinutes: "{h}h{m}min",
+    minutes: "{m} min",
+    gb: "Go",
+    mb: "Mo",
+    kb: "Ko",
+  },
+  profile: {
+    "driving-car": "Voiture",
+    "foot-walking": "À pied",
+  },
+  waypoint: {
+    status: {
+      pending: "En attente",
+      completed: "Livré",
+      failed: "Échec",
+      skipped: "Ignoré",
+    },
+    colors: {
+      blue: "Bleu",
+      green: "Vert",
+      red: "Rouge",
+      orange: "Orange",
+      purple: "Violet",
+      pink: "Rose",
+      yellow: "Jaune",
+      gray: "Gris",
+    },
+  },
+  load: {
+    parcels: "Colis",
+    parcelsUnit: "colis",
+    weight: "Poids",
+    volume: "Volume",
+  },
+  failure: {
+    reasons: {
+      absent: "Destinataire absent",
+      refused: "Refusé par le destinataire",
+      wrong_address: "Adresse erronée",
+      access_denied: "Accès impossible",
+      damaged: "Colis endommagé",
+      closed: "Commerce fermé",
+      other: "Autre",
+    },
+    followUps: {
+      keep: "Laisser en échec",
+      requeue: "Repasser plus tard dans cette tournée",
+      move: "Déplacer vers un autre itinéraire",
+    },
+    title: "Échec de livraison",
+    reason: "Motif",
+    editList: "Modifier la liste",
+    newReason: "Nouveau motif",
+    comment: "Commentaire",
+    commentPlaceholder: "Avis de passage laissé, voisin absent...",
+    followUp: "Suite",
+    newRouteOn: "Nouvel itinéraire le…",
+    confirm: "Enregistrer l'échec",
+  },
+  sync: {
+    fields: {
+      status: "statut",
+      note: "note",
+      name: "nom",
+      color: "couleur",
+      timeWindow: "créneau",
+      serviceMinutes: "durée d'arrêt",
+      load: "chargement",
+      proof: "preuve de livraison",
+      waypoints: "ordre des étapes",
+      profile: "mode",
+      departureTime: "heure de départ",
+      capacity: "capacité",
+    },
+    routeDeleted: "L'itinéraire a été supprimé",
+    stopDeleted: "L'étape a été supprimée",
+    changedElsewhere: "Modifié entre-temps par quelqu'un d'autre",
+    refused: "Refusé par le serveur : {message}",
+  },
+  geoImport: {
+    missingCoordinates: "Coordonnées manquantes",
+    outOfRange: "Coordonnées hors limites",
+    unknownColor: "Couleur inconnue « {color} » (bleu par défaut)",
+    point: "Point {n}",
+    notPoint: "Géométrie non ponctuelle ignorée",
+    unsupported: "Géométrie {type} non prise en charge",
+    noGeometry: "absente",
+    unknownFormat: "Format non reconnu (GPX, KML ou GeoJSON)",
+    defaultName: "Import",
+    title: "Nouvel itinéraire depuis un fichier",
+    firstAsStart: "Premier point = départ",
+    lastAsEnd: "Dernier point = arrivée",
+    skipped_one: "{count} point écarté",
+    skipped_other: "{count} points écartés",
+    invalidXml: "XML invalide",
+    invalidJson: "JSON invalide",
+    notGeoJson: "GeoJSON attendu (Feature ou FeatureCollection)",
+    invalidTime: "Heure illisible « {time} » ignorée",
+  },
+  geoExport: {
+    failure: "Échec : {reason}",
+    stops: "Étapes",
+    geojson: "GeoJSON (SIG)",
+  },
+  partition: {
+    count: "Nombre d'arrêts",
+    distance: "Distance",
+    duration: "Durée",
+  },
+  geolocation: {
+    denied: "Localisation refusée",
+    unavailable: "Position indisponible",
+    timeout: "Délai de localisation dépassé",
+    unsupported: "Géolocalisation non prise en charge",
+  },
+  shortcuts: {
+    shift: "Maj",
+  },
+  navigation: {
+    apple: "Plans (Apple)",
+    geo: "Autre application (geo:)",
+    navigate: "Naviguer",
+    openWith: "Ouvrir avec",
+    googleRun: "Tournée Google Maps",
+    nextStops: "{count} prochains arrêts",
+    navigateWith: "Naviguer ({app})",
+  },
+  history: {
+    start: "Départ : {name}",
+    startRemoved: "Départ retiré",
+    end: "Arrivée : {name}",
+    endRemoved: "Arrivée retirée",
+    profile: "Mode : {profile}",
+    addedMany: "Ajout de {count} étapes",
+    added: "Ajout : {name}",
+    removedMany: "Suppression de {count} étapes",
+    removed: "Suppression : {name}",
+    reordered: "Nouvel ordre des étapes",
+    status: "{name} : {status}",
+    edited: "Modification : {name}",
+    editedMany: "Modification de {count} étapes",
+  },
+  api: {
+    error: "Erreur",
+    timeout: "Le serveur ne répond pas",
+    network: "Serveur injoignable",
+    http: "Erreur serveur ({status})",
+    expired: "Session expirée, reconnectez-vous",
+    signedOut: "Non connecté",
+    invalid: "Réponse inattendue du serveur",
+  },
+  auth: {
+    roles: {
+      dispatcher: "Répartiteur",
+      driver: "Chauffeur",
+    },
+  },
+  image: {
+    unreadable: "Image illisible",
+  },
+  offline: {
+    noIndexedDb: "IndexedDB indisponible",
+  },
+  presence: {
+    someone: "Quelqu'un",
+    one: "{first} consulte cet itinéraire",
+    two: "{first} et {second} consultent cet itinéraire",
+    many_one: "{first} et {count} autre consultent cet itinéraire",
+    many_other: "{first} et {count} autres consultent cet itinéraire",
+    live: "Modifications en direct",
+    reconnecting: "Reconnexion…",
+    nobody: "Personne d'autre sur cet itinéraire",
+    routeDeleted: "{name} a supprimé cet itinéraire",
+    routeReassigned: "Cet itinéraire a été confié à un autre chauffeur",
+  },
+  snapshot: {
+    label: "Tracé de {name}",
+  },
+  common: {
+    stop: "Étape",
+    route: "Itinéraire",
+    done: "Terminé",
+    remove: "Retirer",
+    cancel: "Annuler",
+    apply: "Appliquer",
+    routeName: "Nom de l'itinéraire",
+    stopCount_one: "{count} étape",
+    stopCount_other: "{count} étapes",
+    createRoute: "Créer l'itinéraire",
+    retry: "Réessayer",
+    next: "Suivant",
+    stops: "Étapes",
+    routes: "Itinéraires",
+    yes: "Oui",
+    no: "Non",
+    delete: "Supprimer",
+    close: "Fermer",
+    save: "Enregistrer",
+  },
+  conflict: {
+    photoSignature: "Photo / signature",
+    title: "Conflit de synchronisation",
+    yours: "Votre version :",
+    server: "Serveur :",
+    keepServer: "Garder la version serveur",
+    discard: "Abandonner ma modification",
+    keepMine: "Garder ma version",
+  },
+  proof: {
+    title: "Preuve de livraison",
+    recipient: "Réceptionnaire",
+    recipientPlaceholder: "Nom de la personne",
+    signature: "Signature",
+    photo: "Photo",
+    photoAlt: "Dépôt du colis",
+    takePhoto: "Prendre une photo",
+    required: "Une photo, ou une signature avec le nom du réceptionnaire, est requise.",
+    confirm: "Valider la livraison",
+    receivedBy: "Reçu par {name}",
+    noRecipient: "Réceptionnaire non renseigné",
+    fileName: "preuve-livraison",
+    download: "Télécharger la photo",
+    signHere: "Signez ici",
+    clearSignature: "Effacer",
+  },
+  proposal: {
+    title: "Ordre proposé",
+    description: "Serveur indisponible : ordre calculé sur cet appareil.",
+    current: "Actuel",
+    proposed: "Proposé",
+    gain: "Gain",
+    lateStops_one: "{count} créneau ne pourra pas être tenu",
+    lateStops_other: "{count} créneaux ne pourront pas être tenus",
+    before: "Avant : étape {n}",
+  },
+  split: {
+    title: "Répartir entre véhicules",
+    description: "Les {count} étapes sont découpées en tournées équilibrées partant du même point.",
+    vehicles: "Nombre de véhicules",
+    capacityMinimum: "La capacité impose au moins {count} véhicules.",
+    balanceBy: "Équilibrer selon",
+    preview: "Aperçu",
+    runs_one: "{count} tournée",
+    runs_other: "{count} tournées",
+    closePreview: "Fermer l'aperçu",
+    vehicle: "Véhicule {n}",
+    stops_one: "{count} arrêt",
+    stops_other: "{count} arrêts",
+    overloaded: "Capacité dépassée",
+    create_one: "Créer {count} itinéraire",
+    create_other: "Créer {count} itinéraires",
+  },
+  importStops: {
+    missingAddress: "Adresse manquante",
+    invalidTime: "Horaire invalide (HH:MM)",
+    column: "Colonne {n}",
+    notFound: "Adresse non trouvée",
+    title: "Importer des étapes",
+    description: "Fichier CSV ou lignes copiées depuis un tableur.",
+    placeholder: "Nom;Adresse;Note\nBoulangerie;12 rue de Rivoli, Paris;Code 1234",
+    chooseFile: "Choisir un fichier",
+    hasHeader: "Première ligne = en-têtes",
+    previewRows_one: "{count} ligne · aperçu :",
+    previewRows_other: "{count} lignes · aperçu :",
+    ready_one: "{count} prête",
+    ready_other: "{count} prêtes",
+    toFix: "{count} à corriger",
+    line: "Ligne {n}",
+    geocode_one: "Géocoder {count} ligne",
+    geocode_other: "Géocoder {count} lignes",
+    submit_one: "Importer {count} étape",
+    submit_other: "Importer {count} étapes",
+    fields: {
+      name: "Nom",
+      address: "Adresse",
+      note: "Note",
+      color: "Couleur",
+      earliest: "Au plus tôt",
+      latest: "Au plus tard",
+    },
+  },
+  offlineTiles: {
+    interrupted: "Téléchargement interrompu",
+    failedTiles_one: "{count} tuile non téléchargée",
+    failedTiles_other: "{count} tuiles non téléchargées",
+    ready: "Carte disponible hors ligne",
+    cleared: "Cache de la carte vidé",
+    title: "Préparer la carte hors ligne",
+    description: "Télécharge les tuiles autour du tracé de « {name} ».",
+    unsupported: "Ce navigateur ne permet pas la mise en cache de la carte.",
+    minZoom: "Zoom min",
+    maxZoom: "Zoom max",
+    buffer: "Marge (tuiles)",
+    tiles: "Tuiles",
+    estimatedSize: "Taille estimée",
+    used: "Espace utilisé",
+    cached: "Déjà en cache",
+    tileCount_one: "{count} tuile",
+    tileCount_other: "{count} tuiles",
+    tooMany: "Plus de {max} tuiles : réduisez le zoom max ou la marge.",
+    noRoom: "Espace de stockage insuffisant : videz le cache ou réduisez le zoom max.",
+    failures_one: "{count} échec",
+    failures_other: "{count} échecs",
+    clear: "Vider",
+    stop: "Arrêter",
+    download: "Télécharger",
+    workerUnavailable: "Le service de cache de la carte n'a pas démarré. Rechargez la page et réessayez.",
+  },
+  actions: {
+    calculate: "Calculer l'itinéraire",
+    optimize: "Optimiser l'ordre",
+    undo: "Annuler",
+    redo: "Rétablir",
+    export: "Exporter",
+    exportAs: "Exporter en {label}",
+    print: "Imprimer la feuille de route",
+  },
+  palette: {
+    title: "Commandes",
+    placeholder: "Commande, itinéraire, n° d'étape ou adresse…",
+    empty: "Aucun résultat",
+    goToStop: "Aller à l'étape {n} · {name}",
+    currentStop: "Arrêt en cours",
+    deliverKeyword: "livrer",
+    failKeyword: "échec",
+    markDelivered: "Marquer livré · {name}",
+    markFailed: "Marquer en échec · {name}",
+    addAddress: "Ajouter une adresse",
+    add: "Ajouter",
+    addressKeyword: "adresse",
+    mode: "Mode {label}",
+    profileKeyword: "profil",
+    printKeyword: "imprimer",
+    manifestKeyword: "manifeste",
+    targets: {
+      start: "départ",
+      waypoint: "étape",
+      end: "arrivée",
+    },
+    addQueryAs: {
+      start: "Ajouter « {query} » comme départ",
+      waypoint: "Ajouter « {query} » comme étape",
+      end: "Ajouter « {query} » comme arrivée",
+    },
+    addAddressAs: {
+      start: "Ajouter une adresse comme départ",
+      waypoint: "Ajouter une adresse comme étape",
+      end: "Ajouter une adresse comme arrivée",
+    },
+  },
+  manifest: {
+    after: "après {time}",
+    before: "avant {time}",
+    notFound: "Itinéraire introuvable",
+    print: "Imprimer",
+    schedule: "Départ {departure} · retour ~{back}",
+    stop: "Arrêt",
+    time: "Horaire",
+    delivered: "Livré",
+    failure: "{attempt} : {failure}",
+    attempt: "{n}e passage",
+    driverLine: "Chauffeur : ____________________",
+    signatureLine: "Signature : ____________________",
+  },
+  preferences: {
+    language: "Langue",
+    units: "Distances",
+    metric: "km / m",
+    imperial: "miles / pieds",
+    clock: "Heures",
+    "24h": "24 h",
+    "12h": "12 h (AM/PM)",
+    theme: "Thème",
+  },
+  theme: {
+    light: "Clair",
+    dark: "Sombre",
+    auto: "Auto (lever / coucher du soleil)",
+    autoHint: "Sombre de {sunset} à {sunrise}",
+  },
+  analytics: {
+    title: "Statistiques",
+    back: "Retour aux itinéraires",
+    lastDays_one: "{count} dernier jour",
+    lastDays_other: "{count} derniers jours",
+    loadFailed: "Impossible de charger les itinéraires : {error}",
+    noData: "Aucune donnée sur cette période",
+    noReason: "Sans motif",
+    successRate: "Taux de réussite",
+    stops: "Arrêts",
+    deliveriesPerDay: "Livraisons par jour",
+    outcomesByReason: "Résultats par motif",
+    outcomesByReasonHint: "Livrés, passés et échecs par motif",
+    stopsPerHour: "Arrêts par heure",
+    stopsPerHourHint: "Du premier au dernier arrêt de chaque itinéraire",
+    plannedVsActual: "Distance prévue / parcourue ({unit})",
+    plannedVsActualHint: "Distance calculée et trace GPS envoyée",
+    planned: "Prévue",
+    actual: "Parcourue",
+    byColor: "Résultats par couleur",
+    csv: {
+      day: "Jour",
+      route: "Itinéraire",
+      outcome: "Résultat",
+      status: "Statut",
+      count: "Nombre",
+      share: "Part (%)",
+      stops: "Arrêts",
+      hours: "Heures",
+      color: "Couleur",
+      total: "Total",
+    },
+  },
+  login: {
+    badCredentials: "E-mail ou mot de passe incorrect",
+    failed: "Connexion impossible",
+    expired: "Votre session a expiré, reconnectez-vous.",
+    email: "E-mail",
+    password: "Mot de passe",
+    submit: "Se connecter",
+  },
+  status: {
+    complete: "Valider",
+    completeShort: "OK",
+    failShort: "KO",
+    skip: "Ignorer",
+    skipShort: "Skip",
+  },
+  stop: {
+    title: "Étape {n}",
+    name: "Nom",
+    namePlaceholder: "Nom de l'étape",
+    note: "Note",
+    notePlaceholder: "Code porte, instructions...",
+    timeWindow: "Créneau de livraison",
+    windowInvalid: "L'heure de début doit précéder l'heure de fin",
+    load: "Chargement",
+    serviceMinutes: "Temps sur place (min)",
+    serviceDefault: "{minutes} (par défaut)",
+    color: "Couleur",
+    status: "Statut",
+    reset: "Réinitialiser",
+    failureReason: "Motif : {failure}",
+    previousFailure: "Échec précédent : {failure}",
+    movedTo: "Reporté sur « {name} »",
+    attempts: "{count} tentatives",
+    changedBy: "Modifié par {name}",
+    someoneElse: "quelqu'un d'autre",
+    current: "En cours",
+    onBoard: "Reste à bord après l'arrêt",
+    wait: "attente {duration}",
+  },
+  arrival: {
+    title: "Arrivé ?",
+    description: "Étape {n} · {name} · à {distance}",
+    dismiss: "Pas encore",
+  },
+  route: {
+    cachedOffline: "Hors ligne : itinéraires en cache",
+    addressAdded: "Adresse ajoutée",
+    nameRequired: "Veuillez entrer un nom",
+    start: "Départ",
+    end: "Arrivée",
+    created: "Itinéraire créé",
+    noPointsInFile: "Aucun point trouvé dans le fichier",
+    unreadableFile: "Fichier illisible",
+    deleted: "Supprimé",
+    imported_one: "{count} étape importée",
+    imported_other: "{count} étapes importées",
+    importFailed_one: "Erreur après {count} étape importée",
+    importFailed_other: "Erreur après {count} étapes importées",
+    unavailableOffline: "Indisponible hors ligne",
+    savedOffline: "Enregistré hors ligne",
+    updated: "Mis à jour",
+    retriesOn: "Reprises du {date}",
+    requeued: "Étape replacée en fin de tournée",
+    reordered: "Ordre mis à jour",
+    calculated: "Calculé",
+    minStops: "Min 2 étapes",
+    overCapacity: "Capacité du véhicule dépassée",
+    vehiclesNeeded: "Il faut au moins {count} véhicules.",
+    split: "Répartir",
+    optimized: "Optimisé !",
+    trailSent: "Tracé envoyé ({count} points)",
+    splitCreated: "{count} itinéraires créés",
+    splitFailed_one: "Erreur après {count} itinéraire créé",
+    splitFailed_other: "Erreur après {count} itinéraires créés",
+    dropHint: "Déposez un fichier GPX, KML ou GeoJSON",
+    syncNow: "Synchroniser maintenant",
+    syncLater: "Les modifications seront envoyées au retour du réseau",
+    offline: "Hors ligne",
+    pendingChanges_one: "{count} modification en attente",
+    pendingChanges_other: "{count} modifications en attente",
+    signOut: "Se déconnecter",
+    importGeo: "Importer GPX, KML ou GeoJSON",
+    new: "Nouveau",
+    newTitle: "Nouvel itinéraire",
+    create: "Créer",
+    none: "Aucun itinéraire",
+    unassigned: "Non attribué",
+    departsAt: "Départ à",
+    stopTime: "Arrêt",
+    minutesUnit: "min",
+    estimatedArrival: "Arrivée estimée ~{time}",
+    capacity: "Capacité du véhicule",
+    driving: "Conduite",
+    stopsTime: "Arrêts",
+    total: "Total",
+    done: "Fait",
+    addressPlaceholder: "Adresse...",
+    nextStop: "Prochain arrêt · {n}",
+    distanceAway: "à {distance}",
+    gpsTracking: "Suivi GPS",
+    radius: "Rayon",
+    trailPoints_one: "{count} point de tracé",
+    trailPoints_other: "{count} points de tracé",
+    sendTrail: "Envoyer le tracé",
+    history: "Historique",
+    noChanges: "Aucune modification",
+    undoToHere: "Annuler jusqu'ici",
+    stopsHeading: "Étapes ({count})",
+    clickToEdit: "Cliquez pour modifier",
+    import: "Importer",
+    addAddresses: "Ajoutez des adresses",
+    calculate: "Calculer",
+    optimize: "Optimiser",
+    manifest: "Feuille de route",
+    prepareOffline: "Préparer hors ligne",
+    createFirst: "Créez-en un pour commencer",
+  },
+};
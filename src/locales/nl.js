@@ -0,0 +1,538 @@
+// Dutch (as used in Belgium)
+export default {
+  units: {
+    km: "km",
+    m: "m",
+    mi: "mi",
+    ft: "ft",
+    hoursMinutes: "{h}u{m}min",
+    minutes: "{m} min",
+    gb: "GB",
+    mb: "MB",
+    kb: "KB",
+  },
+  profile: {
+    "driving-car": "Auto",
+    "foot-walking": "Te voet",
+  },
+  waypoint: {
+    status: {
+      pending: "In afwachting",
+      completed: "Geleverd",
+      failed: "Mislukt",
+      skipped: "Overgeslagen",
+    },
+    colors: {
+      blue: "Blauw",
+      green: "Groen",
+      red: "Rood",
+      orange: "Oranje",
+      purple: "Paars",
+      pink: "Roze",
+      yellow: "Geel",
+      gray: "Grijs",
+    },
+  },
+  load: {
+    parcels: "Pakketten",
+    parcelsUnit: "pakketten",
+    weight: "Gewicht",
+    volume: "Volume",
+  },
+  failure: {
+    reasons: {
+      absent: "Ontvanger afwezig",
+      refused: "Geweigerd door ontvanger",
+      wrong_address: "Verkeerd adres",
+      access_denied: "Geen toegang",
+      damaged: "Beschadigd pakket",
+      closed: "Zaak gesloten",
+      other: "Andere",
+    },
+    followUps: {
+      keep: "Als mislukt laten",
+      requeue: "Later in deze ronde opnieuw proberen",
+      move: "Naar een andere route verplaatsen",
+    },
+    title: "Mislukte levering",
+    reason: "Reden",
+    editList: "Lijst bewerken",
+    newReason: "Nieuwe reden",
+    comment: "Opmerking",
+    commentPlaceholder: "Bericht achtergelaten, buur afwezig...",
+    followUp: "Vervolg",
+    newRouteOn: "Nieuwe route op…",
+    confirm: "Mislukking opslaan",
+  },
+  sync: {
+    fields: {
+      status: "status",
+      note: "notitie",
+      name: "naam",
+      color: "kleur",
+      timeWindow: "tijdvenster",
+      serviceMinutes: "stopduur",
+      load: "lading",
+      proof: "leveringsbewijs",
+      waypoints: "volgorde van de stops",
+      profile: "modus",
+      departureTime: "vertrektijd",
+      capacity: "capaciteit",
+    },
+    routeDeleted: "De route is verwijderd",
+    stopDeleted: "De stop is verwijderd",
+    changedElsewhere: "Intussen door iemand anders gewijzigd",
+    refused: "Geweigerd door de server: {message}",
+  },
+  geoImport: {
+    missingCoordinates: "Coördinaten ontbreken",
+    outOfRange: "Coördinaten buiten bereik",
+    unknownColor: "Onbekende kleur „{color}” (standaard blauw)",
+    point: "Punt {n}",
+    notPoint: "Geen puntgeometrie, overgeslagen",
+    unsupported: "{type}-geometrie niet ondersteund",
+    noGeometry: "ontbrekend",
+    unknownFormat: "Onbekend formaat (GPX, KML of GeoJSON)",
+    defaultName: "Import",
+    title: "Nieuwe route uit een bestand",
+    firstAsStart: "Eerste punt = vertrek",
+    lastAsEnd: "Laatste punt = aankomst",
+    skipped_one: "{count} punt overgeslagen",
+    skipped_other: "{count} punten overgeslagen",
+    invalidXml: "Ongeldige XML",
+    invalidJson: "Ongeldige JSON",
+    notGeoJson: "GeoJSON verwacht (Feature of FeatureCollection)",
+    invalidTime: "Onleesbaar tijdstip „{time}” genegeerd",
+  },
+  geoExport: {
+    failure: "Mislukt: {reason}",
+    stops: "Stops",
+    geojson: "GeoJSON (GIS)",
+  },
+  partition: {
+    count: "Aantal stops",
+    distance: "Afstand",
+    duration: "Duur",
+  },
+  geolocation: {
+    denied: "Locatie geweigerd",
+    unavailable: "Positie niet beschikbaar",
+    timeout: "Locatiebepaling duurde te lang",
+    unsupported: "Geolocatie niet ondersteund",
+  },
+  shortcuts: {
+    shift: "Shift",
+  },
+  navigation: {
+    apple: "Kaarten (Apple)",
+    geo: "Andere app (geo:)",
+    navigate: "Navigeren",
+    openWith: "Openen met",
+    googleRun: "Google Maps-ronde",
+    nextStops: "Volgende {count} stops",
+    navigateWith: "Navigeren ({app})",
+  },
+  history: {
+    start: "Vertrek: {name}",
+    startRemoved: "Vertrek verwijderd",
+    end: "Aankomst: {name}",
+    endRemoved: "Aankomst verwijderd",
+    profile: "Modus: {profile}",
+    addedMany: "{count} stops toegevoegd",
+    added: "Toegevoegd: {name}",
+    removedMany: "{count} stops verwijderd",
+    removed: "Verwijderd: {name}",
+    reordered: "Nieuwe volgorde van de stops",
+    status: "{name}: {status}",
+    edited: "Gewijzigd: {name}",
+    editedMany: "{count} stops gewijzigd",
+  },
+  api: {
+    error: "Fout",
+    timeout: "De server reageert niet",
+    network: "Server onbereikbaar",
+    http: "Serverfout ({status})",
+    expired: "Sessie verlopen, meld je opnieuw aan",
+    signedOut: "Niet aangemeld",
+    invalid: "Onverwacht antwoord van de server",
+  },
+  auth: {
+    roles: {
+      dispatcher: "Planner",
+      driver: "Chauffeur",
+    },
+  },
+  image: {
+    unreadable: "Onleesbare afbeelding",
+  },
+  offline: {
+    noIndexedDb: "IndexedDB niet beschikbaar",
+  },
+  presence: {
+    someone: "Iemand",
+    one: "{first} bekijkt deze route",
+    two: "{first} en {second} bekijken deze route",
+    many_one: "{first} en {count} andere bekijken deze route",
+    many_other: "{first} en {count} anderen bekijken deze route",
+    live: "Live wijzigingen",
+    reconnecting: "Opnieuw verbinden…",
+    nobody: "Niemand anders op deze route",
+    routeDeleted: "{name} heeft deze route verwijderd",
+    routeReassigned: "Deze route is aan een andere chauffeur gegeven",
+  },
+  snapshot: {
+    label: "Traject van {name}",
+  },
+  common: {
+    stop: "Stop",
+    route: "Route",
+    done: "Klaar",
+    remove: "Verwijderen",
+    cancel: "Annuleren",
+    apply: "Toepassen",
+    routeName: "Naam van de route",
+    stopCount_one: "{count} stop",
+    stopCount_other: "{count} stops",
+    createRoute: "Route aanmaken",
+    retry: "Opnieuw proberen",
+    next: "Volgende",
+    stops: "Stops",
+    routes: "Routes",
+    yes: "Ja",
+    no: "Nee",
+    delete: "Verwijderen",
+    close: "Sluiten",
+    save: "Opslaan",
+  },
+  conflict: {
+    photoSignature: "Foto / handtekening",
+    title: "Synchronisatieconflict",
+    yours: "Jouw versie:",
+    server: "Server:",
+    keepServer: "Serverversie behouden",
+    discard: "Mijn wijziging verwerpen",
+    keepMine: "Mijn versie behouden",
+  },
+  proof: {
+    title: "Leveringsbewijs",
+    recipient: "Ontvanger",
+    recipientPlaceholder: "Naam van de persoon",
+    signature: "Handtekening",
+    photo: "Foto",
+    photoAlt: "Afgeleverd pakket",
+    takePhoto: "Foto nemen",
+    required: "Een foto, of een handtekening met de naam van de ontvanger, is vereist.",
+    confirm: "Levering bevestigen",
+    receivedBy: "Ontvangen door {name}",
+    noRecipient: "Ontvanger niet opgegeven",
+    fileName: "leveringsbewijs",
+    download: "Foto downloaden",
+    signHere: "Hier tekenen",
+    clearSignature: "Wissen",
+  },
+  proposal: {
+    title: "Voorgestelde volgorde",
+    description: "Server niet beschikbaar: volgorde berekend op dit toestel.",
+    current: "Huidig",
+    proposed: "Voorgesteld",
+    gain: "Winst",
+    lateStops_one: "{count} tijdvenster kan niet gehaald worden",
+    lateStops_other: "{count} tijdvensters kunnen niet gehaald worden",
+    before: "Eerder: stop {n}",
+  },
+  split: {
+    title: "Verdelen over voertuigen",
+    description: "De {count} stops worden verdeeld in evenwichtige rondes vanaf hetzelfde punt.",
+    vehicles: "Aantal voertuigen",
+    capacityMinimum: "De capaciteit vereist minstens {count} voertuigen.",
+    balanceBy: "Verdelen volgens",
+    preview: "Voorbeeld",
+    runs_one: "{count} ronde",
+    runs_other: "{count} rondes",
+    closePreview: "Voorbeeld sluiten",
+    vehicle: "Voertuig {n}",
+    stops_one: "{count} stop",
+    stops_other: "{count} stops",
+    overloaded: "Capaciteit overschreden",
+    create_one: "{count} route aanmaken",
+    create_other: "{count} routes aanmaken",
+  },
+  importStops: {
+    missingAddress: "Adres ontbreekt",
+    invalidTime: "Ongeldig tijdstip (UU:MM)",
+    column: "Kolom {n}",
+    notFound: "Adres niet gevonden",
+    title: "Stops importeren",
+    description: "CSV-bestand of rijen gekopieerd uit een rekenblad.",
+    placeholder: "Naam;Adres;Opmerking\nBakkerij;Grote Markt 1, Brussel;Code 1234",
+    chooseFile: "Bestand kiezen",
+    hasHeader: "Eerste rij = kolomkoppen",
+    previewRows_one: "{count} rij · voorbeeld:",
+    previewRows_other: "{count} rijen · voorbeeld:",
+    ready_one: "{count} klaar",
+    ready_other: "{count} klaar",
+    toFix: "{count} te verbeteren",
+    line: "Rij {n}",
+    geocode_one: "{count} rij geocoderen",
+    geocode_other: "{count} rijen geocoderen",
+    submit_one: "{count} stop importeren",
+    submit_other: "{count} stops importeren",
+    fields: {
+      name: "Naam",
+      address: "Adres",
+      note: "Opmerking",
+      color: "Kleur",
+      earliest: "Vroegst",
+      latest: "Laatst",
+    },
+  },
+  offlineTiles: {
+    interrupted: "Download onderbroken",
+    failedTiles_one: "{count} tegel niet gedownload",
+    failedTiles_other: "{count} tegels niet gedownload",
+    ready: "Kaart offline beschikbaar",
+    cleared: "Kaartcache gewist",
+    title: "Kaart offline klaarzetten",
+    description: "Downloadt de tegels rond het traject van „{name}”.",
+    unsupported: "Deze browser kan de kaart niet cachen.",
+    minZoom: "Min. zoom",
+    maxZoom: "Max. zoom",
+    buffer: "Marge (tegels)",
+    tiles: "Tegels",
+    estimatedSize: "Geschatte grootte",
+    used: "Gebruikte ruimte",
+    cached: "Al in cache",
+    tileCount_one: "{count} tegel",
+    tileCount_other: "{count} tegels",
+    tooMany: "Meer dan {max} tegels: verlaag de max. zoom of de marge.",
+    noRoom: "Onvoldoende opslagruimte: wis de cache of verlaag de max. zoom.",
+    failures_one: "{count} mislukt",
+    failures_other: "{count} mislukt",
+    clear: "Wissen",
+    stop: "Stoppen",
+    download: "Downloaden",
+    workerUnavailable: "De kaartcache is niet gestart. Laad de pagina opnieuw en probeer het nog eens.",
+  },
+  actions: {
+    calculate: "Route berekenen",
+    optimize: "Volgorde optimaliseren",
+    undo: "Ongedaan maken",
+    redo: "Opnieuw",
+    export: "Exporteren",
+    exportAs: "Exporteren als {label}",
+    print: "Routeblad afdrukken",
+  },
+  palette: {
+    title: "Opdrachten",
+    placeholder: "Opdracht, route, stopnummer of adres…",
+    empty: "Geen resultaten",
+    goToStop: "Naar stop {n} · {name}",
+    currentStop: "Huidige stop",
+    deliverKeyword: "leveren",
+    failKeyword: "mislukt",
+    markDelivered: "Markeren als geleverd · {name}",
+    markFailed: "Markeren als mislukt · {name}",
+    addAddress: "Adres toevoegen",
+    add: "Toevoegen",
+    addressKeyword: "adres",
+    mode: "Modus: {label}",
+    profileKeyword: "profiel",
+    printKeyword: "afdrukken",
+    manifestKeyword: "manifest",
+    targets: {
+      start: "vertrek",
+      waypoint: "stop",
+      end: "aankomst",
+    },
+    addQueryAs: {
+      start: "„{query}” toevoegen als vertrek",
+      waypoint: "„{query}” toevoegen als stop",
+      end: "„{query}” toevoegen als aankomst",
+    },
+    addAddressAs: {
+      start: "Adres toevoegen als vertrek",
+      waypoint: "Adres toevoegen als stop",
+      end: "Adres toevoegen als aankomst",
+    },
+  },
+  manifest: {
+    after: "na {time}",
+    before: "voor {time}",
+    notFound: "Route niet gevonden",
+    print: "Afdrukken",
+    schedule: "Vertrek {departure} · terug ~{back}",
+    stop: "Stop",
+    time: "Tijd",
+    delivered: "Geleverd",
+    failure: "{attempt}: {failure}",
+    attempt: "{n}e poging",
+    driverLine: "Chauffeur: ____________________",
+    signatureLine: "Handtekening: ____________________",
+  },
+  preferences: {
+    language: "Taal",
+    units: "Afstanden",
+    metric: "km / m",
+    imperial: "mijl / voet",
+    clock: "Tijdnotatie",
+    "24h": "24 uur",
+    "12h": "12 uur (AM/PM)",
+    theme: "Thema",
+  },
+  theme: {
+    light: "Licht",
+    dark: "Donker",
+    auto: "Auto (zonsopgang / zonsondergang)",
+    autoHint: "Donker van {sunset} tot {sunrise}",
+  },
+  analytics: {
+    title: "Statistieken",
+    back: "Terug naar routes",
+    lastDays_one: "Laatste dag",
+    lastDays_other: "Laatste {count} dagen",
+    loadFailed: "Kan de routes niet laden: {error}",
+    noData: "Geen gegevens voor deze periode",
+    noReason: "Geen reden",
+    successRate: "Slagingspercentage",
+    stops: "Stops",
+    deliveriesPerDay: "Leveringen per dag",
+    outcomesByReason: "Resultaten per reden",
+    outcomesByReasonHint: "Geleverd, overgeslagen en mislukt per reden",
+    stopsPerHour: "Stops per uur",
+    stopsPerHourHint: "Van de eerste tot de laatste stop van elke route",
+    plannedVsActual: "Geplande / gereden afstand ({unit})",
+    plannedVsActualHint: "Berekende afstand tegenover het verzonden GPS-spoor",
+    planned: "Gepland",
+    actual: "Gereden",
+    byColor: "Resultaten per kleur",
+    csv: {
+      day: "Dag",
+      route: "Route",
+      outcome: "Resultaat",
+      status: "Status",
+      count: "Aantal",
+      share: "Aandeel (%)",
+      stops: "Stops",
+      hours: "Uren",
+      color: "Kleur",
+      total: "Totaal",
+    },
+  },
+  login: {
+    badCredentials: "Verkeerd e-mailadres of wachtwoord",
+    failed: "Aanmelden mislukt",
+    expired: "Je sessie is verlopen, meld je opnieuw aan.",
+    email: "E-mail",
+    password: "Wachtwoord",
+    submit: "Aanmelden",
+  },
+  status: {
+    complete: "Bevestigen",
+    completeShort: "OK",
+    failShort: "Mislukt",
+    skip: "Overslaan",
+    skipShort: "Overslaan",
+  },
+  stop: {
+    title: "Stop {n}",
+    name: "Naam",
+    namePlaceholder: "Naam van de stop",
+    note: "Opmerking",
+    notePlaceholder: "Deurcode, instructies...",
+    timeWindow: "Levertijdvenster",
+    windowInvalid: "Het begin moet voor het einde liggen",
+    load: "Lading",
+    serviceMinutes: "Tijd ter plaatse (min)",
+    serviceDefault: "{minutes} (standaard)",
+    color: "Kleur",
+    status: "Status",
+    reset: "Terugzetten",
+    failureReason: "Reden: {failure}",
+    previousFailure: "Vorige mislukking: {failure}",
+    movedTo: "Verplaatst naar „{name}”",
+    attempts: "{count} pogingen",
+    changedBy: "Gewijzigd door {name}",
+    someoneElse: "iemand anders",
+    current: "Bezig",
+    onBoard: "Blijft aan boord na deze stop",
+    wait: "wachten {duration}",
+  },
+  arrival: {
+    title: "Aangekomen?",
+    description: "Stop {n} · {name} · op {distance}",
+    dismiss: "Nog niet",
+  },
+  route: {
+    cachedOffline: "Offline: routes uit de cache",
+    addressAdded: "Adres toegevoegd",
+    nameRequired: "Geef een naam op",
+    start: "Vertrek",
+    end: "Aankomst",
+    created: "Route aangemaakt",
+    noPointsInFile: "Geen punten gevonden in het bestand",
+    unreadableFile: "Onleesbaar bestand",
+    deleted: "Verwijderd",
+    imported_one: "{count} stop geïmporteerd",
+    imported_other: "{count} stops geïmporteerd",
+    importFailed_one: "Fout na {count} geïmporteerde stop",
+    importFailed_other: "Fout na {count} geïmporteerde stops",
+    unavailableOffline: "Niet beschikbaar offline",
+    savedOffline: "Offline opgeslagen",
+    updated: "Bijgewerkt",
+    retriesOn: "Herkansingen {date}",
+    requeued: "Stop achteraan de ronde gezet",
+    reordered: "Volgorde bijgewerkt",
+    calculated: "Berekend",
+    minStops: "Minstens 2 stops",
+    overCapacity: "Voertuigcapaciteit overschreden",
+    vehiclesNeeded: "Er zijn minstens {count} voertuigen nodig.",
+    split: "Verdelen",
+    optimized: "Geoptimaliseerd!",
+    trailSent: "Spoor verzonden ({count} punten)",
+    splitCreated: "{count} routes aangemaakt",
+    splitFailed_one: "Fout na {count} aangemaakte route",
+    splitFailed_other: "Fout na {count} aangemaakte routes",
+    dropHint: "Sleep een GPX-, KML- of GeoJSON-bestand hierheen",
+    syncNow: "Nu synchroniseren",
+    syncLater: "Wijzigingen worden verzonden zodra het netwerk terug is",
+    offline: "Offline",
+    pendingChanges_one: "{count} wijziging in wachtrij",
+    pendingChanges_other: "{count} wijzigingen in wachtrij",
+    signOut: "Afmelden",
+    importGeo: "GPX, KML of GeoJSON importeren",
+    new: "Nieuw",
+    newTitle: "Nieuwe route",
+    create: "Aanmaken",
+    none: "Geen routes",
+    unassigned: "Niet toegewezen",
+    departsAt: "Vertrek om",
+    stopTime: "Per stop",
+    minutesUnit: "min",
+    estimatedArrival: "Geschatte aankomst ~{time}",
+    capacity: "Voertuigcapaciteit",
+    driving: "Rijden",
+    stopsTime: "Stops",
+    total: "Totaal",
+    done: "Klaar",
+    addressPlaceholder: "Adres...",
+    nextStop: "Volgende stop · {n}",
+    distanceAway: "op {distance}",
+    gpsTracking: "GPS-tracking",
+    radius: "Straal",
+    trailPoints_one: "{count} spoorpunt",
+    trailPoints_other: "{count} spoorpunten",
+    sendTrail: "Spoor verzenden",
+    history: "Geschiedenis",
+    noChanges: "Geen wijzigingen",
+    undoToHere: "Tot hier ongedaan maken",
+    stopsHeading: "Stops ({count})",
+    clickToEdit: "Klik om te bewerken",
+    import: "Importeren",
+    addAddresses: "Voeg adressen toe",
+    calculate: "Berekenen",
+    optimize: "Optimaliseren",
+    manifest: "Routeblad",
+    prepareOffline: "Offline klaarzetten",
+    createFirst: "Maak er een aan om te beginnen",
+  },
+};
@@ -0,0 +1,307 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { Bar, BarChart, CartesianGrid, Cell, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { enGB, fr, nlBE } from "date-fns/locale";
+import { ArrowLeft, BarChart3, CalendarDays, Download, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import {
+  dayKey,
+  deliveriesPerDay,
+  handledStops,
+  outcomesByColor,
+  outcomesByReason,
+  plannedVsActual,
+  stopsPerHour,
+} from "@/lib/analytics";
+import { formatCsv } from "@/lib/csv";
+import { downloadFile } from "@/lib/geo-export";
+import { distanceUnit, formatDateTime, toDistanceUnit } from "@/lib/format";
+import { STATUS_COLORS, STATUS_LABELS } from "@/lib/waypoints";
+import { errorMessage, listRoutes } from "@/lib/api";
+import { canSeeRoute } from "@/lib/auth";
+import { useAuth } from "@/hooks/use-auth";
+import { useI18n } from "@/hooks/use-i18n";
+import { getIntlLocale, t } from "@/lib/i18n";
+
+const CALENDAR_LOCALES = { fr, en: enGB, nl: nlBE };
+const RANGE_PRESETS = [7, 30, 90];
+const DEFAULT_RANGE_DAYS = 30;
+const STATUSES = ["completed", "failed", "skipped"];
+
+const lastDays = (count) => {
+  const from = new Date();
+  from.setDate(from.getDate() - (count - 1));
+  return { from, to: new Date() };
+};
+
+const shortDay = (day) => formatDateTime(`${day}T12:00`, { day: "numeric", month: "short" });
+const percent = (share) => new Intl.NumberFormat(getIntlLocale(), { style: "percent", maximumFractionDigits: 1 }).format(share);
+// Chart and CSV figures: one decimal, dot as separator in the CSV
+const oneDecimal = (value) => (value == null ? null : Math.round(value * 10) / 10);
+
+// Grey reads on both themes; the tooltip follows them through the theme variables
+const AXIS = { stroke: "#94a3b8", tick: { fontSize: 11, fill: "#94a3b8" } };
+const TOOLTIP_STYLE = {
+  background: "hsl(var(--popover))",
+  borderColor: "hsl(var(--border))",
+  color: "hsl(var(--popover-foreground))",
+  fontSize: 12,
+};
+
+function ChartCard({ title, description, empty, onExport, testId, children }) {
+  return (
+    <section className="rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 p-4" data-testid={testId}>
+      <div className="flex items-start justify-between gap-2 mb-3">
+        <div className="min-w-0">
+          <h2 className="text-sm font-semibold">{title}</h2>
+          {description && <p className="text-xs text-slate-500 dark:text-slate-400">{description}</p>}
+        </div>
+        <Button variant="outline" size="sm" onClick={onExport} disabled={empty} data-testid={`${testId}-csv`}>
+          <Download className="w-4 h-4 mr-1" />
+          CSV
+        </Button>
+      </div>
+      {empty ? (
+        <div className="h-60 flex items-center justify-center text-sm text-slate-400">{t("analytics.noData")}</div>
+      ) : (
+        <div className="h-60">
+          <ResponsiveContainer width="100%" height="100%">{children}</ResponsiveContainer>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// Delivery figures across every route the user can see, for a range of days
+export default function Analytics() {
+  const { user } = useAuth();
+  const { locale } = useI18n();
+  const [routes, setRoutes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selection, setSelection] = useState(() => lastDays(DEFAULT_RANGE_DAYS));
+
+  useEffect(() => {
+    const fetchRoutes = async () => {
+      try {
+        setRoutes((await listRoutes()).filter((route) => canSeeRoute(user, route)));
+      } catch (err) {
+        console.error("Error fetching routes:", err);
+        setError(errorMessage(err));
+      }
+      setLoading(false);
+    };
+    fetchRoutes();
+  }, [user]);
+
+  const range = useMemo(
+    () => ({ from: dayKey(selection.from), to: dayKey(selection.to || selection.from) }),
+    [selection]
+  );
+  const stops = useMemo(() => handledStops(routes, range), [routes, range]);
+  const perDay = useMemo(() => deliveriesPerDay(stops, range), [stops, range]);
+  const byReason = useMemo(() => outcomesByReason(stops), [stops]);
+  const perHour = useMemo(() => stopsPerHour(stops, range), [stops, range]);
+  const distances = useMemo(() => plannedVsActual(routes, range), [routes, range]);
+  const byColor = useMemo(() => outcomesByColor(stops), [stops]);
+
+  const counts = Object.fromEntries(STATUSES.map((status) => [status, stops.filter(({ wp }) => wp.status === status).length]));
+  const unit = distanceUnit();
+  const distanceRows = distances.map((row) => ({
+    ...row,
+    label: `${row.name} (${shortDay(row.day)})`,
+    planned: row.planned ? oneDecimal(toDistanceUnit(row.planned)) : null,
+    actual: row.actual ? oneDecimal(toDistanceUnit(row.actual)) : null,
+  }));
+
+  const exportCsv = (name, rows) =>
+    downloadFile(formatCsv(rows), `${name}-${range.from}_${range.to}.csv`, "text/csv;charset=utf-8");
+
+  const rangeLabel = range.from === range.to
+    ? shortDay(range.from)
+    : `${shortDay(range.from)} – ${formatDateTime(`${range.to}T12:00`, { day: "numeric", month: "short", year: "numeric" })}`;
+
+  const statusBars = STATUSES.map((status) => (
+    <Bar key={status} dataKey={status} name={STATUS_LABELS[status]} stackId="status" fill={STATUS_COLORS[status]} />
+  ));
+
+  return (
+    <div className="min-h-screen bg-slate-50 dark:bg-slate-900 p-4" data-testid="analytics-page">
+      <div className="max-w-6xl mx-auto space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="flex items-center gap-2">
+            <Link to="/" className="p-1 rounded-md text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700" title={t("analytics.back")} data-testid="analytics-back">
+              <ArrowLeft className="w-5 h-5" />
+            </Link>
+            <h1 className="text-xl font-bold tracking-tight flex items-center gap-2" style={{ fontFamily: "Manrope" }}>
+              <BarChart3 className="w-5 h-5 text-blue-500" />
+              {t("analytics.title")}
+            </h1>
+          </div>
+          <Popover>
+            <PopoverTrigger asChild>
+              <Button variant="outline" size="sm" data-testid="analytics-range-btn">
+                <CalendarDays className="w-4 h-4 mr-1" />
+                {rangeLabel}
+              </Button>
+            </PopoverTrigger>
+            <PopoverContent className="w-auto p-0" align="end">
+              <div className="flex gap-1 p-3 pb-0">
+                {RANGE_PRESETS.map((count) => (
+                  <Button key={count} variant="ghost" size="sm" onClick={() => setSelection(lastDays(count))} data-testid={`analytics-last-${count}`}>
+                    {t("analytics.lastDays", { count })}
+                  </Button>
+                ))}
+              </div>
+              <Calendar
+                mode="range"
+                selected={selection}
+                onSelect={(next) => next?.from && setSelection(next)}
+                numberOfMonths={2}
+                defaultMonth={selection.from}
+                locale={CALENDAR_LOCALES[locale]}
+                disabled={{ after: new Date() }}
+              />
+            </PopoverContent>
+          </Popover>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-16">
+            <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-500" data-testid="analytics-error">{t("analytics.loadFailed", { error })}</p>
+        ) : (
+          <>
+            <div className="stats-bar" data-testid="analytics-summary">
+              {STATUSES.map((status) => (
+                <div key={status} className="stat-item">
+                  <span className="stat-label">{STATUS_LABELS[status]}</span>
+                  <span className="stat-value">{counts[status]}</span>
+                </div>
+              ))}
+              <div className="stat-item">
+                <span className="stat-label">{t("analytics.successRate")}</span>
+                <span className="stat-value">{stops.length > 0 ? percent(counts.completed / stops.length) : "-"}</span>
+              </div>
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <ChartCard
+                title={t("analytics.deliveriesPerDay")}
+                empty={stops.length === 0}
+                onExport={() => exportCsv("deliveries-per-day", [
+                  [t("analytics.csv.day"), ...STATUSES.map((status) => STATUS_LABELS[status])],
+                  ...perDay.map((row) => [row.day, ...STATUSES.map((status) => row[status])]),
+                ])}
+                testId="chart-deliveries-per-day"
+              >
+                <BarChart data={perDay}>
+                  <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.3} />
+                  <XAxis dataKey="day" tickFormatter={shortDay} {...AXIS} />
+                  <YAxis allowDecimals={false} {...AXIS} />
+                  <Tooltip labelFormatter={shortDay} contentStyle={TOOLTIP_STYLE} />
+                  <Legend wrapperStyle={{ fontSize: 12 }} />
+                  {statusBars}
+                </BarChart>
+              </ChartCard>
+
+              <ChartCard
+                title={t("analytics.outcomesByReason")}
+                description={t("analytics.outcomesByReasonHint")}
+                empty={stops.length === 0}
+                onExport={() => exportCsv("outcomes-by-reason", [
+                  [t("analytics.csv.outcome"), t("analytics.csv.status"), t("analytics.csv.count"), t("analytics.csv.share")],
+                  ...byReason.map((row) => [row.label, STATUS_LABELS[row.status], row.count, oneDecimal(row.share * 100)]),
+                ])}
+                testId="chart-outcomes-by-reason"
+              >
+                <BarChart data={byReason} layout="vertical" margin={{ left: 8 }}>
+                  <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.3} horizontal={false} />
+                  <XAxis type="number" allowDecimals={false} {...AXIS} />
+                  <YAxis type="category" dataKey="label" width={120} {...AXIS} />
+                  <Tooltip
+                    formatter={(value, name, { payload }) => [`${value} (${percent(payload.share)})`, t("analytics.stops")]}
+                    contentStyle={TOOLTIP_STYLE}
+                  />
+                  <Bar dataKey="count">
+                    {byReason.map((row) => <Cell key={row.key} fill={STATUS_COLORS[row.status]} />)}
+                  </Bar>
+                </BarChart>
+              </ChartCard>
+
+              <ChartCard
+                title={t("analytics.stopsPerHour")}
+                description={t("analytics.stopsPerHourHint")}
+                empty={perHour.every((row) => row.stopsPerHour == null)}
+                onExport={() => exportCsv("stops-per-hour", [
+                  [t("analytics.csv.day"), t("analytics.csv.stops"), t("analytics.csv.hours"), t("analytics.stopsPerHour")],
+                  ...perHour
+                    .filter((row) => row.stopsPerHour != null)
+                    .map((row) => [row.day, row.stops, oneDecimal(row.hours), row.stopsPerHour]),
+                ])}
+                testId="chart-stops-per-hour"
+              >
+                <LineChart data={perHour}>
+                  <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.3} />
+                  <XAxis dataKey="day" tickFormatter={shortDay} {...AXIS} />
+                  <YAxis {...AXIS} />
+                  <Tooltip labelFormatter={shortDay} contentStyle={TOOLTIP_STYLE} />
+                  <Line type="monotone" dataKey="stopsPerHour" name={t("analytics.stopsPerHour")} stroke="#3b82f6" strokeWidth={2} connectNulls />
+                </LineChart>
+              </ChartCard>
+
+              <ChartCard
+                title={t("analytics.plannedVsActual", { unit })}
+                description={t("analytics.plannedVsActualHint")}
+                empty={distanceRows.length === 0}
+                onExport={() => exportCsv("planned-vs-actual-distance", [
+                  [t("analytics.csv.day"), t("analytics.csv.route"), `${t("analytics.planned")} (${unit})`, `${t("analytics.actual")} (${unit})`],
+                  ...distanceRows.map((row) => [row.day, row.name, row.planned, row.actual]),
+                ])}
+                testId="chart-planned-vs-actual"
+              >
+                <BarChart data={distanceRows}>
+                  <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.3} />
+                  <XAxis dataKey="label" {...AXIS} />
+                  <YAxis {...AXIS} />
+                  <Tooltip formatter={(value) => `${value} ${unit}`} contentStyle={TOOLTIP_STYLE} />
+                  <Legend wrapperStyle={{ fontSize: 12 }} />
+                  <Bar dataKey="planned" name={t("analytics.planned")} fill="#94a3b8" />
+                  <Bar dataKey="actual" name={t("analytics.actual")} fill="#3b82f6" />
+                </BarChart>
+              </ChartCard>
+
+              <ChartCard
+                title={t("analytics.byColor")}
+                empty={byColor.length === 0}
+                onExport={() => exportCsv("outcomes-by-colour", [
+                  [t("analytics.csv.color"), ...STATUSES.map((status) => STATUS_LABELS[status]), t("analytics.csv.total"), t("analytics.successRate")],
+                  ...byColor.map((row) => [
+                    row.label,
+                    ...STATUSES.map((status) => row[status]),
+                    row.total,
+                    oneDecimal((row.completed / row.total) * 100),
+                  ]),
+                ])}
+                testId="chart-by-color"
+              >
+                <BarChart data={byColor}>
+                  <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.3} />
+                  <XAxis dataKey="label" {...AXIS} />
+                  <YAxis allowDecimals={false} {...AXIS} />
+                  <Tooltip contentStyle={TOOLTIP_STYLE} />
+                  <Legend wrapperStyle={{ fontSize: 12 }} />
+                  {statusBars}
+                </BarChart>
+              </ChartCard>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Loader2, Route } from "lucide-react";
+import PreferencesMenu from "@/components/PreferencesMenu";
+import { useAuth } from "@/hooks/use-auth";
+import { errorMessage } from "@/lib/api";
+import { t } from "@/lib/i18n";
+
+// Shown in place of any page while signed out; the URL is kept, so signing
+// in lands on the page that was asked for
+export default function LoginPage() {
+  const { login, expired } = useAuth();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setLoading(true);
+    try {
+      await login(email.trim(), password);
+    } catch (err) {
+      setError(err.status === 401 ? t("login.badCredentials") : errorMessage(err, t("login.failed")));
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-50 dark:bg-slate-900 p-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-700 shadow-sm p-6 space-y-4" data-testid="login-form">
+        <h1 className="text-xl font-bold tracking-tight flex items-center gap-2" style={{ fontFamily: "Manrope" }}>
+          <Route className="w-5 h-5 text-blue-500" />
+          Route Optimizer
+        </h1>
+        {expired && !error && (
+          <p className="text-sm text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-950 rounded-md px-3 py-2" data-testid="session-expired">
+            {t("login.expired")}
+          </p>
+        )}
+        <div>
+          <label htmlFor="login-email" className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block">{t("login.email")}</label>
+          <Input
+            id="login-email"
+            type="email"
+            autoComplete="username"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+            autoFocus
+            data-testid="login-email"
+          />
+        </div>
+        <div>
+          <label htmlFor="login-password" className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block">{t("login.password")}</label>
+          <Input
+            id="login-password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            data-testid="login-password"
+          />
+        </div>
+        {error && <p className="text-sm text-red-500" data-testid="login-error">{error}</p>}
+        <Button type="submit" className="w-full bg-slate-900 dark:bg-slate-700" disabled={loading} data-testid="login-btn">
+          {loading && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+          {t("login.submit")}
+        </Button>
+        <div className="pt-2 border-t border-slate-100 dark:border-slate-700">
+          <PreferencesMenu />
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import { useState, useEffect } from "react";
+import { useParams } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Loader2, Printer, Route } from "lucide-react";
+import RouteSnapshot from "@/components/RouteSnapshot";
+import { formatDateTime, formatDistance, formatDuration } from "@/lib/format";
+import { computeRouteEta, formatTime, parseTime, DEFAULT_DEPARTURE_TIME } from "@/lib/schedule";
+import { LOAD_DIMENSIONS, getLoad, hasLoad, formatLoadValue } from "@/lib/load";
+import { describeFailure } from "@/lib/failure-reasons";
+import { listRoutes } from "@/lib/api";
+import { canSeeRoute } from "@/lib/auth";
+import { useAuth } from "@/hooks/use-auth";
+import { useI18n } from "@/hooks/use-i18n";
+import { t } from "@/lib/i18n";
+
+const describeLoad = (wp) => {
+  const load = getLoad(wp);
+  if (!hasLoad(load)) return "";
+  return Object.entries(LOAD_DIMENSIONS)
+    .filter(([d]) => load[d] > 0)
+    .map(([d, { unit }]) => `${formatLoadValue(load[d], d)} ${unit}`)
+    .join(" · ");
+};
+
+const describeWindow = (wp) => {
+  const { earliest, latest } = wp.timeWindow || {};
+  const time = (value) => formatTime(parseTime(value));
+  if (earliest && latest) return `${time(earliest)} – ${time(latest)}`;
+  if (earliest) return t("manifest.after", { time: time(earliest) });
+  if (latest) return t("manifest.before", { time: time(latest) });
+  return "";
+};
+
+// Printable delivery manifest for drivers without a phone
+export default function RouteManifest() {
+  const { routeId } = useParams();
+  const { user } = useAuth();
+  useI18n();
+  const [route, setRoute] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchRoute = async () => {
+      try {
+        const routes = await listRoutes();
+        setRoute(routes.find((r) => r.id === routeId && canSeeRoute(user, r)) || null);
+      } catch (error) {
+        console.error("Error fetching route:", error);
+      }
+      setLoading(false);
+    };
+    fetchRoute();
+  }, [routeId, user]);
+
+  if (loading) {
+    return (
+      <div className="manifest-empty">
+        <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  if (!route) {
+    return (
+      <div className="manifest-empty">
+        <Route className="w-10 h-10 text-slate-300" />
+        <p className="text-sm text-slate-500 mt-2">{t("manifest.notFound")}</p>
+      </div>
+    );
+  }
+
+  const eta = computeRouteEta(route);
+  const waypoints = route.waypoints || [];
+  const today = formatDateTime(Date.now(), { weekday: "long", day: "numeric", month: "long", year: "numeric" });
+
+  return (
+    <div className="manifest" data-testid="route-manifest">
+      <div className="manifest-toolbar no-print">
+        <Button onClick={() => window.print()} className="bg-slate-900 hover:bg-slate-800" data-testid="manifest-print-btn">
+          <Printer className="w-4 h-4 mr-2" />
+          {t("manifest.print")}
+        </Button>
+      </div>
+
+      <header className="manifest-header">
+        <div>
+          <h1 className="text-xl font-bold">{route.name}</h1>
+          <div className="text-sm text-slate-600 capitalize">{today}</div>
+        </div>
+        <div className="text-sm text-right text-slate-600">
+          <div>{t("manifest.schedule", { departure: formatTime(parseTime(route.departureTime || DEFAULT_DEPARTURE_TIME)), back: formatTime(eta.end) })}</div>
+          <div>
+            {t("split.stops", { count: waypoints.length })}
+            {route.distance ? ` · ${formatDistance(route.distance)}` : ""}
+            {route.duration ? ` · ${formatDuration(route.duration)}` : ""}
+          </div>
+        </div>
+      </header>
+
+      <div className="manifest-address">
+        <div><span className="font-semibold">A</span> {route.start?.address || "—"}</div>
+        <div><span className="font-semibold">B</span> {route.end?.address || "—"}</div>
+      </div>
+
+      <RouteSnapshot route={route} />
+
+      <table className="manifest-table">
+        <thead>
+          <tr>
+            <th className="w-8">#</th>
+            <th>{t("manifest.stop")}</th>
+            <th className="w-24">{t("manifest.time")}</th>
+            <th className="w-16">{t("manifest.delivered")}</th>
+            <th className="w-40">{t("proof.signature")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {waypoints.map((wp, idx) => {
+            const stopEta = eta.stops[idx];
+            const timeWindow = describeWindow(wp);
+            const load = describeLoad(wp);
+            return (
+              <tr key={wp.id} className="manifest-stop" data-testid={`manifest-stop-${idx}`}>
+                <td className="font-bold">{idx + 1}</td>
+                <td>
+                  <div className="font-medium">{wp.name}</div>
+                  {wp.address && wp.address !== wp.name && <div className="text-xs text-slate-600">{wp.address}</div>}
+                  {wp.note && <div className="text-xs mt-1 italic">{wp.note}</div>}
+                  {wp.failure && (
+                    <div className="text-xs mt-1">
+                      {t("manifest.failure", {
+                        attempt: wp.status === "failed" ? t("waypoint.status.failed") : t("manifest.attempt", { n: (wp.attempts?.length || 0) + 1 }),
+                        failure: describeFailure(wp.failure),
+                      })}
+                    </div>
+                  )}
+                  {load && <div className="text-xs text-slate-600">{load}</div>}
+                </td>
+                <td className="text-xs">
+                  <div>~{formatTime(stopEta.arrival)}</div>
+                  {timeWindow && <div className="text-slate-600">{timeWindow}</div>}
+                </td>
+                <td className="text-xs">
+                  <div className="manifest-checkbox">{t("common.yes")}</div>
+                  <div className="manifest-checkbox">{t("common.no")}</div>
+                </td>
+                <td className="manifest-signature" />
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <footer className="manifest-footer">
+        <div>{t("manifest.driverLine")}</div>
+        <div>{t("manifest.signatureLine")}</div>
+      </footer>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from "react";
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from "react-leaflet";
+import { useNavigate, useParams, useMatch } from "react-router-dom";
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Circle, useMap } from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import { toast } from "sonner";
@@ -7,14 +8,23 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { Textarea } from "@/components/ui/textarea";
+import { Switch } from "@/components/ui/switch";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import {
   Dialog,
   DialogContent,
+  DialogDescription,
   DialogHeader,
   DialogTitle,
   DialogTrigger,
   DialogFooter,
 } from "@/components/ui/dialog";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
 import {
   DndContext,
   closestCenter,
@@ -46,15 +56,88 @@ import {
   Check,
   XCircle,
   Undo2,
+  Redo2,
+  History,
   GripVertical,
   Pencil,
   StickyNote,
   Palette,
   SkipForward,
+  Clock,
+  AlertTriangle,
+  Truck,
+  Package,
+  Upload,
+  Download,
+  FileUp,
+  Printer,
+  CloudOff,
+  RefreshCw,
+  CloudDownload,
+  LocateFixed,
+  Command,
+  LogOut,
+  UserRound,
+  BarChart3,
 } from "lucide-react";
+import OptimizationProposalDialog from "@/components/OptimizationProposalDialog";
+import ImportStopsDialog from "@/components/ImportStopsDialog";
+import GeoImportDialog from "@/components/GeoImportDialog";
+import { SplitRouteDialog, SplitPreviewPanel } from "@/components/SplitRoute";
+import { NavigateButton, NavigateLinks } from "@/components/NavigateButton";
+import SyncConflictDialog from "@/components/SyncConflictDialog";
+import OfflineTilesDialog from "@/components/OfflineTilesDialog";
+import { ProofOfDeliveryDialog, ProofOfDeliveryView } from "@/components/ProofOfDeliveryDialog";
+import FailureReasonDialog from "@/components/FailureReasonDialog";
+import { useOfflineSync } from "@/hooks/use-offline-sync";
+import { useDriverTracking } from "@/hooks/use-driver-tracking";
+import { useRouteHistory } from "@/hooks/use-route-history";
+import { useRealtime } from "@/hooks/use-realtime";
+import { useAuth } from "@/hooks/use-auth";
+import { useThemeMode } from "@/hooks/use-theme-mode";
+import CommandPalette from "@/components/CommandPalette";
+import PresenceBar from "@/components/PresenceBar";
+import PreferencesMenu from "@/components/PreferencesMenu";
+import { buildSolverPayload, runLocalOptimizer } from "@/lib/local-optimizer";
+import { getVehicleColor } from "@/lib/partition";
+import { WAYPOINT_COLORS, STATUS_COLORS, STATUS_LABELS } from "@/lib/waypoints";
+import { exportRoute, EXPORT_FORMATS } from "@/lib/geo-export";
+import { parseGeoFile, GEO_FILE_EXTENSIONS } from "@/lib/geo-import";
+import { getPreferredNavApp, setPreferredNavApp, getNextPendingStops } from "@/lib/navigation";
+import { cacheRoutes, getCachedRoutes } from "@/lib/offline-store";
+import { TILE_URL, DARK_TILE_URL, TILE_ATTRIBUTION } from "@/lib/tiles";
+import { haversineDistance } from "@/lib/geo";
+import { describeFailure } from "@/lib/failure-reasons";
+import * as api from "@/lib/api";
+import { matchShortcut, formatShortcut } from "@/lib/shortcuts";
+import { publishRoute, publishRouteDeleted } from "@/lib/realtime";
+import { applyStep, fingerprint } from "@/lib/history";
+import { ROLES, canSeeRoute } from "@/lib/auth";
+import { applyMutation, isNetworkError, revertMutation, routeMutation, waypointMutation } from "@/lib/sync";
+import {
+  computeRunningLoad,
+  formatLoadValue,
+  hasCapacity,
+  hasLoad,
+  vehiclesNeeded,
+  LOAD_DIMENSIONS,
+} from "@/lib/load";
+import { formatDateTime, formatDistance, formatDuration } from "@/lib/format";
+import { t } from "@/lib/i18n";
+import {
+  computeRouteEta,
+  formatTime,
+  parseTime,
+  DEFAULT_DEPARTURE_TIME,
+  DEFAULT_SERVICE_MINUTES,
+} from "@/lib/schedule";
+
+const OPTIMIZE_TIMEOUT_MS = 15000;
 
-const BACKEND_URL = process.env.REACT_APP_BACKEND_URL;
-const API = `${BACKEND_URL}`;
+// "HH:MM" as typed in a time window, shown in the chosen clock
+const formatWindowTime = (value) => (value ? formatTime(parseTime(value)) : "…");
+const DEFAULT_ARRIVAL_RADIUS = 50;
+const MIN_ARRIVAL_RADIUS = 10;
 
 // Fix Leaflet default icon issue
 delete L.Icon.Default.prototype._getIconUrl;
@@ -64,33 +147,6 @@ L.Icon.Default.mergeOptions({
   shadowUrl: "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png",
 });
 
-// Color options for waypoints
-const WAYPOINT_COLORS = {
-  blue: { bg: "#3b82f6", label: "Bleu" },
-  green: { bg: "#22c55e", label: "Vert" },
-  red: { bg: "#ef4444", label: "Rouge" },
-  orange: { bg: "#f97316", label: "Orange" },
-  purple: { bg: "#a855f7", label: "Violet" },
-  pink: { bg: "#ec4899", label: "Rose" },
-  yellow: { bg: "#eab308", label: "Jaune" },
-  gray: { bg: "#6b7280", label: "Gris" },
-};
-
-// Status colors
-const STATUS_COLORS = {
-  pending: null,
-  completed: "#22c55e",
-  failed: "#ef4444",
-  skipped: "#94a3b8",
-};
-
-const STATUS_LABELS = {
-  pending: "En attente",
-  completed: "Livré",
-  failed: "Échec",
-  skipped: "Ignoré",
-};
-
 // Custom marker icons
 const createIcon = (color, label, opacity = 1) => {
   return L.divIcon({
@@ -102,6 +158,18 @@ const createIcon = (color, label, opacity = 1) => {
   });
 };
 
+// Driver position: a dot, with an arrow when the heading is known
+const createDriverIcon = (heading) => {
+  return L.divIcon({
+    className: "custom-div-icon",
+    html: heading == null
+      ? '<div class="driver-marker"></div>'
+      : `<div class="driver-marker driver-marker-heading" style="transform: rotate(${Math.round(heading)}deg);"></div>`,
+    iconSize: [22, 22],
+    iconAnchor: [11, 11],
+  });
+};
+
 // Map bounds updater
 function MapBoundsUpdater({ markers }) {
   const map = useMap();
@@ -114,22 +182,135 @@ function MapBoundsUpdater({ markers }) {
   return null;
 }
 
+// Input edited locally and handed to `onCommit` once, on blur or Enter, so a
+// route setting is not saved on every keystroke. Escape drops the edit.
+function DraftInput({ value, onCommit, ...props }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft !== null && draft !== String(value ?? "")) onCommit(draft);
+    setDraft(null);
+  };
+
+  return (
+    <Input
+      {...props}
+      value={draft ?? value ?? ""}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        else if (e.key === "Escape") setDraft(null);
+      }}
+    />
+  );
+}
+
+// Parcels / kg / m³ inputs; empty fields are stored as null
+function LoadInputs({ value, onChange, testIdPrefix }) {
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      {Object.entries(LOAD_DIMENSIONS).map(([dimension, { label, unit }]) => (
+        <div key={dimension} className="relative">
+          <Input
+            type="number"
+            min="0"
+            step={dimension === "parcels" ? "1" : "any"}
+            value={value?.[dimension] ?? ""}
+            onChange={(e) => onChange({ ...value, [dimension]: e.target.value === "" ? null : Math.max(0, Number(e.target.value)) })}
+            placeholder={label}
+            aria-label={label}
+            className="h-8 text-sm pr-9"
+            data-testid={`${testIdPrefix}-${dimension}`}
+          />
+          <span className="absolute right-2 top-1/2 -translate-y-1/2 text-[10px] text-slate-400 pointer-events-none">{unit}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Route capacity: edited locally, saved once focus leaves the three fields
+function CapacityInputs({ value, onCommit }) {
+  const [draft, setDraft] = useState(null);
+
+  const handleBlur = (e) => {
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    if (draft !== null) onCommit(draft);
+    setDraft(null);
+  };
+
+  return (
+    <div onBlur={handleBlur} onKeyDown={(e) => e.key === "Enter" && e.target.blur()}>
+      <LoadInputs value={draft ?? value} onChange={setDraft} testIdPrefix="route-capacity" />
+    </div>
+  );
+}
+
+// Complete / fail / skip buttons for a pending stop
+function StatusButtons({ onStatusChange, disabled }) {
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      <Button
+        onClick={() => onStatusChange("completed")}
+        className="bg-green-500 hover:bg-green-600 text-white h-10"
+        disabled={disabled}
+      >
+        <Check className="w-4 h-4 mr-1" />
+        <span className="hidden sm:inline">{t("status.complete")}</span>
+        <span className="sm:hidden">{t("status.completeShort")}</span>
+      </Button>
+      <Button
+        onClick={() => onStatusChange("failed")}
+        className="bg-red-500 hover:bg-red-600 text-white h-10"
+        disabled={disabled}
+      >
+        <XCircle className="w-4 h-4 mr-1" />
+        <span className="hidden sm:inline">{t("waypoint.status.failed")}</span>
+        <span className="sm:hidden">{t("status.failShort")}</span>
+      </Button>
+      <Button
+        onClick={() => onStatusChange("skipped")}
+        className="bg-slate-400 hover:bg-slate-500 text-white h-10"
+        disabled={disabled}
+      >
+        <SkipForward className="w-4 h-4 mr-1" />
+        <span className="hidden sm:inline">{t("status.skip")}</span>
+        <span className="sm:hidden">{t("status.skipShort")}</span>
+      </Button>
+    </div>
+  );
+}
+
 // Waypoint Detail Dialog
-function WaypointDetailDialog({ wp, idx, isOpen, onClose, onUpdate, onDelete }) {
+// Without `canEdit` only the status can change; without `canDelete` the stop stays
+function WaypointDetailDialog({ wp, idx, defaultServiceMinutes, canEdit, canDelete, isOpen, onClose, onUpdate, onDelete }) {
   const [editName, setEditName] = useState(wp.name);
   const [editNote, setEditNote] = useState(wp.note || "");
   const [editColor, setEditColor] = useState(wp.color || "blue");
+  const [editEarliest, setEditEarliest] = useState(wp.timeWindow?.earliest || "");
+  const [editLatest, setEditLatest] = useState(wp.timeWindow?.latest || "");
+  const [editServiceMinutes, setEditServiceMinutes] = useState(wp.serviceMinutes ?? "");
+  const [editLoad, setEditLoad] = useState(wp.load || {});
   const [saving, setSaving] = useState(false);
 
   useEffect(() => {
     setEditName(wp.name);
     setEditNote(wp.note || "");
     setEditColor(wp.color || "blue");
+    setEditEarliest(wp.timeWindow?.earliest || "");
+    setEditLatest(wp.timeWindow?.latest || "");
+    setEditServiceMinutes(wp.serviceMinutes ?? "");
+    setEditLoad(wp.load || {});
   }, [wp]);
 
+  const windowInvalid = !!editEarliest && !!editLatest && parseTime(editEarliest) > parseTime(editLatest);
+
   const handleSave = async () => {
     setSaving(true);
-    await onUpdate(wp.id, { name: editName, note: editNote, color: editColor });
+    const timeWindow = editEarliest || editLatest ? { earliest: editEarliest || null, latest: editLatest || null } : null;
+    const serviceMinutes = editServiceMinutes === "" ? null : Math.max(0, Number(editServiceMinutes));
+    await onUpdate(wp.id, { name: editName, note: editNote, color: editColor, timeWindow, serviceMinutes, load: editLoad });
     setSaving(false);
     onClose();
   };
@@ -155,91 +336,116 @@ function WaypointDetailDialog({ wp, idx, isOpen, onClose, onUpdate, onDelete })
             >
               {status === "completed" ? "✓" : status === "failed" ? "✗" : status === "skipped" ? "→" : idx + 1}
             </div>
-            <span>Étape {idx + 1}</span>
+            <span>{t("stop.title", { n: idx + 1 })}</span>
           </DialogTitle>
         </DialogHeader>
         
         <div className="space-y-4 py-2">
-          {/* Name */}
-          <div>
-            <label className="text-sm font-medium text-slate-600 mb-1 block">Nom</label>
-            <Input 
-              value={editName} 
-              onChange={(e) => setEditName(e.target.value)}
-              placeholder="Nom de l'étape"
-            />
-            <p className="text-xs text-slate-400 mt-1 line-clamp-2">{wp.address}</p>
-          </div>
+          <fieldset disabled={!canEdit} className="space-y-4" data-testid="waypoint-edit-fields">
+            {/* Name */}
+            <div>
+              <label className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block">{t("stop.name")}</label>
+              <Input 
+                value={editName} 
+                onChange={(e) => setEditName(e.target.value)}
+                placeholder={t("stop.namePlaceholder")}
+              />
+              <p className="text-xs text-slate-400 mt-1 line-clamp-2">{wp.address}</p>
+            </div>
 
-          {/* Note */}
-          <div>
-            <label className="text-sm font-medium text-slate-600 mb-1 block flex items-center gap-2">
-              <StickyNote className="w-4 h-4" />
-              Note
-            </label>
-            <Textarea 
-              value={editNote} 
-              onChange={(e) => setEditNote(e.target.value)}
-              placeholder="Code porte, instructions..."
-              rows={2}
-              className="resize-none"
-            />
-          </div>
+            {/* Note */}
+            <div>
+              <label className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block flex items-center gap-2">
+                <StickyNote className="w-4 h-4" />
+                {t("stop.note")}
+              </label>
+              <Textarea 
+                value={editNote} 
+                onChange={(e) => setEditNote(e.target.value)}
+                placeholder={t("stop.notePlaceholder")}
+                rows={2}
+                className="resize-none"
+              />
+            </div>
 
-          {/* Color picker */}
-          <div>
-            <label className="text-sm font-medium text-slate-600 mb-2 block flex items-center gap-2">
-              <Palette className="w-4 h-4" />
-              Couleur
-            </label>
-            <div className="flex flex-wrap gap-2">
-              {Object.entries(WAYPOINT_COLORS).map(([key, { bg, label }]) => (
-                <button
-                  key={key}
-                  onClick={() => setEditColor(key)}
-                  className={`w-8 h-8 rounded-full border-2 transition-all ${
-                    editColor === key ? "border-slate-900 scale-110 ring-2 ring-offset-1 ring-slate-400" : "border-transparent hover:scale-105"
-                  }`}
-                  style={{ backgroundColor: bg }}
-                  title={label}
+            {/* Time window */}
+            <div>
+              <label className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block flex items-center gap-2">
+                <Clock className="w-4 h-4" />
+                {t("stop.timeWindow")}
+              </label>
+              <div className="flex items-center gap-2">
+                <Input
+                  type="time"
+                  value={editEarliest}
+                  onChange={(e) => setEditEarliest(e.target.value)}
+                  aria-label={t("importStops.fields.earliest")}
+                  data-testid="time-window-earliest"
                 />
-              ))}
+                <span className="text-slate-400 text-sm">–</span>
+                <Input
+                  type="time"
+                  value={editLatest}
+                  onChange={(e) => setEditLatest(e.target.value)}
+                  aria-label={t("importStops.fields.latest")}
+                  data-testid="time-window-latest"
+                />
+              </div>
+              {windowInvalid && <p className="text-xs text-red-500 mt-1">{t("stop.windowInvalid")}</p>}
             </div>
-          </div>
+
+            {/* Load */}
+            <div>
+              <label className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block flex items-center gap-2">
+                <Package className="w-4 h-4" />
+                {t("stop.load")}
+              </label>
+              <LoadInputs value={editLoad} onChange={setEditLoad} testIdPrefix="waypoint-load" />
+            </div>
+
+            {/* Service time */}
+            <div>
+              <label htmlFor="service-minutes" className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-1 block">
+                {t("stop.serviceMinutes")}
+              </label>
+              <Input
+                id="service-minutes"
+                type="number"
+                min="0"
+                value={editServiceMinutes}
+                onChange={(e) => setEditServiceMinutes(e.target.value)}
+                placeholder={t("stop.serviceDefault", { minutes: defaultServiceMinutes ?? DEFAULT_SERVICE_MINUTES })}
+                data-testid="service-minutes-input"
+              />
+            </div>
+
+            {/* Color picker */}
+            <div>
+              <label className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-2 block flex items-center gap-2">
+                <Palette className="w-4 h-4" />
+                {t("stop.color")}
+              </label>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(WAYPOINT_COLORS).map(([key, { bg, label }]) => (
+                  <button
+                    key={key}
+                    onClick={() => setEditColor(key)}
+                    className={`w-8 h-8 rounded-full border-2 transition-all ${
+                      editColor === key ? "border-slate-900 scale-110 ring-2 ring-offset-1 ring-slate-400" : "border-transparent hover:scale-105"
+                    }`}
+                    style={{ backgroundColor: bg }}
+                    title={label}
+                  />
+                ))}
+              </div>
+            </div>
+          </fieldset>
 
           {/* Status buttons */}
           <div>
-            <label className="text-sm font-medium text-slate-600 mb-2 block">Statut</label>
+            <label className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-2 block">{t("stop.status")}</label>
             {status === "pending" ? (
-              <div className="grid grid-cols-3 gap-2">
-                <Button
-                  onClick={() => handleStatusChange("completed")}
-                  className="bg-green-500 hover:bg-green-600 text-white h-10"
-                  disabled={saving}
-                >
-                  <Check className="w-4 h-4 mr-1" />
-                  <span className="hidden sm:inline">Valider</span>
-                  <span className="sm:hidden">OK</span>
-                </Button>
-                <Button
-                  onClick={() => handleStatusChange("failed")}
-                  className="bg-red-500 hover:bg-red-600 text-white h-10"
-                  disabled={saving}
-                >
-                  <XCircle className="w-4 h-4 mr-1" />
-                  <span className="hidden sm:inline">Échec</span>
-                  <span className="sm:hidden">KO</span>
-                </Button>
-                <Button
-                  onClick={() => handleStatusChange("skipped")}
-                  className="bg-slate-400 hover:bg-slate-500 text-white h-10"
-                  disabled={saving}
-                >
-                  <SkipForward className="w-4 h-4 mr-1" />
-                  <span className="hidden sm:inline">Ignorer</span>
-                  <span className="sm:hidden">Skip</span>
-                </Button>
-              </div>
+              <StatusButtons onStatusChange={handleStatusChange} disabled={saving} />
             ) : (
               <div className="flex items-center justify-between">
                 <div 
@@ -258,31 +464,49 @@ function WaypointDetailDialog({ wp, idx, isOpen, onClose, onUpdate, onDelete })
                   disabled={saving}
                 >
                   <Undo2 className="w-3 h-3 mr-1" />
-                  Réinitialiser
+                  {t("stop.reset")}
                 </Button>
               </div>
             )}
+            {wp.failure && (
+              <div className="mt-2 text-xs text-slate-600 dark:text-slate-300 space-y-0.5" data-testid="failure-summary">
+                <div>{t(status === "failed" ? "stop.failureReason" : "stop.previousFailure", { failure: describeFailure(wp.failure) })}</div>
+                {wp.failure.movedTo && <div className="text-slate-500 dark:text-slate-400">{t("stop.movedTo", { name: wp.failure.movedTo.routeName })}</div>}
+                {wp.attempts?.length > 1 && <div className="text-slate-500 dark:text-slate-400">{t("stop.attempts", { count: wp.attempts.length })}</div>}
+              </div>
+            )}
           </div>
+
+          {wp.proof && (
+            <div>
+              <label className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-2 block">{t("proof.title")}</label>
+              <ProofOfDeliveryView proof={wp.proof} />
+            </div>
+          )}
         </div>
 
         <DialogFooter className="flex flex-col sm:flex-row gap-2 mt-2">
-          <Button
-            variant="destructive"
-            onClick={() => { onDelete(wp.id); onClose(); }}
-            className="sm:mr-auto"
-            size="sm"
-          >
-            <Trash2 className="w-4 h-4 mr-1" />
-            Supprimer
-          </Button>
-          <div className="flex gap-2 w-full sm:w-auto">
-            <Button variant="outline" onClick={onClose} className="flex-1 sm:flex-initial">
-              Annuler
+          {canDelete && (
+            <Button
+              variant="destructive"
+              onClick={() => { onDelete(wp.id); onClose(); }}
+              className="sm:mr-auto"
+              size="sm"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              {t("common.delete")}
             </Button>
-            <Button onClick={handleSave} disabled={saving} className="flex-1 sm:flex-initial">
-              {saving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
-              Enregistrer
+          )}
+          <div className="flex gap-2 w-full sm:w-auto sm:ml-auto">
+            <Button variant="outline" onClick={onClose} className="flex-1 sm:flex-initial">
+              {canEdit ? t("common.cancel") : t("common.close")}
             </Button>
+            {canEdit && (
+              <Button onClick={handleSave} disabled={saving || windowInvalid} className="flex-1 sm:flex-initial">
+                {saving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                {t("common.save")}
+              </Button>
+            )}
           </div>
         </DialogFooter>
       </DialogContent>
@@ -290,8 +514,43 @@ function WaypointDetailDialog({ wp, idx, isOpen, onClose, onUpdate, onDelete })
   );
 }
 
+// Shown when the driver enters the radius around the current stop
+function ArrivalPrompt({ wp, idx, distance, onStatusChange, onDismiss }) {
+  const [saving, setSaving] = useState(false);
+
+  const handleStatusChange = async (status) => {
+    setSaving(true);
+    await onStatusChange(wp.id, { status });
+    setSaving(false);
+    onDismiss();
+  };
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onDismiss()}>
+      <DialogContent className="sm:max-w-md max-w-[95vw]" data-testid="arrival-prompt">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <MapPin className="w-5 h-5 text-blue-500" />
+            {t("arrival.title")}
+          </DialogTitle>
+          <DialogDescription>
+            {t("arrival.description", { n: idx + 1, name: wp.name, distance: formatDistance(distance) })}
+          </DialogDescription>
+        </DialogHeader>
+        {wp.address && wp.address !== wp.name && <p className="text-sm text-slate-600 dark:text-slate-300">{wp.address}</p>}
+        {wp.note && <p className="text-sm text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-950 rounded-md px-3 py-2">{wp.note}</p>}
+        <StatusButtons onStatusChange={handleStatusChange} disabled={saving} />
+        <Button variant="ghost" onClick={onDismiss} className="w-full" data-testid="arrival-dismiss">
+          {t("arrival.dismiss")}
+        </Button>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
 // Sortable Waypoint Item
-function SortableWaypointItem({ wp, idx, isCurrentStop, onClick }) {
+// `changedBy` is set (to a name, possibly empty) while a change made by someone else is highlighted
+function SortableWaypointItem({ wp, idx, isCurrentStop, eta, onBoard, isSaving, changedBy, canReorder, onClick }) {
   const status = wp.status || "pending";
   const waypointColor = WAYPOINT_COLORS[wp.color || "blue"]?.bg || WAYPOINT_COLORS.blue.bg;
   const displayColor = STATUS_COLORS[status] || waypointColor;
@@ -303,7 +562,7 @@ function SortableWaypointItem({ wp, idx, isCurrentStop, onClick }) {
     transform,
     transition,
     isDragging,
-  } = useSortable({ id: wp.id });
+  } = useSortable({ id: wp.id, disabled: !canReorder });
 
   const style = {
     transform: CSS.Transform.toString(transform),
@@ -323,16 +582,20 @@ function SortableWaypointItem({ wp, idx, isCurrentStop, onClick }) {
     <div
       ref={setNodeRef}
       style={style}
-      className={`waypoint-item-compact ${isCurrentStop ? "ring-2 ring-blue-500 ring-offset-1" : ""} ${status !== "pending" ? "opacity-60" : ""}`}
+      className={`waypoint-item-compact ${changedBy !== undefined ? "remote-change" : isCurrentStop ? "ring-2 ring-blue-500 ring-offset-1" : ""} ${status !== "pending" ? "opacity-60" : ""}`}
+      title={changedBy !== undefined ? t("stop.changedBy", { name: changedBy || t("stop.someoneElse") }) : undefined}
+      data-remote-change={changedBy !== undefined || undefined}
       data-testid={`waypoint-${wp.id}`}
     >
-      <div
-        {...attributes}
-        {...listeners}
-        className="cursor-grab active:cursor-grabbing p-1 hover:bg-slate-200 rounded flex-shrink-0 touch-none"
-      >
-        <GripVertical className="w-4 h-4 text-slate-400" />
-      </div>
+      {canReorder && (
+        <div
+          {...attributes}
+          {...listeners}
+          className="cursor-grab active:cursor-grabbing p-1 hover:bg-slate-200 dark:hover:bg-slate-700 rounded flex-shrink-0 touch-none"
+        >
+          <GripVertical className="w-4 h-4 text-slate-400" />
+        </div>
+      )}
       
       <div 
         className="w-7 h-7 rounded-full flex items-center justify-center text-white font-bold text-xs flex-shrink-0" 
@@ -347,23 +610,48 @@ function SortableWaypointItem({ wp, idx, isCurrentStop, onClick }) {
       >
         <div className="font-medium text-sm truncate flex items-center gap-1">
           <span className="truncate">{wp.name}</span>
+          {isSaving && <Loader2 className="w-3 h-3 text-slate-400 animate-spin flex-shrink-0" data-testid={`waypoint-saving-${wp.id}`} />}
           {isCurrentStop && (
-            <span className="text-[10px] bg-blue-100 text-blue-700 px-1.5 py-0.5 rounded-full flex-shrink-0 whitespace-nowrap">
-              En cours
+            <span className="text-[10px] bg-blue-100 dark:bg-blue-950 text-blue-700 dark:text-blue-300 px-1.5 py-0.5 rounded-full flex-shrink-0 whitespace-nowrap">
+              {t("stop.current")}
             </span>
           )}
           {wp.note && <StickyNote className="w-3 h-3 text-amber-500 flex-shrink-0" />}
+          {status === "pending" && wp.attempts?.length > 0 && (
+            <span className="text-[10px] bg-red-50 dark:bg-red-950 text-red-600 px-1.5 py-0.5 rounded-full flex-shrink-0 whitespace-nowrap" title={describeFailure(wp.failure)}>
+              {t("manifest.attempt", { n: wp.attempts.length + 1 })}
+            </span>
+          )}
+          {onBoard && (
+            <span className="ml-auto text-[10px] text-slate-400 flex items-center gap-0.5 flex-shrink-0" title={t("stop.onBoard")}>
+              <Package className="w-3 h-3" />
+              {formatLoadValue(onBoard.parcels, "parcels")}
+            </span>
+          )}
         </div>
-        {status !== "pending" && (
-          <div className="text-xs" style={{ color: displayColor }}>
+        {status !== "pending" ? (
+          <div className="text-xs truncate" style={{ color: displayColor }}>
             {STATUS_LABELS[status]}
+            {status === "failed" && wp.failure && ` · ${wp.failure.reasonLabel}`}
+          </div>
+        ) : eta && (
+          <div className={`text-xs flex items-center gap-1 ${eta.lateness > 0 ? "text-red-500" : "text-slate-500 dark:text-slate-400"}`} data-testid={`eta-${wp.id}`}>
+            {eta.lateness > 0 ? <AlertTriangle className="w-3 h-3 flex-shrink-0" /> : <Clock className="w-3 h-3 flex-shrink-0" />}
+            <span>{formatTime(eta.arrival)}</span>
+            {(wp.timeWindow?.earliest || wp.timeWindow?.latest) && (
+              <span className="text-slate-400 truncate">
+                ({formatWindowTime(wp.timeWindow.earliest)}–{formatWindowTime(wp.timeWindow.latest)})
+              </span>
+            )}
+            {eta.lateness > 0 && <span className="whitespace-nowrap">+{formatDuration(eta.lateness)}</span>}
+            {eta.wait > 0 && <span className="text-amber-600 whitespace-nowrap">{t("stop.wait", { duration: formatDuration(eta.wait) })}</span>}
           </div>
         )}
       </div>
       
       <button
         onClick={onClick}
-        className="p-1.5 hover:bg-slate-200 rounded flex-shrink-0"
+        className="p-1.5 hover:bg-slate-200 dark:hover:bg-slate-700 rounded flex-shrink-0"
       >
         <Pencil className="w-4 h-4 text-slate-400" />
       </button>
@@ -372,30 +660,178 @@ function SortableWaypointItem({ wp, idx, isCurrentStop, onClick }) {
 }
 
 export default function RouteOptimizer() {
+  const { user, can, logout } = useAuth();
+  const canEdit = can("editRoutes");
+  const canDelete = can("deleteRoutes");
   const [routes, setRoutes] = useState([]);
   const [selectedRoute, setSelectedRoute] = useState(null);
   const [loading, setLoading] = useState(false);
   const [searchAddress, setSearchAddress] = useState("");
   const [searchLoading, setSearchLoading] = useState(false);
   const [newRouteName, setNewRouteName] = useState("");
-  const [isNewRouteDialogOpen, setIsNewRouteDialogOpen] = useState(false);
   const [addressType, setAddressType] = useState("waypoint");
   const [currentWaypointIndex, setCurrentWaypointIndex] = useState(0);
-  const [selectedWaypoint, setSelectedWaypoint] = useState(null);
-  const [selectedWaypointIndex, setSelectedWaypointIndex] = useState(0);
+  const [navApp, setNavApp] = useState(getPreferredNavApp);
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [selectedSuggestionIndex, setSelectedSuggestionIndex] = useState(-1);
+  const [localProposal, setLocalProposal] = useState(null);
+  const [isSplitDialogOpen, setIsSplitDialogOpen] = useState(false);
+  const [splitPreview, setSplitPreview] = useState(null);
+  const [isImportDialogOpen, setIsImportDialogOpen] = useState(false);
+  const [geoImport, setGeoImport] = useState(null);
+  const [isOfflineTilesOpen, setIsOfflineTilesOpen] = useState(false);
+  const [isTracking, setIsTracking] = useState(false);
+  const [arrivalStopId, setArrivalStopId] = useState(null);
+  const [proofStopId, setProofStopId] = useState(null);
+  const [failureStopId, setFailureStopId] = useState(null);
+  const promptedStopsRef = useRef(new Set());
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const [savingStops, setSavingStops] = useState({});
+  const [drivers, setDrivers] = useState([]);
+  const inFlightRef = useRef(new Set());
+  const commandActionsRef = useRef({});
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
   const suggestionsRef = useRef(null);
+  const geoFileInputRef = useRef(null);
   const inputRef = useRef(null);
   const debounceRef = useRef(null);
 
+  // The URL holds the selection so it survives a reload and can be shared:
+  // /routes/:routeId, /routes/:routeId/stops/:waypointId and /routes/new
+  const navigate = useNavigate();
+  const params = useParams();
+  const isCreatingRoute = useMatch("/routes/new") !== null;
+  const selectedWaypointIndex = params.waypointId && selectedRoute?.id === params.routeId
+    ? (selectedRoute.waypoints || []).findIndex((wp) => wp.id === params.waypointId)
+    : -1;
+  const selectedWaypoint = selectedRoute?.waypoints?.[selectedWaypointIndex] || null;
+
+  const selectRoute = useCallback((route, options) => {
+    setSelectedRoute(route);
+    navigate(route ? `/routes/${route.id}` : "/", options);
+  }, [navigate]);
+
+  const openStop = (wp) => navigate(`/routes/${selectedRoute.id}/stops/${wp.id}`);
+  const closeStop = () => navigate(`/routes/${selectedRoute.id}`);
+
   const sensors = useSensors(
     useSensor(PointerSensor, { activationConstraint: { distance: 8 } }),
     useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
   );
 
-  useEffect(() => { fetchRoutes(); }, []);
+  // Functional updates, so a change never overwrites one made while it was in flight
+  const editRoute = useCallback((routeId, edit) => {
+    setSelectedRoute((prev) => (prev?.id === routeId ? edit(prev) : prev));
+    setRoutes((prev) => prev.map((r) => (r.id === routeId ? edit(r) : r)));
+  }, []);
+
+  // Server copy of a route, or our local one while offline
+  const replaceRoute = useCallback((route) => editRoute(route.id, () => route), [editRoute]);
+
+  // Stops with a change on its way to the server, as a count per stop id
+  const markSaving = (stopIds, delta) => setSavingStops((prev) => {
+    const next = { ...prev };
+    stopIds.forEach((id) => {
+      next[id] = (next[id] || 0) + delta;
+      if (next[id] <= 0) delete next[id];
+    });
+    return next;
+  });
+
+  const { isOnline, pendingCount, syncing, conflict, queueMutation, resolveConflict, syncNow } = useOfflineSync({
+    onRouteSynced: replaceRoute,
+  });
+  const { position, error: gpsError, trail, clearTrail } = useDriverTracking(isTracking, selectedRoute?.id);
+  const { theme, setThemePlace } = useThemeMode();
+  const nightMap = theme === "dark";
+
+  // The automatic theme follows the sun where the driver is, or else where
+  // the route starts
+  const startCoordinates = selectedRoute?.start?.coordinates;
+  useEffect(() => {
+    setThemePlace(position || startCoordinates);
+  }, [position, startCoordinates, setThemePlace]);
+
+  // Someone else saved a route: their copy replaces ours, with our changes
+  // still on their way on top. Behind queued changes it is left to the
+  // replay, which checks those against the server anyway. A route we do not
+  // have yet was just created, or just given to this driver; one this user
+  // may no longer see was given to another driver and leaves the list.
+  const realtime = useRealtime(selectedRoute, {
+    onRoute: (route) => {
+      const known = routes.some((r) => r.id === route.id);
+      if (!canSeeRoute(user, route)) {
+        if (!known) return;
+        setRoutes((prev) => prev.filter((r) => r.id !== route.id));
+        if (selectedRoute?.id !== route.id) return;
+        selectRoute(null, { replace: true });
+        toast(t("presence.routeReassigned"));
+        return;
+      }
+      if (!known) {
+        setRoutes((prev) => (prev.some((r) => r.id === route.id) ? prev : [...prev, route]));
+        return;
+      }
+      if (pendingCount > 0) return;
+      replaceRoute([...inFlightRef.current].reduce(applyMutation, route));
+    },
+    onRouteDeleted: (routeId, by) => {
+      setRoutes((prev) => prev.filter((r) => r.id !== routeId));
+      if (selectedRoute?.id !== routeId) return;
+      selectRoute(null, { replace: true });
+      toast(t("presence.routeDeleted", { name: by?.name || t("presence.someone") }));
+    },
+  });
+  const routeHistory = useRouteHistory(selectedRoute?.id, (step, route) => applyHistoryStep(step, route));
+  const { undo, redo } = routeHistory;
+
+  // Keyboard shortcuts; only the palette one works while typing in a field.
+  // Reads the page's actions through a ref so the listener is added once.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const id = matchShortcut(event);
+      if (!id) return;
+      const target = event.target;
+      const typing = target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+      const action = commandActionsRef.current[id];
+      if (!action || (typing && id !== "palette")) return;
+      event.preventDefault();
+      action();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  // Follows the URL: back / forward, shared links, and the first route by default
+  useEffect(() => {
+    if (!params.routeId) {
+      if (isCreatingRoute) return;
+      if (routes.length > 0) navigate(`/routes/${routes[0].id}`, { replace: true });
+      else setSelectedRoute(null);
+      return;
+    }
+    if (selectedRoute?.id === params.routeId || routes.length === 0) return;
+    const route = routes.find((r) => r.id === params.routeId);
+    if (route) {
+      setSelectedRoute(route);
+    } else {
+      toast.error(t("manifest.notFound"));
+      navigate(`/routes/${routes[0].id}`, { replace: true });
+    }
+  }, [params.routeId, routes, selectedRoute?.id, isCreatingRoute, navigate]);
+
+  // A stop link that no longer matches (deleted, moved) falls back to its route
+  useEffect(() => {
+    if (params.waypointId && selectedRoute?.id === params.routeId && selectedWaypointIndex < 0) {
+      navigate(`/routes/${params.routeId}`, { replace: true });
+    }
+  }, [params.waypointId, params.routeId, selectedRoute?.id, selectedWaypointIndex, navigate]);
+
+  // The cache mirrors what is on screen, offline edits included
+  useEffect(() => {
+    if (routes.length > 0) cacheRoutes(routes).catch(() => {});
+  }, [routes]);
 
   useEffect(() => {
     if (selectedRoute?.waypoints) {
@@ -404,6 +840,8 @@ export default function RouteOptimizer() {
       );
       setCurrentWaypointIndex(firstPending >= 0 ? firstPending : 0);
     }
+    // A split preview only holds for the stop list it was computed from
+    setSplitPreview(null);
   }, [selectedRoute?.waypoints]);
 
   useEffect(() => {
@@ -417,20 +855,31 @@ export default function RouteOptimizer() {
     return () => document.removeEventListener("mousedown", handleClickOutside);
   }, []);
 
-  const fetchRoutes = async () => {
+  // The server already filters a driver's routes; the cache may hold someone else's
+  const fetchRoutes = useCallback(async () => {
     try {
-      const response = await fetch(`${API}/routes`);
-      if (response.ok) {
-        const data = await response.json();
-        setRoutes(data);
-        if (data.length > 0 && !selectedRoute) {
-          setSelectedRoute(data[0]);
-        }
-      }
+      setRoutes((await api.listRoutes()).filter((route) => canSeeRoute(user, route)));
     } catch (error) {
       console.error("Error fetching routes:", error);
+      try {
+        const cached = (await getCachedRoutes()).filter((route) => canSeeRoute(user, route));
+        if (cached.length > 0) {
+          setRoutes(cached);
+          toast(t("route.cachedOffline"));
+        }
+      } catch (cacheError) {
+        console.error("Error reading cache:", cacheError);
+      }
     }
-  };
+  }, [user]);
+
+  useEffect(() => { fetchRoutes(); }, [fetchRoutes]);
+
+  // Who routes can be assigned to
+  useEffect(() => {
+    if (!canEdit) return;
+    api.listDrivers().then(setDrivers).catch((error) => console.error("Error fetching drivers:", error));
+  }, [canEdit]);
 
   const fetchSuggestions = async (text) => {
     if (!text || text.length < 3) {
@@ -439,13 +888,10 @@ export default function RouteOptimizer() {
       return;
     }
     try {
-      const response = await fetch(`${API}/autocomplete?text=${encodeURIComponent(text)}`);
-      if (response.ok) {
-        const data = await response.json();
-        setSuggestions(data.suggestions || []);
-        setShowSuggestions(data.suggestions?.length > 0);
-        setSelectedSuggestionIndex(-1);
-      }
+      const found = await api.autocomplete(text);
+      setSuggestions(found);
+      setShowSuggestions(found.length > 0);
+      setSelectedSuggestionIndex(-1);
     } catch (error) {
       console.error("Autocomplete error:", error);
     }
@@ -490,219 +936,314 @@ export default function RouteOptimizer() {
     setShowSuggestions(false);
     if (!selectedRoute) return;
 
-    try {
-      setLoading(true);
-      const waypointData = {
-        id: `wp-${Date.now()}`,
-        name: suggestion.name,
-        address: suggestion.address,
-        coordinates: suggestion.coordinates,
-        status: "pending",
-        color: "blue",
-      };
-
-      let updatedRoute;
-      if (addressType === "start") {
-        const response = await fetch(`${API}/routes/${selectedRoute.id}`, {
-          method: "PUT",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ start: waypointData }),
-        });
-        updatedRoute = await response.json();
-      } else if (addressType === "end") {
-        const response = await fetch(`${API}/routes/${selectedRoute.id}`, {
-          method: "PUT",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ end: waypointData }),
-        });
-        updatedRoute = await response.json();
-      } else {
-        const response = await fetch(`${API}/routes/${selectedRoute.id}/waypoints`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(waypointData),
-        });
-        updatedRoute = await response.json();
-      }
-
-      setSelectedRoute(updatedRoute);
-      setRoutes(routes.map((r) => (r.id === updatedRoute.id ? updatedRoute : r)));
+    const saved = await addAddress({
+      id: `wp-${Date.now()}`,
+      name: suggestion.name,
+      address: suggestion.address,
+      coordinates: suggestion.coordinates,
+      status: "pending",
+      color: "blue",
+    });
+    if (saved) {
       setSearchAddress("");
-      toast.success("Adresse ajoutée");
-    } catch (error) {
-      toast.error("Erreur lors de l'ajout");
-    } finally {
-      setLoading(false);
+      if (saved === "saved") toast.success(t("route.addressAdded"));
     }
   };
 
   const createNewRoute = async () => {
     if (!newRouteName.trim()) {
-      toast.error("Veuillez entrer un nom");
+      toast.error(t("route.nameRequired"));
       return;
     }
     try {
       setLoading(true);
-      const response = await fetch(`${API}/routes`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          name: newRouteName,
-          start: { name: "Départ", address: "", coordinates: { longitude: 2.3522, latitude: 48.8566 } },
-          end: { name: "Arrivée", address: "", coordinates: { longitude: 2.3522, latitude: 48.8566 } },
-          waypoints: [],
-          profile: "driving-car",
-        }),
+      const newRoute = await api.createRoute({
+        name: newRouteName,
+        start: { name: t("route.start"), address: "", coordinates: { longitude: 2.3522, latitude: 48.8566 } },
+        end: { name: t("route.end"), address: "", coordinates: { longitude: 2.3522, latitude: 48.8566 } },
+        waypoints: [],
+        profile: "driving-car",
       });
-      if (response.ok) {
-        const newRoute = await response.json();
-        setRoutes([...routes, newRoute]);
-        setSelectedRoute(newRoute);
-        setNewRouteName("");
-        setIsNewRouteDialogOpen(false);
-        toast.success("Itinéraire créé");
-      }
+      setRoutes((prev) => [...prev, newRoute]);
+      publishRoute(newRoute);
+      setNewRouteName("");
+      selectRoute(newRoute, { replace: true });
+      toast.success(t("route.created"));
     } catch (error) {
-      toast.error("Erreur");
+      toast.error(api.errorMessage(error));
     } finally {
       setLoading(false);
     }
   };
 
+  const openGeoFile = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = parseGeoFile(await file.text(), file.name);
+      if (parsed.features.length === 0) {
+        toast.error(t("route.noPointsInFile"));
+        return;
+      }
+      setGeoImport({ parsed, filename: file.name });
+    } catch (error) {
+      toast.error(error.message || t("route.unreadableFile"));
+    }
+  };
+
+  const handleSidebarDragOver = (e) => {
+    if (!canEdit || !Array.from(e.dataTransfer.types).includes("Files")) return;
+    e.preventDefault();
+    setIsDraggingFile(true);
+  };
+
+  const handleSidebarDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    openGeoFile(e.dataTransfer.files?.[0]);
+  };
+
+  const createRouteFromFile = async ({ name, start, end, waypoints }) => {
+    try {
+      const newRoute = await api.createRoute({ name, start, end, waypoints, profile: "driving-car" });
+      setRoutes((prev) => [...prev, newRoute]);
+      publishRoute(newRoute);
+      selectRoute(newRoute);
+      setGeoImport(null);
+      toast.success(t("route.created"));
+    } catch (error) {
+      toast.error(api.errorMessage(error));
+    }
+  };
+
   const deleteRoute = async (routeId) => {
     try {
-      const response = await fetch(`${API}/routes/${routeId}`, { method: "DELETE" });
-      if (response.ok) {
-        const newRoutes = routes.filter((r) => r.id !== routeId);
-        setRoutes(newRoutes);
-        if (selectedRoute?.id === routeId) {
-          setSelectedRoute(newRoutes.length > 0 ? newRoutes[0] : null);
-        }
-        toast.success("Supprimé");
+      await api.deleteRoute(routeId);
+      publishRouteDeleted(routeId);
+      setRoutes((prev) => prev.filter((r) => r.id !== routeId));
+      if (selectedRoute?.id === routeId) {
+        const next = routes.find((r) => r.id !== routeId);
+        selectRoute(next || null, { replace: true });
       }
+      toast.success(t("route.deleted"));
     } catch (error) {
-      toast.error("Erreur");
+      toast.error(api.errorMessage(error));
     }
   };
 
+  // Null when the address is not found, undefined when the lookup itself failed
   const geocodeAddress = async (address) => {
     if (!address.trim()) return null;
     setSearchLoading(true);
     try {
-      const response = await fetch(`${API}/geocode?address=${encodeURIComponent(address)}`);
-      if (response.ok) return await response.json();
-      return null;
+      return await api.geocode(address);
     } catch (error) {
-      return null;
+      toast.error(api.errorMessage(error));
+      return undefined;
     } finally {
       setSearchLoading(false);
     }
   };
 
+  // Posts stops one by one; returns how many were added before any failure
+  const importWaypoints = async (waypoints, onProgress) => {
+    if (!selectedRoute) return 0;
+    let updatedRoute = null;
+    let imported = 0;
+    try {
+      for (const waypoint of waypoints) {
+        updatedRoute = await api.addWaypoint(selectedRoute.id, waypoint);
+        imported += 1;
+        onProgress(imported);
+      }
+      toast.success(t("route.imported", { count: imported }));
+    } catch (error) {
+      toast.error(t("route.importFailed", { count: imported }), { description: api.errorMessage(error, null) });
+    }
+    if (updatedRoute) {
+      routeHistory.record(selectedRoute, updatedRoute);
+      replaceRoute(updatedRoute);
+      publishRoute(updatedRoute);
+    }
+    return imported;
+  };
+
   const handleAddAddress = async () => {
     if (!selectedRoute || !searchAddress.trim()) return;
     const geocoded = await geocodeAddress(searchAddress);
-    if (!geocoded) {
-      toast.error("Adresse non trouvée");
-      return;
+    if (geocoded === null) toast.error(t("importStops.notFound"));
+    if (!geocoded) return;
+
+    const saved = await addAddress({
+      id: `wp-${Date.now()}`,
+      name: geocoded.name,
+      address: geocoded.address,
+      coordinates: geocoded.coordinates,
+      status: "pending",
+      color: "blue",
+    });
+    if (saved) {
+      setSearchAddress("");
+      setShowSuggestions(false);
+      if (saved === "saved") toast.success(t("route.addressAdded"));
     }
-    try {
-      setLoading(true);
-      let updatedRoute;
-      const data = {
-        id: `wp-${Date.now()}`,
-        name: geocoded.name,
-        address: geocoded.address,
-        coordinates: geocoded.coordinates,
-        status: "pending",
-        color: "blue",
-      };
-
-      if (addressType === "start") {
-        const response = await fetch(`${API}/routes/${selectedRoute.id}`, {
-          method: "PUT",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ start: data }),
-        });
-        updatedRoute = await response.json();
-      } else if (addressType === "end") {
-        const response = await fetch(`${API}/routes/${selectedRoute.id}`, {
-          method: "PUT",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ end: data }),
-        });
-        updatedRoute = await response.json();
-      } else {
-        const response = await fetch(`${API}/routes/${selectedRoute.id}/waypoints`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(data),
-        });
-        updatedRoute = await response.json();
+  };
+
+  // Every edit of a route or its stops goes through here. The change shows at
+  // once, with the stops it touches marked as saving, then gives way to the
+  // server's copy. Offline, or behind changes still queued (so the server sees
+  // them in order), it goes to the outbox instead. A failed change is taken
+  // back on its own, leaving edits made meanwhile in place.
+  // Resolves to "saved", "queued", or false when the change was dropped.
+  const commitMutation = async (mutation, send, { queueable = true, stopIds = [] } = {}) => {
+    const before = selectedRoute;
+    const offline = !isOnline || pendingCount > 0;
+    if (offline && !queueable) {
+      toast.error(t("route.unavailableOffline"));
+      return false;
+    }
+    editRoute(mutation.routeId, (route) => applyMutation(route, mutation));
+    const rollBack = () => editRoute(mutation.routeId, (route) => revertMutation(route, mutation, before));
+
+    const queue = async () => {
+      try {
+        await queueMutation(mutation);
+        routeHistory.record(before, applyMutation(before, mutation));
+        toast(t("route.savedOffline"));
+        return "queued";
+      } catch (error) {
+        rollBack();
+        toast.error(t("api.error"));
+        return false;
       }
+    };
+    if (offline) return queue();
 
-      setSelectedRoute(updatedRoute);
-      setRoutes(routes.map((r) => (r.id === updatedRoute.id ? updatedRoute : r)));
-      setSearchAddress("");
-      setShowSuggestions(false);
-      toast.success("Adresse ajoutée");
+    inFlightRef.current.add(mutation);
+    markSaving(stopIds, 1);
+    try {
+      const serverRoute = await send();
+      inFlightRef.current.delete(mutation);
+      routeHistory.record(before, serverRoute, { oneCall: true });
+      // Changes still on their way stay visible on top of the server's copy
+      replaceRoute([...inFlightRef.current].reduce(applyMutation, serverRoute));
+      publishRoute(serverRoute);
+      return "saved";
     } catch (error) {
-      toast.error("Erreur");
+      inFlightRef.current.delete(mutation);
+      if (queueable && isNetworkError(error)) return queue();
+      rollBack();
+      toast.error(api.errorMessage(error));
+      return false;
     } finally {
-      setLoading(false);
+      markSaving(stopIds, -1);
     }
   };
 
+  // Start and end replace the route's own; anything else becomes a new stop
+  const addAddress = (data) => {
+    if (addressType !== "waypoint") {
+      const updates = { [addressType]: data };
+      return commitMutation(routeMutation(selectedRoute, updates), () => api.updateRoute(selectedRoute.id, updates));
+    }
+    // The outbox only replays edits of existing stops, so adding needs the server
+    return commitMutation(
+      routeMutation(selectedRoute, { waypoints: [...selectedRoute.waypoints, data] }),
+      () => api.addWaypoint(selectedRoute.id, data),
+      { queueable: false, stopIds: [data.id] }
+    );
+  };
+
   const removeWaypoint = async (waypointId) => {
     if (!selectedRoute) return;
-    try {
-      const response = await fetch(`${API}/routes/${selectedRoute.id}/waypoints/${waypointId}`, { method: "DELETE" });
-      if (response.ok) {
-        const updatedRoute = await response.json();
-        setSelectedRoute(updatedRoute);
-        setRoutes(routes.map((r) => (r.id === updatedRoute.id ? updatedRoute : r)));
-        toast.success("Supprimé");
-      }
-    } catch (error) {
-      toast.error("Erreur");
-    }
+    const saved = await commitMutation(
+      routeMutation(selectedRoute, { waypoints: selectedRoute.waypoints.filter((wp) => wp.id !== waypointId) }),
+      () => api.deleteWaypoint(selectedRoute.id, waypointId),
+      { queueable: false }
+    );
+    if (saved) toast.success(t("route.deleted"));
   };
 
   const updateWaypoint = async (waypointId, updates) => {
     if (!selectedRoute) return;
-    try {
-      const response = await fetch(`${API}/routes/${selectedRoute.id}/waypoints/${waypointId}`, {
-        method: "PATCH",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(updates),
-      });
-      if (response.ok) {
-        const updatedRoute = await response.json();
-        setSelectedRoute(updatedRoute);
-        setRoutes(routes.map((r) => (r.id === updatedRoute.id ? updatedRoute : r)));
-        if (updates.status === "completed") toast.success("✅ Livré");
-        else if (updates.status === "failed") toast.success("❌ Échec");
-        else if (updates.status === "skipped") toast.success("⏭️ Ignoré");
-        else toast.success("Mis à jour");
-      }
-    } catch (error) {
-      toast.error("Erreur");
+    const saved = await commitMutation(
+      waypointMutation(selectedRoute, waypointId, updates),
+      async () => api.updateWaypoint(selectedRoute.id, waypointId, await api.withUploadedProof(selectedRoute.id, waypointId, updates)),
+      { stopIds: [waypointId] }
+    );
+    if (saved !== "saved") return;
+    if (updates.status === "completed") toast.success(`✅ ${STATUS_LABELS.completed}`);
+    else if (updates.status === "failed") toast.success(`❌ ${STATUS_LABELS.failed}`);
+    else if (updates.status === "skipped") toast.success(`⏭️ ${STATUS_LABELS.skipped}`);
+    else toast.success(t("route.updated"));
+  };
+
+  // Delivering a stop goes through the proof-of-delivery step first, failing
+  // it through the reason picker
+  const requestWaypointUpdate = async (waypointId, updates) => {
+    if (updates.status === "completed" && !updates.proof) {
+      setProofStopId(waypointId);
+      return;
+    }
+    if (updates.status === "failed" && !updates.failure) {
+      setFailureStopId(waypointId);
+      return;
     }
+    // A stop put back to pending no longer has a valid proof or failure
+    await updateWaypoint(waypointId, updates.status === "pending" ? { ...updates, proof: null, failure: null } : updates);
   };
 
-  const undoLastAction = async () => {
-    if (!selectedRoute) return;
+  // Copies a failed stop, as pending, into another route or a new one for the given day
+  const moveWaypointToRoute = async (wp, { routeId, date }) => {
+    const copy = { ...wp, id: `wp-${Date.now()}`, status: "pending", proof: null };
+    const sameDayRoute = date && routes.find((r) => r.id !== selectedRoute.id && r.date === date);
+    const targetId = routeId || sameDayRoute?.id;
     try {
-      const response = await fetch(`${API}/routes/${selectedRoute.id}/undo`, { method: "POST" });
-      if (response.ok) {
-        const updatedRoute = await response.json();
-        setSelectedRoute(updatedRoute);
-        setRoutes(routes.map((r) => (r.id === updatedRoute.id ? updatedRoute : r)));
-        toast.success("Annulé");
-      }
+      const target = targetId
+        ? await api.addWaypoint(targetId, copy)
+        : await api.createRoute({
+          name: t("route.retriesOn", { date: formatDateTime(`${date}T00:00`, { dateStyle: "short" }) }),
+          date,
+          start: selectedRoute.start,
+          end: selectedRoute.end,
+          waypoints: [copy],
+          profile: selectedRoute.profile,
+        });
+      setRoutes((prev) => (targetId ? prev.map((r) => (r.id === target.id ? target : r)) : [...prev, target]));
+      publishRoute(target);
+      return target;
     } catch (error) {
-      toast.error("Erreur");
+      toast.error(api.errorMessage(error));
+      return null;
+    }
+  };
+
+  const recordFailure = async ({ failure, followUp }) => {
+    const wp = failureStop;
+    const attempts = [...(wp.attempts || []), failure];
+    if (followUp.type === "requeue") {
+      // Back to pending, at the end of the route
+      const others = selectedRoute.waypoints.filter((other) => other.id !== wp.id);
+      const saved = await updateRouteSettings({ waypoints: [...others, { ...wp, status: "pending", failure, attempts }] });
+      if (!saved) return;
+      toast.success(t("route.requeued"));
+    } else if (followUp.type === "move") {
+      const target = await moveWaypointToRoute({ ...wp, failure, attempts }, followUp);
+      if (!target) return;
+      await updateWaypoint(wp.id, { status: "failed", failure: { ...failure, movedTo: { routeId: target.id, routeName: target.name } }, attempts });
+    } else {
+      await updateWaypoint(wp.id, { status: "failed", failure, attempts });
     }
+    setFailureStopId(null);
+  };
+
+  const confirmDelivery = async (proof) => {
+    await updateWaypoint(proofStopId, { status: "completed", proof });
+    setProofStopId(null);
+  };
+
+  const changeNavApp = (app) => {
+    setNavApp(app);
+    setPreferredNavApp(app);
   };
 
   const handleDragEnd = async (event) => {
@@ -713,88 +1254,162 @@ export default function RouteOptimizer() {
     const newIndex = selectedRoute.waypoints.findIndex(wp => wp.id === over.id);
     if (oldIndex === -1 || newIndex === -1) return;
 
-    const newWaypoints = arrayMove(selectedRoute.waypoints, oldIndex, newIndex);
-    const updatedRoute = { ...selectedRoute, waypoints: newWaypoints };
-    setSelectedRoute(updatedRoute);
-    setRoutes(routes.map((r) => (r.id === updatedRoute.id ? updatedRoute : r)));
-
-    try {
-      const response = await fetch(`${API}/routes/${selectedRoute.id}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ waypoints: newWaypoints }),
-      });
-      if (response.ok) {
-        const serverRoute = await response.json();
-        setSelectedRoute(serverRoute);
-        setRoutes(routes.map((r) => (r.id === serverRoute.id ? serverRoute : r)));
-        toast.success("Ordre mis à jour");
-      }
-    } catch (error) {
-      toast.error("Erreur");
-      fetchRoutes();
-    }
+    const waypoints = arrayMove(selectedRoute.waypoints, oldIndex, newIndex);
+    const saved = await commitMutation(
+      routeMutation(selectedRoute, { waypoints }),
+      () => api.updateRoute(selectedRoute.id, { waypoints }),
+      { stopIds: [active.id] }
+    );
+    if (saved === "saved") toast.success(t("route.reordered"));
   };
 
   const calculateRoute = async () => {
     if (!selectedRoute) return;
     try {
       setLoading(true);
-      const response = await fetch(`${API}/routes/${selectedRoute.id}/calculate`, { method: "POST" });
-      if (response.ok) {
-        const updatedRoute = await response.json();
-        setSelectedRoute(updatedRoute);
-        setRoutes(routes.map((r) => (r.id === updatedRoute.id ? updatedRoute : r)));
-        toast.success("Calculé");
-      } else {
-        toast.error("Erreur");
-      }
+      const updatedRoute = await api.calculateRoute(selectedRoute.id);
+      replaceRoute(updatedRoute);
+      publishRoute(updatedRoute);
+      toast.success(t("route.calculated"));
     } catch (error) {
-      toast.error("Erreur");
+      toast.error(api.errorMessage(error));
     } finally {
       setLoading(false);
     }
   };
 
+  const proposeLocalOrder = async () => {
+    try {
+      const proposal = await runLocalOptimizer(buildSolverPayload(selectedRoute));
+      setLocalProposal({ routeId: selectedRoute.id, ...proposal });
+    } catch (error) {
+      toast.error(t("api.error"));
+    }
+  };
+
   const optimizeRoute = async () => {
     if (!selectedRoute || selectedRoute.waypoints.length < 2) {
-      toast.error("Min 2 étapes");
+      toast.error(t("route.minStops"));
+      return;
+    }
+    const { total, exceeded } = computeRunningLoad(selectedRoute);
+    if (exceeded.length > 0) {
+      const needed = vehiclesNeeded(total, selectedRoute.capacity);
+      toast.error(t("route.overCapacity"), {
+        description: Number.isFinite(needed) ? t("route.vehiclesNeeded", { count: needed }) : undefined,
+        action: { label: t("route.split"), onClick: () => setIsSplitDialogOpen(true) },
+      });
       return;
     }
     try {
       setLoading(true);
-      const response = await fetch(`${API}/routes/${selectedRoute.id}/optimize`, { method: "POST" });
-      if (response.ok) {
-        const updatedRoute = await response.json();
-        setSelectedRoute(updatedRoute);
-        setRoutes(routes.map((r) => (r.id === updatedRoute.id ? updatedRoute : r)));
-        toast.success("Optimisé!");
-      } else {
-        toast.error("Erreur");
-      }
+      const updatedRoute = await api.optimizeRoute(selectedRoute.id, {
+        departureTime: selectedRoute.departureTime || DEFAULT_DEPARTURE_TIME,
+        timeWindows: selectedRoute.waypoints
+          .filter((wp) => wp.timeWindow?.earliest || wp.timeWindow?.latest)
+          .map((wp) => ({ id: wp.id, earliest: wp.timeWindow.earliest, latest: wp.timeWindow.latest })),
+      }, { timeout: OPTIMIZE_TIMEOUT_MS });
+      routeHistory.record(selectedRoute, updatedRoute, { oneCall: true });
+      replaceRoute(updatedRoute);
+      publishRoute(updatedRoute);
+      toast.success(t("route.optimized"));
     } catch (error) {
-      toast.error("Erreur");
+      // Only an unavailable server is made up for; a refusal is shown as is
+      if (api.isRetryable(error)) await proposeLocalOrder();
+      else toast.error(api.errorMessage(error));
     } finally {
       setLoading(false);
     }
   };
 
-  const changeProfile = async (profile) => {
-    if (!selectedRoute) return;
+  // The local proposal is also what we fall back on when the server is
+  // unreachable, so it can be queued like any other reorder
+  const applyLocalProposal = async (orderedWaypoints) => {
+    const saved = await updateRouteSettings({ waypoints: orderedWaypoints });
+    if (!saved) return;
+    setLocalProposal(null);
+    if (saved === "saved") toast.success(t("route.reordered"));
+  };
+
+  // Resolves like commitMutation
+  const updateRouteSettings = async (updates) => {
+    if (!selectedRoute) return false;
+    return commitMutation(routeMutation(selectedRoute, updates), () => api.updateRoute(selectedRoute.id, updates));
+  };
+
+  // Undo and redo need the server, so they cannot be queued: re-adding or
+  // deleting a stop needs it. A change that is still the route's last save,
+  // exactly as saved, goes back through the server's own undo; anything else
+  // is replayed stop by stop. Not recorded, so replaying history does not
+  // add to it. Resolves to the route as saved, or null when the step failed.
+  const applyHistoryStep = async (step, route = selectedRoute) => {
+    if (!isOnline || pendingCount > 0) {
+      toast.error(t("route.unavailableOffline"));
+      return null;
+    }
+    const onSaved = (saved) => {
+      replaceRoute([...inFlightRef.current].reduce(applyMutation, saved));
+      publishRoute(saved);
+    };
     try {
-      const response = await fetch(`${API}/routes/${selectedRoute.id}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ profile }),
-      });
-      if (response.ok) {
-        const updatedRoute = await response.json();
-        setSelectedRoute(updatedRoute);
-        setRoutes(routes.map((r) => (r.id === updatedRoute.id ? updatedRoute : r)));
+      if (step.savedAs && step.savedAs === fingerprint(route)) {
+        const updatedRoute = await api.undoRoute(route.id);
+        onSaved(updatedRoute);
+        return updatedRoute;
       }
-    } catch (error) {}
+      return await applyStep(route, step, onSaved);
+    } catch (error) {
+      toast.error(api.errorMessage(error));
+      return null;
+    }
+  };
+
+  // Appends the recorded breadcrumbs to the ones already stored on the route
+  const uploadTrail = async () => {
+    if (trail.length === 0) return;
+    const routeId = selectedRoute.id;
+    const points = trail;
+    try {
+      const updatedRoute = await api.addBreadcrumbs(routeId, points);
+      replaceRoute([...inFlightRef.current].reduce(applyMutation, updatedRoute));
+      publishRoute(updatedRoute);
+      clearTrail(routeId, points.length);
+      toast.success(t("route.trailSent", { count: points.length }));
+    } catch (error) {
+      toast.error(api.errorMessage(error));
+    }
   };
 
+  const createSplitRoutes = async () => {
+    if (!selectedRoute || !splitPreview) return;
+    const created = [];
+    try {
+      for (const [k, part] of splitPreview.parts.entries()) {
+        created.push(await api.createRoute({
+          name: `${selectedRoute.name} · ${t("split.vehicle", { n: k + 1 })}`,
+          start: selectedRoute.start,
+          end: selectedRoute.end,
+          waypoints: part.waypointIndices.map((i) => selectedRoute.waypoints[i]),
+          profile: selectedRoute.profile,
+          departureTime: selectedRoute.departureTime,
+          defaultServiceMinutes: selectedRoute.defaultServiceMinutes,
+          capacity: selectedRoute.capacity,
+        }));
+      }
+      setSplitPreview(null);
+      toast.success(t("route.splitCreated", { count: created.length }));
+    } catch (error) {
+      toast.error(created.length > 0 ? t("route.splitFailed", { count: created.length }) : t("api.error"), {
+        description: api.errorMessage(error, null),
+      });
+    } finally {
+      if (created.length > 0) setRoutes((prev) => [...prev, ...created]);
+      created.forEach(publishRoute);
+    }
+  };
+
+  const changeProfile = (profile) => updateRouteSettings({ profile });
+
   const getMarkers = useCallback(() => {
     if (!selectedRoute) return [];
     const markers = [];
@@ -803,7 +1418,7 @@ export default function RouteOptimizer() {
         lat: selectedRoute.start.coordinates.latitude,
         lng: selectedRoute.start.coordinates.longitude,
         type: "start",
-        name: selectedRoute.start.name || "Départ",
+        name: selectedRoute.start.name || t("route.start"),
         address: selectedRoute.start.address,
       });
     }
@@ -827,26 +1442,28 @@ export default function RouteOptimizer() {
         lat: selectedRoute.end.coordinates.latitude,
         lng: selectedRoute.end.coordinates.longitude,
         type: "end",
-        name: selectedRoute.end.name || "Arrivée",
+        name: selectedRoute.end.name || t("route.end"),
         address: selectedRoute.end.address,
       });
     }
     return markers;
   }, [selectedRoute]);
 
+  const getSplitPreviewLines = useCallback(() => {
+    if (!selectedRoute || splitPreview?.routeId !== selectedRoute.id) return [];
+    const toLatLng = (c) => [c.latitude, c.longitude];
+    return splitPreview.parts.map((part) => [
+      ...(selectedRoute.start?.coordinates ? [toLatLng(selectedRoute.start.coordinates)] : []),
+      ...part.waypointIndices.map((i) => toLatLng(selectedRoute.waypoints[i].coordinates)),
+      ...(selectedRoute.end?.coordinates ? [toLatLng(selectedRoute.end.coordinates)] : []),
+    ]);
+  }, [selectedRoute, splitPreview]);
+
   const getRouteCoords = useCallback(() => {
     if (!selectedRoute?.geometry?.coordinates) return [];
     return selectedRoute.geometry.coordinates.map(([lng, lat]) => [lat, lng]);
   }, [selectedRoute]);
 
-  const formatDistance = (m) => !m ? "-" : m >= 1000 ? `${(m/1000).toFixed(1)} km` : `${Math.round(m)} m`;
-  const formatDuration = (s) => {
-    if (!s) return "-";
-    const h = Math.floor(s / 3600);
-    const m = Math.round((s % 3600) / 60);
-    return h > 0 ? `${h}h${m}min` : `${m} min`;
-  };
-
   const getProgress = () => {
     if (!selectedRoute?.waypoints?.length) return { completed: 0, total: 0 };
     const completed = selectedRoute.waypoints.filter(wp => wp.status && wp.status !== "pending").length;
@@ -855,23 +1472,169 @@ export default function RouteOptimizer() {
 
   const markers = getMarkers();
   const routeCoords = getRouteCoords();
+  const splitLines = getSplitPreviewLines();
   const progress = getProgress();
+  const eta = computeRouteEta(selectedRoute);
+  const runningLoad = computeRunningLoad(selectedRoute);
+  const currentStop = selectedRoute?.waypoints?.[currentWaypointIndex];
+  const nextStops = getNextPendingStops(selectedRoute, currentWaypointIndex);
+  const arrivalRadius = selectedRoute?.arrivalRadius ?? DEFAULT_ARRIVAL_RADIUS;
+  const currentStopDistance = position && currentStop?.coordinates ? haversineDistance(position, currentStop.coordinates) : null;
+  const arrivalStop = selectedRoute?.waypoints?.find((wp) => wp.id === arrivalStopId);
+  const proofStop = selectedRoute?.waypoints?.find((wp) => wp.id === proofStopId);
+  const failureStop = selectedRoute?.waypoints?.find((wp) => wp.id === failureStopId);
+
+  // Geofence: ask once per stop when the driver gets within the radius
+  useEffect(() => {
+    if (currentStopDistance == null || (currentStop.status || "pending") !== "pending") return;
+    if (currentStopDistance <= arrivalRadius && !promptedStopsRef.current.has(currentStop.id)) {
+      promptedStopsRef.current.add(currentStop.id);
+      setArrivalStopId(currentStop.id);
+    }
+  }, [currentStopDistance, currentStop, arrivalRadius]);
+
+  // Shared by the command palette and the keyboard shortcuts
+  const canMarkCurrent = currentStop && (currentStop.status || "pending") === "pending";
+  // Editing actions are left out for drivers, which hides them from both
+  const editActions = {
+    undo,
+    redo,
+    addAddress: (type, text = "") => {
+      setAddressType(type);
+      if (text) handleSearchChange(text);
+      setTimeout(() => inputRef.current?.focus(), 0);
+    },
+    addStop: () => editActions.addAddress("waypoint"),
+    calculate: calculateRoute,
+    optimize: optimizeRoute,
+    changeProfile,
+  };
+  const commandActions = {
+    palette: () => setIsPaletteOpen(true),
+    selectRoute,
+    openStop,
+    delivered: () => canMarkCurrent && requestWaypointUpdate(currentStop.id, { status: "completed" }),
+    failed: () => canMarkCurrent && requestWaypointUpdate(currentStop.id, { status: "failed" }),
+    exportAs: (format) => exportRoute(selectedRoute, format),
+    print: () => selectedRoute && window.open(`/routes/${selectedRoute.id}/print`, "_blank", "noopener"),
+    ...(canEdit ? editActions : {}),
+  };
+  commandActionsRef.current = selectedRoute ? commandActions : { palette: commandActions.palette };
+  const drivingTime = selectedRoute?.duration || eta?.totalDriving || 0;
+  const shiftLength = eta ? drivingTime + eta.totalService + eta.totalWait : 0;
 
   return (
     <div className="route-optimizer" data-testid="route-optimizer">
+      {isPaletteOpen && (
+        <CommandPalette
+          routes={routes}
+          selectedRoute={selectedRoute}
+          currentStop={currentStop}
+          actions={commandActions}
+          onClose={() => setIsPaletteOpen(false)}
+        />
+      )}
       {selectedWaypoint && (
         <WaypointDetailDialog
           wp={selectedWaypoint}
           idx={selectedWaypointIndex}
           isOpen={!!selectedWaypoint}
-          onClose={() => setSelectedWaypoint(null)}
-          onUpdate={updateWaypoint}
+          onClose={closeStop}
+          defaultServiceMinutes={selectedRoute?.defaultServiceMinutes}
+          canEdit={canEdit}
+          canDelete={canDelete}
+          onUpdate={requestWaypointUpdate}
           onDelete={removeWaypoint}
         />
       )}
 
+      {selectedRoute && (
+        <SplitRouteDialog
+          route={selectedRoute}
+          minVehicles={vehiclesNeeded(runningLoad.total, selectedRoute.capacity)}
+          isOpen={isSplitDialogOpen}
+          onClose={() => setIsSplitDialogOpen(false)}
+          onPreview={setSplitPreview}
+        />
+      )}
+
+      {selectedRoute && (
+        <ImportStopsDialog
+          isOpen={isImportDialogOpen}
+          onClose={() => setIsImportDialogOpen(false)}
+          geocode={api.geocode}
+          onImport={importWaypoints}
+        />
+      )}
+
+      {geoImport && (
+        <GeoImportDialog
+          parsed={geoImport.parsed}
+          filename={geoImport.filename}
+          onClose={() => setGeoImport(null)}
+          onCreate={createRouteFromFile}
+        />
+      )}
+
+      {isOfflineTilesOpen && selectedRoute && (
+        <OfflineTilesDialog route={selectedRoute} onClose={() => setIsOfflineTilesOpen(false)} />
+      )}
+
+      {arrivalStop && (
+        <ArrivalPrompt
+          wp={arrivalStop}
+          idx={selectedRoute.waypoints.indexOf(arrivalStop)}
+          distance={currentStopDistance ?? 0}
+          onStatusChange={requestWaypointUpdate}
+          onDismiss={() => setArrivalStopId(null)}
+        />
+      )}
+
+      {failureStop && (
+        <FailureReasonDialog
+          wp={failureStop}
+          otherRoutes={routes.filter((r) => r.id !== selectedRoute.id)}
+          canReschedule={canEdit}
+          onClose={() => setFailureStopId(null)}
+          onConfirm={recordFailure}
+        />
+      )}
+
+      {proofStop && (
+        <ProofOfDeliveryDialog wp={proofStop} onClose={() => setProofStopId(null)} onConfirm={confirmDelivery} />
+      )}
+
+      {conflict && (
+        <SyncConflictDialog
+          conflict={conflict}
+          onResolve={async (keepMine) => {
+            const routeGone = !conflict.serverRoute;
+            await resolveConflict(keepMine);
+            if (routeGone) fetchRoutes();
+          }}
+        />
+      )}
+
+      {localProposal && selectedRoute?.id === localProposal.routeId && (
+        <OptimizationProposalDialog
+          route={selectedRoute}
+          proposal={localProposal}
+          onClose={() => setLocalProposal(null)}
+          onApply={applyLocalProposal}
+        />
+      )}
+
       {/* Sidebar */}
-      <div className="sidebar" data-testid="sidebar">
+      <div
+        className={`sidebar ${isDraggingFile ? "sidebar-drop-target" : ""}`}
+        onDragOver={handleSidebarDragOver}
+        onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setIsDraggingFile(false)}
+        onDrop={handleSidebarDrop}
+        data-testid="sidebar"
+      >
+        {isDraggingFile && (
+          <div className="sidebar-drop-hint">{t("route.dropHint")}</div>
+        )}
         <div className="p-4 border-b">
           <div className="flex items-center justify-between mb-3">
             <h1 className="text-xl font-bold tracking-tight flex items-center gap-2" style={{ fontFamily: "Manrope" }}>
@@ -879,47 +1642,117 @@ export default function RouteOptimizer() {
               <span className="hidden sm:inline">Route Optimizer</span>
               <span className="sm:hidden">Routes</span>
             </h1>
+            <button
+              onClick={() => setIsPaletteOpen(true)}
+              className="hidden sm:flex items-center gap-1 text-xs px-2 py-1 rounded-md border border-slate-200 dark:border-slate-700 text-slate-500 dark:text-slate-400 hover:bg-slate-50 dark:hover:bg-slate-700"
+              title={t("palette.title")}
+              data-testid="command-palette-btn"
+            >
+              <Command className="w-3 h-3" />
+              {formatShortcut("palette")}
+            </button>
+            <button
+              onClick={() => navigate("/analytics")}
+              className="p-1 rounded-md text-slate-500 dark:text-slate-400 hover:bg-slate-50 dark:hover:bg-slate-700"
+              title={t("analytics.title")}
+              data-testid="analytics-btn"
+            >
+              <BarChart3 className="w-4 h-4" />
+            </button>
+            {(!isOnline || pendingCount > 0) && (
+              <button
+                onClick={syncNow}
+                disabled={!isOnline || syncing}
+                className={`text-xs px-2 py-1 rounded-full flex items-center gap-1 ${isOnline ? "bg-blue-50 dark:bg-blue-950 text-blue-700 dark:text-blue-300" : "bg-amber-50 dark:bg-amber-950 text-amber-700 dark:text-amber-300"}`}
+                title={isOnline ? t("route.syncNow") : t("route.syncLater")}
+                data-testid="sync-status"
+              >
+                {isOnline ? <RefreshCw className={`w-3 h-3 ${syncing ? "animate-spin" : ""}`} /> : <CloudOff className="w-3 h-3" />}
+                {!isOnline && t("route.offline")}
+                {!isOnline && pendingCount > 0 && " · "}
+                {pendingCount > 0 && t("route.pendingChanges", { count: pendingCount })}
+              </button>
+            )}
+            <Popover>
+              <PopoverTrigger asChild>
+                <button
+                  className="flex items-center gap-1 text-xs px-2 py-1 rounded-md text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-700 min-w-0"
+                  title={ROLES[user.role]}
+                  data-testid="user-menu-btn"
+                >
+                  <UserRound className="w-3 h-3 flex-shrink-0" />
+                  <span className="hidden sm:inline truncate max-w-[8rem]">{user.name}</span>
+                </button>
+              </PopoverTrigger>
+              <PopoverContent className="w-64 p-3" align="end">
+                <div className="text-sm font-medium truncate">{user.name}</div>
+                <div className="text-xs text-slate-500 dark:text-slate-400 mb-3">{ROLES[user.role]}</div>
+                <div className="mb-3 pt-3 border-t border-slate-100 dark:border-slate-700">
+                  <PreferencesMenu />
+                </div>
+                <Button variant="outline" size="sm" className="w-full" onClick={logout} data-testid="logout-btn">
+                  <LogOut className="w-4 h-4 mr-1" />
+                  {t("route.signOut")}
+                </Button>
+              </PopoverContent>
+            </Popover>
           </div>
 
           <div className="flex items-center justify-between mb-2">
-            <span className="text-sm font-medium text-slate-600">Itinéraires</span>
-            <Dialog open={isNewRouteDialogOpen} onOpenChange={setIsNewRouteDialogOpen}>
-              <DialogTrigger asChild>
-                <Button size="sm" variant="outline" className="h-8" data-testid="new-route-btn">
-                  <FolderPlus className="w-4 h-4 mr-1" />
-                  <span className="hidden sm:inline">Nouveau</span>
-                  <span className="sm:hidden">+</span>
+            <span className="text-sm font-medium text-slate-600 dark:text-slate-300">{t("common.routes")}</span>
+            <div className="flex items-center gap-1">
+              <input
+                ref={geoFileInputRef}
+                type="file"
+                accept={GEO_FILE_EXTENSIONS.join(",")}
+                className="hidden"
+                onChange={(e) => { openGeoFile(e.target.files?.[0]); e.target.value = ""; }}
+              />
+              {canEdit && (
+                <Button size="sm" variant="ghost" className="h-8 px-2" onClick={() => geoFileInputRef.current?.click()} title={t("route.importGeo")} data-testid="geo-import-btn">
+                  <FileUp className="w-4 h-4" />
                 </Button>
-              </DialogTrigger>
-              <DialogContent className="max-w-[95vw] sm:max-w-md">
-                <DialogHeader>
-                  <DialogTitle>Nouvel itinéraire</DialogTitle>
-                </DialogHeader>
-                <div className="space-y-4 pt-4">
-                  <Input
-                    placeholder="Nom"
-                    value={newRouteName}
-                    onChange={(e) => setNewRouteName(e.target.value)}
-                    data-testid="route-name-input"
-                  />
-                  <Button onClick={createNewRoute} className="w-full bg-slate-900" disabled={loading} data-testid="create-route-btn">
-                    {loading && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
-                    Créer
-                  </Button>
-                </div>
-              </DialogContent>
-            </Dialog>
+              )}
+              <Dialog open={isCreatingRoute && canEdit} onOpenChange={(open) => (open ? navigate("/routes/new") : selectRoute(selectedRoute))}>
+                {canEdit && (
+                  <DialogTrigger asChild>
+                    <Button size="sm" variant="outline" className="h-8" data-testid="new-route-btn">
+                      <FolderPlus className="w-4 h-4 mr-1" />
+                      <span className="hidden sm:inline">{t("route.new")}</span>
+                      <span className="sm:hidden">+</span>
+                    </Button>
+                  </DialogTrigger>
+                )}
+                <DialogContent className="max-w-[95vw] sm:max-w-md">
+                  <DialogHeader>
+                    <DialogTitle>{t("route.newTitle")}</DialogTitle>
+                  </DialogHeader>
+                  <div className="space-y-4 pt-4">
+                    <Input
+                      placeholder={t("stop.name")}
+                      value={newRouteName}
+                      onChange={(e) => setNewRouteName(e.target.value)}
+                      data-testid="route-name-input"
+                    />
+                    <Button onClick={createNewRoute} className="w-full bg-slate-900 dark:bg-slate-700" disabled={loading} data-testid="create-route-btn">
+                      {loading && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                      {t("route.create")}
+                    </Button>
+                  </div>
+                </DialogContent>
+              </Dialog>
+            </div>
           </div>
 
           <ScrollArea className="h-24">
             {routes.length === 0 ? (
-              <div className="text-center py-3 text-slate-400 text-sm">Aucun itinéraire</div>
+              <div className="text-center py-3 text-slate-400 text-sm">{t("route.none")}</div>
             ) : (
               routes.map((route) => (
                 <div
                   key={route.id}
                   className={`route-card ${selectedRoute?.id === route.id ? "active" : ""}`}
-                  onClick={() => setSelectedRoute(route)}
+                  onClick={() => selectRoute(route)}
                   data-testid={`route-card-${route.id}`}
                 >
                   <div className="flex items-center justify-between">
@@ -927,17 +1760,19 @@ export default function RouteOptimizer() {
                       <Navigation className="w-4 h-4 mr-2 text-blue-500 flex-shrink-0" />
                       <span className="font-medium truncate">{route.name}</span>
                     </div>
-                    <Button
-                      size="icon"
-                      variant="ghost"
-                      className="h-6 w-6 text-slate-400 hover:text-red-500 flex-shrink-0"
-                      onClick={(e) => { e.stopPropagation(); deleteRoute(route.id); }}
-                      data-testid={`delete-route-${route.id}`}
-                    >
-                      <Trash2 className="w-3 h-3" />
-                    </Button>
+                    {canDelete && (
+                      <Button
+                        size="icon"
+                        variant="ghost"
+                        className="h-6 w-6 text-slate-400 hover:text-red-500 flex-shrink-0"
+                        onClick={(e) => { e.stopPropagation(); deleteRoute(route.id); }}
+                        data-testid={`delete-route-${route.id}`}
+                      >
+                        <Trash2 className="w-3 h-3" />
+                      </Button>
+                    )}
                   </div>
-                  <div className="text-xs text-slate-500 mt-1">{route.waypoints?.length || 0} étapes</div>
+                  <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">{t("common.stopCount", { count: route.waypoints?.length || 0 })}</div>
                 </div>
               ))
             )}
@@ -946,7 +1781,7 @@ export default function RouteOptimizer() {
 
         {selectedRoute && (
           <div className="p-4">
-            <div className="mb-3">
+            <fieldset disabled={!canEdit} className="mb-3" data-testid="route-settings">
               <div className="profile-toggle">
                 <button
                   className={`profile-btn ${selectedRoute.profile === "driving-car" ? "active" : ""}`}
@@ -954,7 +1789,7 @@ export default function RouteOptimizer() {
                   data-testid="profile-car-btn"
                 >
                   <Car className="w-4 h-4" />
-                  <span className="hidden sm:inline">Voiture</span>
+                  <span className="hidden sm:inline">{t("profile.driving-car")}</span>
                 </button>
                 <button
                   className={`profile-btn ${selectedRoute.profile === "foot-walking" ? "active" : ""}`}
@@ -962,88 +1797,306 @@ export default function RouteOptimizer() {
                   data-testid="profile-walk-btn"
                 >
                   <Footprints className="w-4 h-4" />
-                  <span className="hidden sm:inline">À pied</span>
+                  <span className="hidden sm:inline">{t("profile.foot-walking")}</span>
                 </button>
               </div>
-            </div>
+              {canEdit && drivers.length > 0 && (
+                <div className="flex items-center gap-2 mt-2">
+                  <label htmlFor="route-driver" className="text-sm text-slate-600 dark:text-slate-300 flex items-center gap-1 flex-shrink-0">
+                    <UserRound className="w-4 h-4" />
+                    {t("auth.roles.driver")}
+                  </label>
+                  <select
+                    id="route-driver"
+                    value={selectedRoute.driverId || ""}
+                    onChange={(e) => updateRouteSettings({ driverId: e.target.value || null })}
+                    className="h-8 flex-1 min-w-0 px-2 rounded-md border border-slate-200 dark:border-slate-700 text-sm bg-white dark:bg-slate-900"
+                    data-testid="route-driver-select"
+                  >
+                    <option value="">{t("route.unassigned")}</option>
+                    {drivers.map((driver) => (
+                      <option key={driver.id} value={driver.id}>{driver.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="flex items-center gap-2 mt-2">
+                <label htmlFor="departure-time" className="text-sm text-slate-600 dark:text-slate-300 flex items-center gap-1 flex-shrink-0">
+                  <Clock className="w-4 h-4" />
+                  {t("route.departsAt")}
+                </label>
+                <DraftInput
+                  id="departure-time"
+                  type="time"
+                  value={selectedRoute.departureTime || DEFAULT_DEPARTURE_TIME}
+                  onCommit={(text) => text && updateRouteSettings({ departureTime: text })}
+                  className="h-8 text-sm w-28"
+                  data-testid="departure-time-input"
+                />
+                <label htmlFor="default-service-minutes" className="text-sm text-slate-600 dark:text-slate-300 flex-shrink-0 ml-auto">
+                  {t("route.stopTime")}
+                </label>
+                <DraftInput
+                  id="default-service-minutes"
+                  type="number"
+                  min="0"
+                  value={selectedRoute.defaultServiceMinutes ?? DEFAULT_SERVICE_MINUTES}
+                  onCommit={(text) => updateRouteSettings({ defaultServiceMinutes: text === "" ? null : Math.max(0, Number(text)) })}
+                  className="h-8 text-sm w-14 px-2"
+                  data-testid="default-service-input"
+                />
+                <span className="text-sm text-slate-500 dark:text-slate-400">{t("route.minutesUnit")}</span>
+              </div>
+              {eta?.end != null && selectedRoute.waypoints?.length > 0 && (
+                <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">{t("route.estimatedArrival", { time: formatTime(eta.end) })}</div>
+              )}
+              <div className="mt-2">
+                <div className="text-sm text-slate-600 dark:text-slate-300 flex items-center gap-1 mb-1">
+                  <Truck className="w-4 h-4" />
+                  {t("route.capacity")}
+                </div>
+                <CapacityInputs
+                  value={selectedRoute.capacity}
+                  onCommit={(capacity) => updateRouteSettings({ capacity })}
+                />
+                {(hasLoad(runningLoad.total) || hasCapacity(selectedRoute.capacity)) && (
+                  <div
+                    className={`text-xs mt-1 flex items-center gap-1 flex-wrap ${runningLoad.exceeded.length > 0 ? "text-red-500" : "text-slate-500 dark:text-slate-400"}`}
+                    data-testid="load-summary"
+                  >
+                    {runningLoad.exceeded.length > 0 && <AlertTriangle className="w-3 h-3" />}
+                    {Object.entries(LOAD_DIMENSIONS).map(([dimension, { unit }], i) => (
+                      <span key={dimension} className={runningLoad.exceeded.includes(dimension) ? "font-semibold" : ""}>
+                        {i > 0 && "· "}
+                        {formatLoadValue(runningLoad.total[dimension], dimension)}
+                        {selectedRoute.capacity?.[dimension] != null && `/${selectedRoute.capacity[dimension]}`} {unit}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </fieldset>
 
-            {(selectedRoute.distance || selectedRoute.duration) && (
+            {(selectedRoute.distance || selectedRoute.duration || selectedRoute.waypoints?.length > 0) && (
               <div className="stats-bar mb-3" data-testid="stats-bar">
                 <div className="stat-item">
-                  <span className="stat-label">Distance</span>
+                  <span className="stat-label">{t("partition.distance")}</span>
                   <span className="stat-value">{formatDistance(selectedRoute.distance)}</span>
                 </div>
                 <div className="stat-item">
-                  <span className="stat-label">Durée</span>
-                  <span className="stat-value">{formatDuration(selectedRoute.duration)}</span>
+                  <span className="stat-label">{t("route.driving")}</span>
+                  <span className="stat-value">
+                    {!selectedRoute.duration && drivingTime > 0 && "~"}{formatDuration(drivingTime)}
+                  </span>
+                </div>
+                <div className="stat-item">
+                  <span className="stat-label">{t("route.stopsTime")}</span>
+                  <span className="stat-value">{formatDuration(eta?.totalService)}</span>
+                </div>
+                <div className="stat-item">
+                  <span className="stat-label">{t("route.total")}</span>
+                  <span className="stat-value" data-testid="shift-length">{formatDuration(shiftLength)}</span>
                 </div>
                 {progress.total > 0 && (
                   <div className="stat-item">
-                    <span className="stat-label">Fait</span>
+                    <span className="stat-label">{t("route.done")}</span>
                     <span className="stat-value">{progress.completed}/{progress.total}</span>
                   </div>
                 )}
               </div>
             )}
 
-            <div className="mb-3">
-              <div className="flex gap-2 mb-2">
-                <select
-                  value={addressType}
-                  onChange={(e) => setAddressType(e.target.value)}
-                  className="h-9 px-2 rounded-md border border-slate-200 text-sm bg-white flex-shrink-0"
-                  data-testid="address-type-select"
-                >
-                  <option value="start">A</option>
-                  <option value="waypoint">+</option>
-                  <option value="end">B</option>
-                </select>
-                <div className="relative flex-1">
-                  <Search className="absolute left-2 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400 z-10" />
-                  <Input
-                    ref={inputRef}
-                    placeholder="Adresse..."
-                    value={searchAddress}
-                    onChange={(e) => handleSearchChange(e.target.value)}
-                    onKeyDown={handleKeyDown}
-                    onFocus={() => suggestions.length > 0 && setShowSuggestions(true)}
-                    className="pl-8 h-9 text-sm"
-                    data-testid="address-input"
-                    autoComplete="off"
-                  />
-                  {showSuggestions && suggestions.length > 0 && (
-                    <div ref={suggestionsRef} className="absolute top-full left-0 right-0 mt-1 bg-white border border-slate-200 rounded-lg shadow-lg z-50 max-h-48 overflow-y-auto">
-                      {suggestions.map((s, i) => (
-                        <div
-                          key={i}
-                          className={`px-3 py-2 cursor-pointer border-b border-slate-100 last:border-b-0 ${i === selectedSuggestionIndex ? "bg-blue-50" : "hover:bg-slate-50"}`}
-                          onClick={() => selectSuggestion(s)}
-                          data-testid={`suggestion-${i}`}
-                        >
-                          <div className="font-medium text-sm text-slate-900 truncate">{s.name}</div>
-                          <div className="text-xs text-slate-500 truncate">{s.address}</div>
-                        </div>
-                      ))}
-                    </div>
+            <PresenceBar viewers={realtime.viewers} status={realtime.status} />
+
+            {canEdit && (
+              <div className="mb-3">
+                <div className="flex gap-2 mb-2">
+                  <select
+                    value={addressType}
+                    onChange={(e) => setAddressType(e.target.value)}
+                    className="h-9 px-2 rounded-md border border-slate-200 dark:border-slate-700 text-sm bg-white dark:bg-slate-900 flex-shrink-0"
+                    data-testid="address-type-select"
+                  >
+                    <option value="start">A</option>
+                    <option value="waypoint">+</option>
+                    <option value="end">B</option>
+                  </select>
+                  <div className="relative flex-1">
+                    <Search className="absolute left-2 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400 z-10" />
+                    <Input
+                      ref={inputRef}
+                      placeholder={t("route.addressPlaceholder")}
+                      value={searchAddress}
+                      onChange={(e) => handleSearchChange(e.target.value)}
+                      onKeyDown={handleKeyDown}
+                      onFocus={() => suggestions.length > 0 && setShowSuggestions(true)}
+                      className="pl-8 h-9 text-sm"
+                      data-testid="address-input"
+                      autoComplete="off"
+                    />
+                    {showSuggestions && suggestions.length > 0 && (
+                      <div ref={suggestionsRef} className="absolute top-full left-0 right-0 mt-1 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg shadow-lg z-50 max-h-48 overflow-y-auto">
+                        {suggestions.map((s, i) => (
+                          <div
+                            key={i}
+                            className={`px-3 py-2 cursor-pointer border-b border-slate-100 dark:border-slate-700 last:border-b-0 ${i === selectedSuggestionIndex ? "bg-blue-50 dark:bg-blue-950" : "hover:bg-slate-50 dark:hover:bg-slate-700"}`}
+                            onClick={() => selectSuggestion(s)}
+                            data-testid={`suggestion-${i}`}
+                          >
+                            <div className="font-medium text-sm text-slate-900 dark:text-slate-100 truncate">{s.name}</div>
+                            <div className="text-xs text-slate-500 dark:text-slate-400 truncate">{s.address}</div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <Button onClick={handleAddAddress} disabled={searchLoading || !searchAddress.trim()} className="bg-blue-500 hover:bg-blue-600 h-9 w-9 p-0" data-testid="add-address-btn">
+                    {searchLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {splitPreview?.routeId === selectedRoute.id && (
+              <SplitPreviewPanel
+                route={selectedRoute}
+                preview={splitPreview}
+                onCreate={createSplitRoutes}
+                onDiscard={() => setSplitPreview(null)}
+              />
+            )}
+
+            {currentStop && (currentStop.status || "pending") === "pending" && (
+              <div className="mb-3 p-2 rounded-lg bg-blue-50 dark:bg-blue-950 border border-blue-200 flex items-center gap-2" data-testid="current-stop">
+                <div className="flex-1 min-w-0">
+                  <div className="text-[10px] uppercase tracking-wide text-blue-600">{t("route.nextStop", { n: currentWaypointIndex + 1 })}</div>
+                  <div className="text-sm font-medium truncate">{currentStop.name}</div>
+                  {currentStopDistance != null && (
+                    <div className="text-xs text-slate-500 dark:text-slate-400" data-testid="current-stop-distance">{t("route.distanceAway", { distance: formatDistance(currentStopDistance) })}</div>
                   )}
                 </div>
-                <Button onClick={handleAddAddress} disabled={searchLoading || !searchAddress.trim()} className="bg-blue-500 hover:bg-blue-600 h-9 w-9 p-0" data-testid="add-address-btn">
-                  {searchLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
-                </Button>
+                <NavigateButton
+                  wp={currentStop}
+                  profile={selectedRoute.profile}
+                  navApp={navApp}
+                  onNavAppChange={changeNavApp}
+                  nextStops={nextStops}
+                />
+              </div>
+            )}
+
+            <div className="mb-3 text-sm" data-testid="gps-panel">
+              <div className="flex items-center gap-2">
+                <LocateFixed className={`w-4 h-4 ${position ? "text-blue-500" : "text-slate-400"}`} />
+                <label htmlFor="gps-tracking" className="text-slate-600 dark:text-slate-300 flex-1">{t("route.gpsTracking")}</label>
+                {isTracking && (
+                  <>
+                    <label htmlFor="arrival-radius" className="text-xs text-slate-500 dark:text-slate-400">{t("route.radius")}</label>
+                    <DraftInput
+                      id="arrival-radius"
+                      type="number"
+                      min={MIN_ARRIVAL_RADIUS}
+                      step="10"
+                      value={arrivalRadius}
+                      disabled={!canEdit}
+                      onCommit={(text) => updateRouteSettings({ arrivalRadius: text === "" ? null : Math.max(MIN_ARRIVAL_RADIUS, Number(text) || 0) })}
+                      className="h-7 text-xs w-16 px-2"
+                      data-testid="arrival-radius-input"
+                    />
+                    <span className="text-xs text-slate-400">m</span>
+                  </>
+                )}
+                <Switch id="gps-tracking" checked={isTracking} onCheckedChange={setIsTracking} data-testid="gps-tracking-switch" />
               </div>
+              {isTracking && gpsError && <div className="text-xs text-red-500 mt-1">{gpsError}</div>}
+              {trail.length > 0 && (
+                <div className="flex items-center justify-between mt-1 text-xs text-slate-500 dark:text-slate-400">
+                  <span>{t("route.trailPoints", { count: trail.length })}</span>
+                  <button onClick={uploadTrail} className="text-blue-600 hover:underline" data-testid="upload-trail-btn">
+                    {t("route.sendTrail")}
+                  </button>
+                </div>
+              )}
             </div>
 
-            {selectedRoute.waypoints?.some(wp => wp.status && wp.status !== "pending") && (
-              <Button variant="outline" size="sm" onClick={undoLastAction} className="w-full mb-3 border-orange-300 text-orange-600 hover:bg-orange-50 h-8" data-testid="undo-btn">
-                <Undo2 className="w-3 h-3 mr-1" />
-                Annuler
-              </Button>
+            {canEdit && (
+              <div className="flex gap-2 mb-3" data-testid="history-controls">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={undo}
+                  disabled={routeHistory.past.length === 0 || routeHistory.busy}
+                  className="flex-1 border-orange-300 text-orange-600 hover:bg-orange-50 h-8"
+                  title={`${t("actions.undo")} (${formatShortcut("undo")})`}
+                  data-testid="undo-btn"
+                >
+                  <Undo2 className="w-3 h-3 mr-1" />
+                  {t("actions.undo")}
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={redo}
+                  disabled={routeHistory.future.length === 0 || routeHistory.busy}
+                  className="flex-1 h-8"
+                  title={`${t("actions.redo")} (${formatShortcut("redo")})`}
+                  data-testid="redo-btn"
+                >
+                  <Redo2 className="w-3 h-3 mr-1" />
+                  {t("actions.redo")}
+                </Button>
+                <Popover>
+                  <PopoverTrigger asChild>
+                    <Button variant="outline" size="sm" className="h-8 px-2" title={t("route.history")} data-testid="history-btn">
+                      <History className="w-4 h-4" />
+                    </Button>
+                  </PopoverTrigger>
+                  <PopoverContent align="end" className="w-72 p-2" data-testid="history-popover">
+                    {routeHistory.past.length === 0 && routeHistory.future.length === 0 ? (
+                      <div className="text-sm text-slate-500 dark:text-slate-400 text-center py-3">{t("route.noChanges")}</div>
+                    ) : (
+                      <div className="max-h-72 overflow-y-auto space-y-0.5">
+                        {/* Undone entries first, greyed out, then the newest applied one */}
+                        {routeHistory.future.map((entry) => (
+                          <div key={entry.id} className="flex items-center gap-2 px-2 py-1.5 text-sm text-slate-400 line-through">
+                            <span className="flex-1 truncate">{entry.label}</span>
+                          </div>
+                        ))}
+                        {[...routeHistory.past].reverse().map((entry) => (
+                          <button
+                            key={entry.id}
+                            type="button"
+                            onClick={() => routeHistory.undoTo(entry.id)}
+                            disabled={routeHistory.busy}
+                            className="w-full flex items-center gap-2 px-2 py-1.5 text-sm text-left rounded hover:bg-slate-100 dark:hover:bg-slate-700 disabled:opacity-50"
+                            title={t("route.undoToHere")}
+                            data-testid="history-entry"
+                          >
+                            <span className="flex-1 truncate">{entry.label}</span>
+                            <span className="text-xs text-slate-400">
+                              {formatDateTime(entry.at, { hour: "2-digit", minute: "2-digit" })}
+                            </span>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </PopoverContent>
+                </Popover>
+              </div>
             )}
 
             <div className="mb-3">
-              <div className="text-sm font-medium text-slate-600 mb-2 flex items-center justify-between">
-                <span>Étapes ({selectedRoute.waypoints?.length || 0})</span>
-                <span className="text-xs text-slate-400">Cliquez pour modifier</span>
+              <div className="text-sm font-medium text-slate-600 dark:text-slate-300 mb-2 flex items-center justify-between">
+                <span>{t("route.stopsHeading", { count: selectedRoute.waypoints?.length || 0 })}</span>
+                <div className="flex items-center gap-2">
+                  <span className="text-xs text-slate-400 hidden sm:inline">{t("route.clickToEdit")}</span>
+                  {canEdit && (
+                    <Button size="sm" variant="ghost" className="h-7 px-2 text-xs" onClick={() => setIsImportDialogOpen(true)} data-testid="import-stops-btn">
+                      <Upload className="w-3 h-3 mr-1" />
+                      {t("route.import")}
+                    </Button>
+                  )}
+                </div>
               </div>
               <ScrollArea className="h-40 sm:h-52">
                 {selectedRoute.start?.address && (
@@ -1065,7 +2118,12 @@ export default function RouteOptimizer() {
                           wp={wp}
                           idx={idx}
                           isCurrentStop={idx === currentWaypointIndex && (wp.status === "pending" || !wp.status)}
-                          onClick={() => { setSelectedWaypoint(wp); setSelectedWaypointIndex(idx); }}
+                          eta={eta?.stops[idx]}
+                          onBoard={hasLoad(runningLoad.total) ? runningLoad.onBoard[idx] : null}
+                          isSaving={!!savingStops[wp.id]}
+                          changedBy={realtime.remoteChanges[wp.id]}
+                          canReorder={canEdit}
+                          onClick={() => openStop(wp)}
                         />
                       ))}
                     </SortableContext>
@@ -1085,20 +2143,53 @@ export default function RouteOptimizer() {
                 {!selectedRoute.start?.address && !selectedRoute.end?.address && selectedRoute.waypoints?.length === 0 && (
                   <div className="empty-state py-6">
                     <MapPin className="w-8 h-8" />
-                    <p className="text-sm">Ajoutez des adresses</p>
+                    <p className="text-sm">{t("route.addAddresses")}</p>
                   </div>
                 )}
               </ScrollArea>
             </div>
 
             <div className="space-y-2">
-              <Button onClick={calculateRoute} disabled={loading} className="w-full bg-slate-900 hover:bg-slate-800 h-10" data-testid="calculate-btn">
-                {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Navigation className="w-4 h-4 mr-2" />}
-                Calculer
+              {canEdit && (
+                <>
+                  <Button onClick={calculateRoute} disabled={loading} className="w-full bg-slate-900 dark:bg-slate-700 hover:bg-slate-800 dark:hover:bg-slate-600 h-10" data-testid="calculate-btn">
+                    {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Navigation className="w-4 h-4 mr-2" />}
+                    {t("route.calculate")}
+                  </Button>
+                  <Button onClick={optimizeRoute} disabled={loading || (selectedRoute.waypoints?.length || 0) < 2} variant="outline" className="w-full h-10 border-blue-500 text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-950" data-testid="optimize-btn">
+                    <Sparkles className="w-4 h-4 mr-2" />
+                    {t("route.optimize")}
+                  </Button>
+                  <Button onClick={() => setIsSplitDialogOpen(true)} disabled={loading || (selectedRoute.waypoints?.length || 0) < 2} variant="outline" className="w-full h-10" data-testid="split-btn">
+                    <Truck className="w-4 h-4 mr-2" />
+                    {t("split.title")}
+                  </Button>
+                </>
+              )}
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="outline" className="w-full h-10" disabled={!markers.length} data-testid="export-btn">
+                    <Download className="w-4 h-4 mr-2" />
+                    {t("actions.export")}
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end" className="w-56">
+                  {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                    <DropdownMenuItem key={format} onSelect={() => exportRoute(selectedRoute, format)} data-testid={`export-${format}`}>
+                      {label}
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+              <Button asChild variant="outline" className="w-full h-10" data-testid="print-manifest-btn">
+                <a href={`/routes/${selectedRoute.id}/print`} target="_blank" rel="noopener noreferrer">
+                  <Printer className="w-4 h-4 mr-2" />
+                  {t("route.manifest")}
+                </a>
               </Button>
-              <Button onClick={optimizeRoute} disabled={loading || (selectedRoute.waypoints?.length || 0) < 2} variant="outline" className="w-full h-10 border-blue-500 text-blue-600 hover:bg-blue-50" data-testid="optimize-btn">
-                <Sparkles className="w-4 h-4 mr-2" />
-                Optimiser
+              <Button variant="outline" className="w-full h-10" disabled={!markers.length} onClick={() => setIsOfflineTilesOpen(true)} data-testid="offline-tiles-btn">
+                <CloudDownload className="w-4 h-4 mr-2" />
+                {t("route.prepareOffline")}
               </Button>
             </div>
           </div>
@@ -1108,19 +2199,31 @@ export default function RouteOptimizer() {
           <div className="p-4">
             <div className="empty-state">
               <Route className="w-10 h-10 text-slate-300" />
-              <h3 className="font-medium text-slate-600 mt-3">Aucun itinéraire</h3>
-              <p className="text-sm text-slate-400 mt-1">Créez-en un pour commencer</p>
+              <h3 className="font-medium text-slate-600 dark:text-slate-300 mt-3">{t("route.none")}</h3>
+              <p className="text-sm text-slate-400 mt-1">{t("route.createFirst")}</p>
             </div>
           </div>
         )}
       </div>
 
       {/* Map */}
-      <div className="map-container" data-testid="map-container">
+      <div className={`map-container ${nightMap && !DARK_TILE_URL ? "map-night-filter" : ""}`} data-testid="map-container">
         <MapContainer center={[48.8566, 2.3522]} zoom={12} style={{ height: "100%", width: "100%" }}>
-          <TileLayer attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OSM</a>' url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+          <TileLayer attribution={TILE_ATTRIBUTION} url={nightMap && DARK_TILE_URL ? DARK_TILE_URL : TILE_URL} />
           {markers.length > 0 && <MapBoundsUpdater markers={markers} />}
-          {routeCoords.length > 0 && <Polyline positions={routeCoords} color="#3b82f6" weight={4} opacity={0.8} />}
+          {routeCoords.length > 0 && splitLines.length === 0 && <Polyline positions={routeCoords} color="#3b82f6" weight={4} opacity={0.8} />}
+          {splitLines.map((positions, k) => (
+            <Polyline key={`split-${k}`} positions={positions} color={getVehicleColor(k)} weight={4} opacity={0.8} dashArray="8 6" />
+          ))}
+          {trail.length > 1 && (
+            <Polyline positions={trail.map((p) => [p.latitude, p.longitude])} color="#64748b" weight={3} opacity={0.7} dashArray="2 6" />
+          )}
+          {position && (
+            <>
+              <Circle center={[position.latitude, position.longitude]} radius={position.accuracy || 0} pathOptions={{ color: "#2563eb", weight: 1, fillOpacity: 0.1 }} />
+              <Marker position={[position.latitude, position.longitude]} icon={createDriverIcon(position.heading)} zIndexOffset={1000} />
+            </>
+          )}
           {markers.map((marker, idx) => {
             const color = marker.type === "start" ? "#22c55e" : marker.type === "end" ? "#ef4444" : marker.color || "#3b82f6";
             const opacity = marker.status === "completed" || marker.status === "failed" || marker.status === "skipped" ? 0.5 : 1;
@@ -1137,8 +2240,15 @@ export default function RouteOptimizer() {
                 <Popup>
                   <div className="text-sm">
                     <p className="font-semibold">{marker.name}</p>
-                    <p className="text-slate-500 text-xs">{marker.address}</p>
+                    <p className="text-slate-500 dark:text-slate-400 text-xs">{marker.address}</p>
                     {marker.status && <p className="mt-1 text-xs" style={{ color }}>{STATUS_LABELS[marker.status]}</p>}
+                    {marker.type !== "start" && (
+                      <NavigateLinks
+                        wp={{ name: marker.name, coordinates: { latitude: marker.lat, longitude: marker.lng } }}
+                        profile={selectedRoute?.profile}
+                        navApp={navApp}
+                      />
+                    )}
                   </div>
                 </Popup>
               </Marker>
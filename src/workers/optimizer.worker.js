@@ -0,0 +1,16 @@
+import { optimizeStopOrder } from "@/lib/optimizer";
+import { splitRoute } from "@/lib/partition";
+
+const TASKS = {
+  optimize: optimizeStopOrder,
+  split: splitRoute,
+};
+
+globalThis.onmessage = (event) => {
+  const { task, payload } = event.data;
+  try {
+    globalThis.postMessage({ result: TASKS[task](payload) });
+  } catch (error) {
+    globalThis.postMessage({ error: error.message });
+  }
+};